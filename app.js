@@ -1,336 +1,17 @@
-// Game Constants
+// Game Constants (round count and timings come from the room's settings)
 const MIN_PLAYERS = 1;
 const MAX_PLAYERS = 8;
-const ROUNDS_PER_GAME = 3;
-const ROUND_DURATION = 60000; // 60 seconds
 
-import { getRandomItem } from './src/ai/items.js';
+import { findItemByName } from './src/ai/items.js';
+import ItemScanner from './src/ai/scanner.js';
+import TemporalAggregator from './src/ai/temporalAggregator.js';
+import { calibrateCamera, CalibrationStore, drawAdjusted, getCameraId } from './src/ai/calibration.js';
+import CameraManager from './src/camera/cameraManager.js';
+import CameraPicker from './src/camera/cameraPicker.js';
 import ImageHasher from './src/security/imageHash.js';
 import AudioManager from './src/audio/audioManager.js';
 import VolumeControl from './src/audio/volumeControl.js';
 
-// Initialize scanner class
-class ItemScanner {
-    constructor() {
-        this.model = null;
-        this.isModelLoaded = false;
-        this.currentItem = null;
-        this.confidenceThreshold = 0.4; // Matched with server threshold
-        this.itemKeywords = {
-            'tennis ball': ['ball', 'tennis', 'sports equipment', 'yellow ball', 'sphere'],
-            'spoon': ['spoon', 'utensil', 'silverware', 'cutlery', 'tableware'],
-            'scissors': ['scissors', 'shears', 'clippers', 'cutting tool', 'blade'],
-            'rubiks cube': ['cube', 'puzzle', 'rubix', 'rubik', 'toy', 'puzzle cube', 'rubik\'s', 'cubing', 'magic cube', 'colorful cube', 'speed cube', 'twisty puzzle', 'color', 'square', 'blocks', 'puzzle game'],
-            'water bottle': ['bottle', 'container', 'water', 'drink', 'plastic bottle'],
-            'book': ['book', 'novel', 'text', 'publication', 'reading material', 'paperback', 'hardcover', 'literature']
-        };
-    }
-
-    async initialize() {
-        try {
-            console.log('Loading MobileNet model...');
-            this.model = await window.mobilenet.load();
-            this.isModelLoaded = true;
-            console.log('MobileNet model loaded successfully');
-            return true;
-        } catch (error) {
-            console.error('Failed to load MobileNet model:', error);
-            this.isModelLoaded = false;
-            return false;
-        }
-    }
-
-    async processFrame(videoElement) {
-        if (!this.isModelLoaded || !videoElement) {
-            console.error('Scanner not initialized or video element missing', {
-                isModelLoaded: this.isModelLoaded,
-                videoElementExists: !!videoElement
-            });
-            throw new Error('Scanner not initialized or video element missing');
-        }
-
-        if (videoElement.readyState < 2) { // HAVE_CURRENT_DATA or better
-            console.warn('Video element not ready for frame processing, readyState:', videoElement.readyState);
-            return { 
-                success: false, 
-                message: 'Video not ready for processing',
-                readyState: videoElement.readyState
-            };
-        }
-
-        try {
-            console.log('Processing frame with dimensions:', videoElement.videoWidth, 'x', videoElement.videoHeight);
-            
-            // Check if the video has valid dimensions
-            if (videoElement.videoWidth === 0 || videoElement.videoHeight === 0) {
-                console.warn('Video has invalid dimensions:', videoElement.videoWidth, 'x', videoElement.videoHeight);
-                return {
-                    success: false,
-                    message: 'Invalid video dimensions'
-                };
-            }
-            
-            // Get more predictions for better accuracy
-            const predictions = await this.model.classify(videoElement, 15); // Increased to top 15 predictions
-            console.log('Raw predictions:', predictions); // Debug log
-            
-            if (!predictions || predictions.length === 0) {
-                console.warn('No predictions returned from model');
-                return {
-                    success: false,
-                    message: 'No predictions available'
-                };
-            }
-            
-            // Store original confidence threshold
-            const originalThreshold = this.confidenceThreshold;
-            
-            // Temporarily lower threshold for hard-to-detect items
-            if (this.currentItem) {
-                const targetLower = this.currentItem.toLowerCase();
-                if (targetLower === 'scissors') {
-                    console.log('🔍 SCISSORS DETECTION: Lowering confidence threshold from', originalThreshold, 'to 0.25');
-                    this.confidenceThreshold = 0.25;
-                } else if (targetLower === 'rubiks cube' || targetLower === 'rubik\'s cube' || targetLower === 'rubix cube') {
-                    console.log('🔍 RUBIK\'S CUBE DETECTION: Lowering confidence threshold from', originalThreshold, 'to 0.2');
-                    this.confidenceThreshold = 0.2; // Even lower threshold for Rubik's cube
-                }
-            }
-            
-            // Verify the item
-            const result = this.verifyItem(predictions);
-            
-            // Restore original threshold
-            this.confidenceThreshold = originalThreshold;
-            
-            return result;
-        } catch (error) {
-            console.error('Error processing frame:', error);
-            return {
-                success: false,
-                message: 'Error processing image. Please try again.',
-                error: error.message
-            };
-        }
-    }
-
-    verifyItem(predictions) {
-        if (!predictions || predictions.length === 0) {
-            return { success: false, message: 'No predictions available' };
-        }
-
-        const targetItem = this.currentItem;
-        if (!targetItem) {
-            return { success: false, message: 'No target item set' };
-        }
-
-        // DEBUG: Log target item for verification
-        console.log(`🔍 VERIFY: Looking for target item: "${targetItem}"`);
-        
-        // Check all predictions instead of just the best one
-        for (const prediction of predictions) {
-            // DEBUG: Add more detailed logging for predictions
-            console.log(`🔍 PREDICT: ${prediction.className} (${(prediction.probability * 100).toFixed(2)}%)`);
-            
-            const result = this.compareItems(prediction.className, targetItem);
-            if (result.isMatch && prediction.probability >= this.confidenceThreshold) {
-                console.log(`✅ MATCH FOUND: "${prediction.className}" matches "${targetItem}" with confidence ${result.confidence.toFixed(2)}`);
-                return {
-                    success: true,
-                    message: 'Item verified!',
-                    confidence: prediction.probability,
-                    prediction: prediction.className
-                };
-            }
-        }
-
-        // DEBUG: When no match is found
-        console.log(`❌ NO MATCH: No predictions matched "${targetItem}" with confidence above ${this.confidenceThreshold}`);
-        
-        return {
-            success: false,
-            message: 'Item not found or confidence too low',
-            confidence: predictions[0].probability,
-            prediction: predictions[0].className
-        };
-    }
-
-    compareItems(predictedItem, targetItem) {
-        // Convert both to lowercase for comparison
-        const predicted = predictedItem.toLowerCase();
-        const target = typeof targetItem === 'string' ? targetItem.toLowerCase() : targetItem.name?.toLowerCase() || '';
-
-        // DEBUG: Enhanced comparison logging
-        console.log(`🔄 COMPARE: "${predicted}" with target: "${target}"`);
-
-        // Tennis ball specific checks - expanded detection for the most common first item
-        if (target === 'tennis ball') {
-            const tennisBallKeywords = [
-                'tennis ball', 'ball', 'tennis', 'sports ball', 'yellow ball', 
-                'sphere', 'yellow sphere', 'yellow', 'sport', 'racket ball',
-                'toy ball', 'playing ball', 'game ball', 'green ball'
-            ];
-            
-            // Check for any tennis ball related keywords
-            for (const keyword of tennisBallKeywords) {
-                if (predicted.includes(keyword)) {
-                    console.log(`✅ TENNIS BALL: Matched with keyword: "${keyword}"`);
-                    return { isMatch: true, confidence: 0.8 };
-                }
-            }
-            
-            // Color and shape based detections for tennis balls
-            if (
-                (predicted.includes('yellow') && (predicted.includes('round') || predicted.includes('sphere') || predicted.includes('ball'))) ||
-                (predicted.includes('green') && (predicted.includes('round') || predicted.includes('sphere') || predicted.includes('ball')))
-            ) {
-                console.log(`✅ TENNIS BALL: Matched with color and shape combination`);
-                return { isMatch: true, confidence: 0.8 };
-            }
-        }
-
-        // Special handling for Rubik's cube - adding enhanced detection
-        if (target === 'rubiks cube' || target === 'rubik\'s cube' || target === 'rubix cube') {
-            // DEBUG: Explicit logging for Rubik's cube matching
-            console.log(`🔍 RUBIK'S CUBE CHECK: Analyzing prediction: "${predicted}"`);
-            
-            const rubiksCubeKeywords = [
-                'cube', 'puzzle', 'rubik', 'rubix', 'rubiks', 'rubik\'s', 'toy', 'game',
-                'puzzle cube', 'magic cube', 'speed cube', 'twisty puzzle', 'colorful cube',
-                'cubing', 'multicolor', 'square', '3x3', 'solved', 'blocks', 'puzzle game'
-            ];
-            
-            // Check for any Rubik's cube related keywords
-            for (const keyword of rubiksCubeKeywords) {
-                if (predicted.includes(keyword)) {
-                    console.log(`✅ RUBIK'S CUBE: Matched with keyword: "${keyword}"`);
-                    return { isMatch: true, confidence: 0.85 };
-                }
-            }
-            
-            // Color-based detection for Rubik's cube
-            if (
-                (predicted.includes('color') && (predicted.includes('cube') || predicted.includes('square') || predicted.includes('puzzle'))) ||
-                (predicted.includes('multi') && predicted.includes('color')) ||
-                (predicted.includes('cube') && predicted.includes('game'))
-            ) {
-                console.log(`✅ RUBIK'S CUBE: Matched with color/type combination`);
-                return { isMatch: true, confidence: 0.85 };
-            }
-            
-            // For any prediction about cubes, lower the threshold
-            if (predicted.includes('cube') || predicted.includes('square') || predicted.includes('plastic')) {
-                console.log(`✅ RUBIK'S CUBE: Matched with cube-related term`);
-                return { isMatch: true, confidence: 0.7 };
-            }
-        }
-
-        // Special handling for scissors
-        if (target === 'scissors') {
-            // DEBUG: Explicit logging for scissors matching
-            console.log(`🔍 SCISSORS CHECK: Analyzing prediction: "${predicted}"`);
-            
-            const scissorsKeywords = [
-                'scissors', 'shears', 'clippers', 'cutting tool', 'blade', 'cut', 'cutter',
-                'cutting instrument', 'snips', 'trimmer', 'cutting implement', 'paper cutter',
-                'pruning', 'trimming', 'craft scissors', 'fabric scissors', 'office scissors'
-            ];
-            
-            // Check for any scissors related keywords
-            for (const keyword of scissorsKeywords) {
-                if (predicted.includes(keyword)) {
-                    console.log(`✅ SCISSORS: Matched with keyword: "${keyword}"`);
-                    return { isMatch: true, confidence: 0.85 };
-                }
-            }
-            
-            // Function-based and appearance-based detection
-            if (
-                (predicted.includes('cut') && (predicted.includes('tool') || predicted.includes('instrument'))) ||
-                (predicted.includes('blade') && predicted.includes('handle')) ||
-                (predicted.includes('metal') && predicted.includes('blades')) ||
-                (predicted.includes('stainless') && predicted.includes('steel'))
-            ) {
-                console.log(`✅ SCISSORS: Matched with function/appearance combination`);
-                return { isMatch: true, confidence: 0.85 };
-            }
-
-            // Lower the confidence threshold specifically for scissors to make detection easier
-            if (this.confidenceThreshold > 0.3 && predicted.includes('cut') || predicted.includes('sciss') || predicted.includes('clip')) {
-                console.log(`✅ SCISSORS: Matched with lower threshold for cutting-related term`);
-                return { isMatch: true, confidence: 0.7 };
-            }
-        }
-
-        // Special handling for books
-        if (target === 'book') {
-            const bookIndicators = ['book', 'novel', 'text', 'publication', 'reading', 'paperback', 'hardcover', 'literature'];
-            if (bookIndicators.some(indicator => predicted.includes(indicator))) {
-                return { isMatch: true, confidence: 0.9 };
-            }
-        }
-
-        // Check for exact match
-        if (predicted === target) {
-            return { isMatch: true, confidence: 1.0 };
-        }
-
-        // Check against known keywords for this item
-        const keywords = this.itemKeywords[target] || [];
-        if (keywords.some(keyword => predicted.includes(keyword))) {
-            return { isMatch: true, confidence: 0.9 };
-        }
-
-        // Check if target is part of the prediction or vice versa
-        if (predicted.includes(target) || target.includes(predicted)) {
-            return { isMatch: true, confidence: 0.9 };
-        }
-
-        // Split into words and check for matches
-        const predictedWords = predicted.split(' ');
-        const targetWords = target.split(' ');
-        
-        let matchCount = 0;
-        for (const targetWord of targetWords) {
-            if (predictedWords.some(word => 
-                word === targetWord || 
-                word.includes(targetWord) || 
-                targetWord.includes(word) ||
-                this.checkSimilarity(word, targetWord)
-            )) {
-                matchCount++;
-            }
-        }
-
-        if (matchCount > 0) {
-            return { isMatch: true, confidence: 0.7 + (0.1 * matchCount) };
-        }
-
-        return { isMatch: false, confidence: 0 };
-    }
-
-    checkSimilarity(word1, word2) {
-        // Simple Levenshtein distance check for similar words
-        if (Math.abs(word1.length - word2.length) > 3) return false;
-        
-        let matches = 0;
-        const minLength = Math.min(word1.length, word2.length);
-        for (let i = 0; i < minLength; i++) {
-            if (word1[i] === word2[i]) matches++;
-        }
-        return matches / Math.max(word1.length, word2.length) > 0.7;
-    }
-
-    setTargetItem(item) {
-        this.currentItem = item;
-        console.log('Set target item:', item); // Debug log
-    }
-
-    getTargetItem() {
-        return this.currentItem;
-    }
-}
-
 // Game state
 const gameState = {
     currentScreen: 'home',
@@ -338,11 +19,25 @@ const gameState = {
     currentRound: 0,
     maxPlayers: 8,
     targetItem: '',
+    targetDetails: null,
     countdown: 3,
     isGameActive: false,
     playerName: '',
+    roomCode: null,
+    pendingPack: null,     // Parsed pack file awaiting save
+    selectedPackId: null,  // Pack to select once the pack list refreshes
+    lobby: null,
+    settings: null,
+    cameraReady: false,
+    isReady: false,
     socket: null,
     scanner: new ItemScanner(),
+    aggregator: new TemporalAggregator(), // Votes over scanned frames before submitting
+    scanLoop: null,                       // { timerId } of the running scanning loop
+    resumeTimerId: null,                  // Restarts scanning once the server takes submissions again
+    camera: new CameraManager(),          // The chosen camera; localStream is its current stream
+    calibration: new CalibrationStore(),  // Camera profiles from the camera check
+    calibrationRun: null,                 // AbortController of the running camera check
     imageHasher: new ImageHasher(),
     audio: new AudioManager(),
     isConnecting: false,
@@ -358,7 +53,9 @@ const gameState = {
         maxStreak: 0,
         currentStreak: 0
     },
-    roundStartTime: null
+    roundStartTime: null,
+    roundEndsAt: null,     // Local time the round timer runs out
+    roundTimerId: null
 };
 
 // DOM Elements
@@ -446,6 +143,9 @@ function initializeSocket() {
             if (gameState.isGameActive) {
                 attemptRejoin();
             }
+
+            // Item packs offered for private rooms
+            gameState.socket.emit('listPacks');
         });
         
         gameState.socket.on('connect_error', (error) => {
@@ -493,7 +193,9 @@ function handleError(error) {
             showError(error.message);
             break;
         case 'submission_locked':
+            // An earlier submission is still being handled; scan again once it's done
             showError('Please wait before submitting again.');
+            resumeScanning(error.retryAfter);
             break;
         case 'room_creation_failed':
             showError('Unable to create game room. Please try again.');
@@ -501,6 +203,29 @@ function handleError(error) {
         case 'already_joined':
             showError('You are already in a game.');
             break;
+        case 'room_not_found':
+        case 'room_expired':
+        case 'room_full':
+        case 'room_locked':
+        case 'game_in_progress':
+        case 'not_host':
+        case 'not_enough_players':
+        case 'players_not_ready':
+        case 'camera_check_required':
+        case 'invalid_settings':
+        case 'invalid_pack':
+        case 'already_forfeited':
+            showError(error.message);
+            break;
+        case 'verification_failed':
+        case 'verification_unavailable':
+        case 'invalid_submission':
+        case 'submission_refused':
+        case 'challenge_failed':
+            // The server rejected the find; keep looking
+            showError(error.message);
+            resumeScanning(error.retryAfter);
+            break;
         default:
             showError('An error occurred. Please try again.');
     }
@@ -571,6 +296,7 @@ async function startGame(data) {
         gameState.isGameActive = true;
         gameState.currentRound = data.round;
         gameState.targetItem = data.targetItem;
+        gameState.targetDetails = data.item || null;
         
         // Play game start sounds
         if (gameState.audio) {
@@ -655,9 +381,13 @@ function createPlayerContainer() {
 
 function startRound(data) {
     gameState.currentRound = data.round;
+    gameState.settings = data.settings || gameState.settings;
     gameState.targetItem = data.targetItem;
-    gameState.scanner.setTargetItem(gameState.targetItem);
+    gameState.targetDetails = data.item || null;
+    gameState.scanner.setTargetItem(gameState.targetItem, gameState.targetDetails);
     gameState.roundStartTime = Date.now();
+    startRoundTimer(data.duration);
+    setForfeitEnabled(true);
     
     // Play round start sound
     gameState.audio.playSound('roundStart');
@@ -673,7 +403,8 @@ function startRound(data) {
     const itemDisplay = document.getElementById('target-item');
     if (itemDisplay) {
         itemDisplay.classList.add('fade-enter');
-        itemDisplay.textContent = gameState.targetItem;
+        itemDisplay.textContent = data.item ? `${data.item.icon} ${data.item.name}` : gameState.targetItem;
+        itemDisplay.title = data.item ? data.item.description : '';
         setTimeout(() => {
             itemDisplay.classList.remove('fade-enter');
         }, 300);
@@ -746,128 +477,100 @@ async function startWebcamScanning() {
     }
 
     console.log("Starting scanning loop with target item:", gameState.targetItem);
-    gameState.scanner.setTargetItem(gameState.targetItem);
+    gameState.scanner.setTargetItem(gameState.targetItem, gameState.targetDetails);
     
-    // Clear previous interval if it exists
-    if (gameState.scanIntervalId) {
-        clearInterval(gameState.scanIntervalId);
-    }
-    
-    // Determine scanning frequency based on target item
-    let scanInterval = 1000; // Default 1 second
-    const targetLower = gameState.targetItem.toLowerCase();
-    
-    if (targetLower === 'rubiks cube' || targetLower === 'rubik\'s cube') {
-        scanInterval = 300; // Fast but not too fast (300ms)
-        console.log(`⚡ FASTER SCANNING: Setting scan interval to ${scanInterval}ms for ${gameState.targetItem}`);
-        // Reset cube detection related state
-        gameState.cubeDetectionAttempts = 0;
-        gameState.lastConfidence = 0;
-        gameState.confidenceHistory = [];
-    } else if (targetLower === 'scissors') {
-        scanInterval = 500; // 2x speed for scissors (500ms)
-        console.log(`Setting scan interval to ${scanInterval}ms for ${gameState.targetItem}`);
-    } else {
-        console.log(`Setting scan interval to ${scanInterval}ms for ${gameState.targetItem}`);
-    }
-    
-    // Start periodic scanning using the correct video element
-    gameState.scanIntervalId = setInterval(async () => {
-        if (gameState.isGameActive && gameState.scanner.isModelLoaded) {
-            try {
-                // Make sure video is playing and ready
-                if (localPlayerVideoElement.readyState >= 2) {
-                    const result = await gameState.scanner.processFrame(localPlayerVideoElement);
-                    console.log("Scan result:", result);
-                    
-                    // For Rubik's cube, use a more sophisticated confidence tracking
-                    if (targetLower === 'rubiks cube' || targetLower === 'rubik\'s cube') {
-                        // Initialize if needed
-                        if (!gameState.confidenceHistory) {
-                            gameState.confidenceHistory = [];
-                        }
-                        
-                        // Only process non-success results for confidence tracking
-                        if (!result.success && result.confidence) {
-                            // Add to history (limited to last 5 readings)
-                            gameState.confidenceHistory.push(result.confidence);
-                            if (gameState.confidenceHistory.length > 5) {
-                                gameState.confidenceHistory.shift(); // Remove oldest
-                            }
-                            
-                            // Calculate average confidence
-                            const avgConfidence = gameState.confidenceHistory.reduce((sum, val) => sum + val, 0) / 
-                                                  gameState.confidenceHistory.length;
-                            
-                            console.log(`Rubik's cube confidence: current=${result.confidence.toFixed(2)}, avg=${avgConfidence.toFixed(2)}`);
-                            
-                            // If we have at least 3 readings and good average confidence
-                            if (gameState.confidenceHistory.length >= 3 && avgConfidence > 0.3 &&
-                                (result.prediction && 
-                                 (result.prediction.toLowerCase().includes('cube') || 
-                                  result.prediction.toLowerCase().includes('rubik') ||
-                                  result.prediction.toLowerCase().includes('puzzle')))) {
-                                
-                                console.log("⚡ RUBIK'S CUBE DETECTED with good confidence pattern");
-                                
-                                // Success! But don't manipulate the result directly
-                                clearInterval(gameState.scanIntervalId);
-                                gameState.isScanning = false;
-                                
-                                // Create an enhanced result that maintains data integrity
-                                const enhancedResult = {
-                                    success: true,
-                                    message: 'Item verified!',
-                                    confidence: avgConfidence,
-                                    prediction: result.prediction || 'cube'
-                                };
-                                
-                                // Reset tracking
-                                gameState.confidenceHistory = [];
-                                
-                                await submitItem(enhancedResult);
-                                
-                                return;
-                            }
-                        }
-                    }
-                    
-                    // Standard success handling (for all items)
-                    if (result.success) {
+    // A new loop starts a fresh vote, whether it's a new round or a rescan after a rejection
+    stopScanning();
+    gameState.aggregator.reset(gameState.targetDetails || findItemByName(gameState.targetItem));
+    const loop = { timerId: null };
+    gameState.scanLoop = loop;
+
+    const scanNextFrame = async () => {
+        if (!gameState.isGameActive || !gameState.scanner.isModelLoaded) {
+            // Stop scanning if game is no longer active or scanner not ready
+            console.log("Stopping scanning loop (Game inactive or scanner not loaded).");
+            stopScanning();
+            return;
+        }
+
+        try {
+            // Make sure video is playing and ready
+            if (localPlayerVideoElement.readyState >= 2) {
+                const startedAt = performance.now();
+                const result = await gameState.scanner.processFrame(localPlayerVideoElement);
+                console.log("Scan result:", result);
+                if (gameState.scanLoop !== loop) return; // Stopped while the frame was processed
+
+                // Only frames the model actually looked at are drawn and take part in the vote;
+                // a skipped frame says nothing new, so the last frame's boxes stay up
+                if (!result.skipped) {
+                    drawDetectionOverlay(localPlayerVideoElement, result);
+                    gameState.aggregator.recordDuration(performance.now() - startedAt);
+                    const vote = gameState.aggregator.add(result);
+                    console.log(`Vote: ${vote.positives}/${vote.frames} positive frames, ${vote.required} needed`);
+
+                    if (vote.accepted) {
                         console.log("Item found! Submitting...");
-                        clearInterval(gameState.scanIntervalId);
+                        stopScanning();
                         gameState.isScanning = false;
                         
-                        await submitItem(result);
+                        await submitItem(vote.result);
                         
                         return;
-                    } else if (result.message && result.message !== 'Item not found or confidence too low') {
-                        // If there's a specific error (not just "item not found")
-                        console.warn("Scanning issue:", result.message);
-                        // Show error for specific technical issues
-                        if (result.message.includes('Video not ready') || 
-                            result.message.includes('Invalid video dimensions')) {
-                            showError(result.message);
-                        }
                     }
-                } else {
-                    console.log("Scanning paused: Video not ready. ReadyState:", localPlayerVideoElement.readyState);
                 }
-            } catch (error) {
-                console.error('Error during scanning interval:', error);
-                showError("Error during scanning. Retrying...");
+
+                if (result.matchedLabel) {
+                    // Found, but too far away or the wrong colour to count
+                    if (!result.success) showMessage(result.reason);
+                } else if (result.skipped && !result.dropped) {
+                    // If there's a specific error (not just "item not found")
+                    console.warn("Scanning issue:", result.reason);
+                    // Show error for specific technical issues
+                    if (result.reason.includes('Video not ready') || 
+                        result.reason.includes('Invalid video dimensions')) {
+                        showError(result.reason);
+                    }
+                }
+            } else {
+                console.log("Scanning paused: Video not ready. ReadyState:", localPlayerVideoElement.readyState);
             }
-        } else {
-            // Stop scanning if game is no longer active or scanner not ready
-            console.log("Stopping scanning loop (Game inactive or scanner not loaded).");
-            clearInterval(gameState.scanIntervalId);
-            gameState.scanIntervalId = null;
+        } catch (error) {
+            console.error('Error during scanning interval:', error);
+            showError("Error during scanning. Retrying...");
         }
-    }, scanInterval);
 
+        if (gameState.scanLoop === loop) {
+            loop.timerId = setTimeout(scanNextFrame, gameState.aggregator.getScanInterval());
+        }
+    };
+
+    loop.timerId = setTimeout(scanNextFrame, 0);
     gameState.isScanning = true;
 }
 
+// Stop the scanning loop, including a frame that is still being processed
+function stopScanning() {
+    clearTimeout(gameState.resumeTimerId);
+    gameState.resumeTimerId = null;
+    if (gameState.scanLoop) {
+        clearTimeout(gameState.scanLoop.timerId);
+        gameState.scanLoop = null;
+    }
+}
+
+// Scan again after a rejected find, once the server's cooldown (retryAfter ms) is over;
+// a find submitted sooner would be turned away again
+function resumeScanning(retryAfter = 0) {
+    clearTimeout(gameState.resumeTimerId);
+    gameState.resumeTimerId = setTimeout(() => {
+        gameState.resumeTimerId = null;
+        if (gameState.isGameActive && !gameState.isScanning) {
+            startWebcamScanning();
+        }
+    }, Math.max(0, retryAfter || 0));
+}
+
 async function submitItem(scanResult) {
     if (!gameState.isGameActive) return;
 
@@ -886,18 +589,25 @@ async function submitItem(scanResult) {
         // IMPORTANT: Log detailed submission data for debugging
         console.log('📤 SUBMITTING ITEM:', {
             item: gameState.targetItem,
-            prediction: scanResult?.prediction || null,
+            prediction: scanResult?.matchedLabel || null,
             confidence: scanResult?.confidence || null
         });
 
+        // The server re-checks this frame, so a submission without one can't score
+        const videoElement = document.getElementById(`video-${gameState.socket?.id}`);
+        const frame = videoElement ? captureFrame(videoElement) : null;
+        if (!frame || !scanResult?.matchedLabel) {
+            throw new Error('No verified frame to submit');
+        }
+        const image = frame.toDataURL('image/jpeg', 0.8);
+
         // Generate image hash and metadata if available
         let imageHash = null;
         let metadata = null;
         
         try {
-            const videoElement = document.getElementById(`video-${gameState.socket?.id}`);
             if (gameState.imageHasher && videoElement) {
-                imageHash = await gameState.imageHasher.generateHash(videoElement);
+                imageHash = await gameState.imageHasher.generateHash(frame);
                 metadata = gameState.imageHasher.getMetadata(videoElement);
             }
         } catch (hashError) {
@@ -916,13 +626,15 @@ async function submitItem(scanResult) {
         const submissionData = {
             item: gameState.targetItem,
             timestamp: Date.now(),
-            prediction: scanResult?.prediction || gameState.targetItem, // Use target item as fallback
-            confidence: scanResult?.confidence || 0.8, // Use high confidence as fallback
+            prediction: scanResult.matchedLabel,
+            confidence: scanResult.confidence,
+            model: scanResult.model || null,
+            image,
             imageHash,
             metadata
         };
 
-        console.log('📤 EMITTING submitItem EVENT:', submissionData);
+        console.log('📤 EMITTING submitItem EVENT:', { ...submissionData, image: `${image.length} chars` });
 
         // Submit to server with all available data
         gameState.socket.emit('submitItem', submissionData);
@@ -954,6 +666,116 @@ async function submitItem(scanResult) {
     }
 }
 
+// Draw detection boxes over the video; the target's box is highlighted
+function drawDetectionOverlay(videoElement, result) {
+    const container = videoElement.parentElement;
+    let overlay = container.querySelector('.detection-overlay');
+    const boxes = result.candidates.filter(candidate => candidate.box);
+    if (boxes.length === 0) {
+        if (overlay) overlay.remove();
+        return;
+    }
+    if (!overlay) {
+        overlay = document.createElement('canvas');
+        overlay.className = 'detection-overlay';
+        container.appendChild(overlay);
+    }
+
+    overlay.width = videoElement.clientWidth;
+    overlay.height = videoElement.clientHeight;
+    const ctx = overlay.getContext('2d');
+    ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+    // The video is drawn with object-fit: cover, so boxes are scaled and cropped the same way
+    const scale = Math.max(overlay.width / videoElement.videoWidth, overlay.height / videoElement.videoHeight);
+    const offsetX = (overlay.width - videoElement.videoWidth * scale) / 2;
+    const offsetY = (overlay.height - videoElement.videoHeight * scale) / 2;
+
+    ctx.lineWidth = 3;
+    ctx.font = '14px sans-serif';
+    boxes.forEach(detection => {
+        const [x, y, width, height] = detection.box;
+        const isTarget = result.box && detection.box === result.box;
+        ctx.strokeStyle = isTarget ? (result.success ? '#4CAF50' : '#FFC107') : 'rgba(255, 255, 255, 0.4)';
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.strokeRect(offsetX + x * scale, offsetY + y * scale, width * scale, height * scale);
+        ctx.fillText(`${detection.label} ${Math.round(detection.score * 100)}%`, offsetX + x * scale + 4, offsetY + y * scale + 16);
+    });
+}
+
+function clearDetectionOverlay() {
+    document.querySelectorAll('.detection-overlay').forEach(overlay => overlay.remove());
+}
+
+// Downscale the current frame for server-side verification; the same canvas is hashed and sent as a JPEG.
+// It gets the camera's calibration adjustment, so the server sees what the scanner saw
+function captureFrame(videoElement, maxSize = 320) {
+    const { videoWidth, videoHeight } = videoElement;
+    if (!videoWidth || !videoHeight) return null;
+
+    const scale = Math.min(1, maxSize / Math.max(videoWidth, videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(videoWidth * scale);
+    canvas.height = Math.round(videoHeight * scale);
+    drawAdjusted(canvas.getContext('2d'), videoElement, gameState.scanner.adjustment);
+    return canvas;
+}
+
+// Capture a short burst of frames while the player follows the server's instruction
+async function runVerificationChallenge(challenge) {
+    const prompt = document.getElementById('challenge-prompt');
+    const videoElement = document.getElementById(`video-${gameState.socket?.id}`);
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    if (prompt) {
+        prompt.textContent = `📸 ${challenge.instruction}`;
+        prompt.hidden = false;
+    }
+    gameState.audio.playSound('countdown');
+
+    try {
+        // Give the player a moment to start moving before the first frame
+        await wait(challenge.captureInterval);
+        const images = [];
+        for (let i = 0; i < challenge.frameCount; i++) {
+            const frame = videoElement ? captureFrame(videoElement) : null;
+            if (frame) images.push(frame.toDataURL('image/jpeg', 0.8));
+            if (i < challenge.frameCount - 1) await wait(challenge.captureInterval);
+        }
+
+        gameState.socket.emit('submitChallenge', { challengeId: challenge.challengeId, images });
+    } finally {
+        if (prompt) prompt.hidden = true;
+    }
+}
+
+// The server sends time remaining rather than a timestamp, so client clock skew doesn't matter
+function startRoundTimer(remaining) {
+    stopRoundTimer();
+    gameState.roundEndsAt = Date.now() + remaining;
+
+    const timerDisplay = document.getElementById('round-timer');
+    const tick = () => {
+        const left = Math.max(0, gameState.roundEndsAt - Date.now());
+        if (timerDisplay) timerDisplay.textContent = formatTime(left + 999); // Round up so 0:00 means time's up
+        if (left === 0) stopRoundTimer();
+    };
+    tick();
+    gameState.roundTimerId = setInterval(tick, 250);
+}
+
+function stopRoundTimer() {
+    if (gameState.roundTimerId) {
+        clearInterval(gameState.roundTimerId);
+        gameState.roundTimerId = null;
+    }
+}
+
+function setForfeitEnabled(enabled) {
+    const forfeitButton = document.getElementById('forfeit-round');
+    if (forfeitButton) forfeitButton.disabled = !enabled;
+}
+
 function updateCountdown(count) {
     countdownDisplay.textContent = count;
 }
@@ -1040,21 +862,9 @@ async function initializeLocalWebcam(videoElement) {
     }
     
     try {
-        // Get user media with constraints
-        const constraints = {
-            video: {
-                width: { ideal: 640 },
-                height: { ideal: 480 },
-                facingMode: "user"
-            },
-            audio: false
-        };
-        
+        // The camera manager opens the player's chosen camera; its stream listener stores the stream
         console.log("Requesting webcam access...");
-        const stream = await navigator.mediaDevices.getUserMedia(constraints);
-        
-        // Store stream globally and assign to video element
-        gameState.localStream = stream;
+        const stream = await gameState.camera.start();
         videoElement.srcObject = stream;
         
         // Wait for video to be ready
@@ -1079,22 +889,59 @@ async function initializeLocalWebcam(videoElement) {
         return true;
     } catch (error) {
         console.error("Error accessing webcam:", error);
-        
-        // Show specific error message based on error type
-        if (error.name === "NotAllowedError" || error.name === "PermissionDeniedError") {
-            showError("Camera access denied. Please allow camera access in your browser settings.");
-        } else if (error.name === "NotFoundError" || error.name === "DevicesNotFoundError") {
-            showError("No camera found. Please connect a camera and try again.");
-        } else if (error.name === "NotReadableError" || error.name === "TrackStartError") {
-            showError("Camera is in use by another application. Please close other applications using your camera.");
-        } else {
-            showError("Error accessing camera: " + error.message);
-        }
-        
+        showCameraError(error);
         return false;
     }
 }
 
+// Show specific error message based on error type
+function showCameraError(error) {
+    if (error.name === "NotAllowedError" || error.name === "PermissionDeniedError") {
+        showError("Camera access denied. Please allow camera access in your browser settings.");
+    } else if (error.name === "NotFoundError" || error.name === "DevicesNotFoundError") {
+        showError("No camera found. Please connect a camera and try again.");
+    } else if (error.name === "NotReadableError" || error.name === "TrackStartError") {
+        showError("Camera is in use by another application. Please close other applications using your camera.");
+    } else if (error.name === "OverconstrainedError") {
+        showError("The camera doesn't support that setting. Please choose another resolution.");
+    } else {
+        showError("Error accessing camera: " + error.message);
+    }
+}
+
+// Follow the camera manager: a new stream (another camera, resolution, or a fallback after the
+// camera was unplugged) replaces the old one in every local video, and the scan loop keeps going
+function initializeCamera() {
+    gameState.camera.on('stream', (stream) => {
+        // With no camera left, the ended stream stays in place until another one replaces it
+        if (!stream) return;
+
+        const previous = gameState.localStream;
+        gameState.localStream = stream;
+        if (previous) {
+            document.querySelectorAll('video').forEach(video => {
+                if (video.srcObject === previous) {
+                    video.srcObject = stream;
+                    video.play().catch(error => console.warn('Could not play the new camera stream:', error));
+                }
+            });
+        }
+
+        applyCameraProfile(gameState.calibration.load(getCameraId(stream)));
+        // Frames from the last camera say nothing about what this one sees
+        if (previous && gameState.isScanning) {
+            gameState.aggregator.reset(gameState.targetDetails || findItemByName(gameState.targetItem));
+            showMessage('Camera switched');
+        }
+    });
+    gameState.camera.on('error', (error) => {
+        console.error('Camera error:', error);
+        showCameraError(error);
+    });
+
+    document.body.appendChild(new CameraPicker(gameState.camera).create());
+}
+
 function removePlayer(playerId) {
     // Find the player's position
     const position = Object.keys(gameState.players).find(pos => 
@@ -1186,11 +1033,12 @@ function showSuccessIndicator() {
 
 function endRound(data) {
     console.log("Ending round, stopping scanning loop.");
-    // Stop scanning interval
-    if (gameState.scanIntervalId) {
-        clearInterval(gameState.scanIntervalId);
-        gameState.scanIntervalId = null;
-    }
+    stopScanning();
+    gameState.aggregator.reset();
+
+    stopRoundTimer();
+    setForfeitEnabled(false);
+    clearDetectionOverlay();
 
     // Play round end sound
     gameState.audio.playSound('roundEnd');
@@ -1203,17 +1051,19 @@ function endRound(data) {
     // }
     
     // Update player stats
-    const currentPlayer = data.scores.find(score => score.playerId === gameState.socket.id);
+    const currentPlayer = data.results.find(result => result.id === gameState.socket.id);
     if (currentPlayer) {
         // Ensure playerStats exists
         if (!gameState.playerStats) {
             gameState.playerStats = { roundScores: [], roundTimes: [], maxStreak: 0, currentStreak: 0 };
         }
-        gameState.playerStats.roundScores.push(currentPlayer.score);
+        gameState.playerStats.roundScores.push(currentPlayer.roundScore);
         // Make sure roundStartTime was recorded
         const roundDuration = gameState.roundStartTime ? (Date.now() - gameState.roundStartTime) : 0;
         gameState.playerStats.roundTimes.push(roundDuration);
-        gameState.playerStats.maxStreak = Math.max(gameState.playerStats.maxStreak || 0, gameState.playerStats.currentStreak || 0);
+        // Streaks are tracked by the server
+        gameState.playerStats.currentStreak = currentPlayer.streak;
+        gameState.playerStats.maxStreak = currentPlayer.bestStreak;
     }
 
     // Show round summary
@@ -1231,12 +1081,19 @@ function showRoundSummary(data) {
     // Update round score
     const roundScore = gameState.playerStats.roundScores[gameState.currentRound - 1];
     document.getElementById('round-points').textContent = roundScore;
+
+    // Explain where the points came from
+    const currentPlayer = data.results.find(result => result.id === gameState.socket.id);
+    const breakdownElement = document.getElementById('round-breakdown');
+    if (breakdownElement) {
+        breakdownElement.textContent = currentPlayer ? describeScoreBreakdown(currentPlayer.breakdown) : '';
+    }
     
     // Update rankings
     const roundLeaderboard = document.getElementById('round-leaderboard');
     roundLeaderboard.innerHTML = '';
     
-    data.scores.forEach((score, index) => {
+    data.results.forEach((result, index) => {
         const entry = document.createElement('div');
         entry.className = 'ranking-entry';
         
@@ -1245,19 +1102,22 @@ function showRoundSummary(data) {
         entry.innerHTML = `
             <div class="ranking-position">${medal || (index + 1)}</div>
             <div class="ranking-details">
-                <div class="ranking-name">${score.playerName}</div>
+                <div class="ranking-name">${result.name}</div>
             </div>
-            <div class="ranking-score">${score.score} pts</div>
+            <div class="ranking-score">${result.roundScore} pts</div>
         `;
         
         roundLeaderboard.appendChild(entry);
     });
     
     // Update next round info
-    if (gameState.currentRound < 3) {
-        const difficulties = ['common', 'specific', 'rare'];
-        document.getElementById('next-round-difficulty').textContent = difficulties[gameState.currentRound];
-        startNextRoundCountdown();
+    const nextRoundInfo = document.querySelector('.next-round-info');
+    if (data.nextDifficulty) {
+        document.getElementById('next-round-difficulty').textContent = data.nextDifficulty;
+        startNextRoundCountdown(Math.round(data.nextRoundIn / 1000));
+        if (nextRoundInfo) nextRoundInfo.style.display = '';
+    } else if (nextRoundInfo) {
+        nextRoundInfo.style.display = 'none';
     }
     
     showScreen('round-summary');
@@ -1269,23 +1129,34 @@ function endGame(data) {
     gameState.audio.playSound('gameOver');
 
     gameState.isGameActive = false;
+    stopRoundTimer();
+    setForfeitEnabled(false);
     
     // Calculate final stats
     const totalScore = gameState.playerStats.roundScores.reduce((a, b) => a + b, 0);
     const bestRound = Math.max(...gameState.playerStats.roundScores);
     const avgTime = gameState.playerStats.roundTimes.reduce((a, b) => a + b, 0) / gameState.playerStats.roundTimes.length;
     
+    // Best streak comes from the server's final results
+    const finalResult = data.results.find(result => result.id === gameState.socket.id);
+    if (finalResult) {
+        gameState.playerStats.maxStreak = finalResult.maxStreak;
+    }
+    
     // Update stats display
     document.getElementById('total-score').textContent = totalScore;
     document.getElementById('best-round').textContent = bestRound;
     document.getElementById('max-streak').textContent = gameState.playerStats.maxStreak;
     document.getElementById('avg-time').textContent = formatTime(avgTime);
+
+    // The seed lets a host replay the same items in a later game
+    document.getElementById('game-seed').textContent = data.seed ? `Item seed: ${data.seed}` : '';
     
     // Update final leaderboard
     const finalLeaderboard = document.getElementById('final-leaderboard');
     finalLeaderboard.innerHTML = '';
     
-    data.scores.forEach((score, index) => {
+    data.results.forEach((result, index) => {
         const entry = document.createElement('div');
         entry.className = 'ranking-entry';
         
@@ -1294,9 +1165,9 @@ function endGame(data) {
         entry.innerHTML = `
             <div class="ranking-position">${medal || (index + 1)}</div>
             <div class="ranking-details">
-                <div class="ranking-name">${score.playerName}</div>
+                <div class="ranking-name">${result.name}</div>
             </div>
-            <div class="ranking-score">${score.score} pts</div>
+            <div class="ranking-score">${result.totalScore} pts</div>
         `;
         
         finalLeaderboard.appendChild(entry);
@@ -1305,9 +1176,10 @@ function endGame(data) {
     showScreen('game-summary');
 }
 
-function startNextRoundCountdown() {
-    let countdown = 5;
+function startNextRoundCountdown(seconds = 5) {
+    let countdown = seconds;
     const countdownElement = document.getElementById('next-round-countdown');
+    countdownElement.textContent = countdown;
     
     const timer = setInterval(() => {
         countdown--;
@@ -1326,6 +1198,22 @@ function formatTime(ms) {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 }
 
+function formatPlacement(placement) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    return `${placement}${suffixes[placement] || 'th'}`;
+}
+
+// Summarize a server score breakdown, e.g. "100 + 37 time · ×1.5 round · ×0.8 2nd place"
+function describeScoreBreakdown(breakdown) {
+    if (!breakdown) return 'Item not found this round';
+
+    const parts = [`${breakdown.base} + ${breakdown.timeBonus} time`];
+    if (breakdown.roundMultiplier !== 1) parts.push(`×${breakdown.roundMultiplier} round`);
+    parts.push(`×${breakdown.placementMultiplier} ${formatPlacement(breakdown.placement)} place`);
+    if (breakdown.streakMultiplier > 1) parts.push(`×${breakdown.streakMultiplier.toFixed(1)} streak`);
+    return parts.join(' · ');
+}
+
 function getMedalEmoji(position) {
     const medals = ['🥇', '🥈', '🥉'];
     return medals[position] || '';
@@ -1394,6 +1282,7 @@ function showScreen(screenId) {
     // Show new screen with fade in
     const screen = document.getElementById(screenId);
     if (screen) {
+        gameState.currentScreen = screenId;
         setTimeout(() => {
             screen.classList.add('active', 'fade-enter');
             setTimeout(() => {
@@ -1416,11 +1305,17 @@ if (startGameButton) {
 
             const playerNameInput = document.getElementById('player-name');
             const playerName = playerNameInput.value.trim();
+            const roomCode = getRoomCodeInput();
             
             if (playerName) {
                 gameState.playerName = playerName;
-                console.log('Emitting joinGame event with name:', playerName);
-                gameState.socket.emit('joinGame', { name: playerName });
+                if (roomCode) {
+                    console.log('Emitting joinPrivateRoom event with code:', roomCode);
+                    gameState.socket.emit('joinPrivateRoom', { name: playerName, code: roomCode });
+                } else {
+                    console.log('Emitting joinGame event with name:', playerName);
+                    gameState.socket.emit('joinGame', { name: playerName });
+                }
                 
                 // Play click sound
                 if (gameState.audio) {
@@ -1438,8 +1333,548 @@ if (startGameButton) {
     console.error('Start game button not found in the DOM');
 }
 
+// Create a private room that only people with the code can join
+const createPrivateRoomButton = document.getElementById('create-private-room');
+if (createPrivateRoomButton) {
+    createPrivateRoomButton.addEventListener('click', () => {
+        if (!gameState.socket || !gameState.socket.connected) {
+            showError('Not connected to game server. Please refresh the page.');
+            return;
+        }
+
+        const playerName = document.getElementById('player-name').value.trim();
+        if (!playerName) {
+            showError('Please enter your name');
+            return;
+        }
+
+        gameState.playerName = playerName;
+        gameState.socket.emit('createPrivateRoom', {
+            name: playerName,
+            settings: readRoomSettingsForm()
+        });
+
+        if (gameState.audio) {
+            gameState.audio.playSound('click');
+        }
+    });
+}
+
+// Item packs: import a JSON file, preview it, then save it to the server
+const packFileInput = document.getElementById('pack-file');
+if (packFileInput) {
+    packFileInput.addEventListener('change', async () => {
+        const file = packFileInput.files[0];
+        if (!file) return;
+
+        try {
+            gameState.pendingPack = JSON.parse(await file.text());
+        } catch (error) {
+            clearPackPreview();
+            showError('That file is not valid JSON');
+            return;
+        }
+        gameState.socket.emit('previewPack', { pack: gameState.pendingPack });
+    });
+}
+
+const savePackButton = document.getElementById('save-pack');
+if (savePackButton) {
+    savePackButton.addEventListener('click', () => {
+        if (!gameState.pendingPack) return;
+        gameState.socket.emit('uploadPack', { pack: gameState.pendingPack });
+    });
+}
+
+const discardPackButton = document.getElementById('discard-pack');
+if (discardPackButton) {
+    discardPackButton.addEventListener('click', clearPackPreview);
+}
+
+const packSelect = document.getElementById('setting-pack');
+if (packSelect) {
+    packSelect.addEventListener('change', updatePackExportLink);
+}
+
+// Collect the private room settings form; the server validates and bounds them
+function readRoomSettingsForm() {
+    const settings = {};
+    const readNumber = (id, scale = 1) => {
+        const input = document.getElementById(id);
+        if (!input || input.value === '') return undefined;
+        return Math.round(Number(input.value) * scale);
+    };
+    const readList = (id) => {
+        const input = document.getElementById(id);
+        if (!input || !input.value.trim()) return undefined;
+        return input.value.split(',').map(value => value.trim().toLowerCase()).filter(Boolean);
+    };
+
+    settings.rounds = readNumber('setting-rounds');
+    settings.roundDuration = readNumber('setting-round-duration', 1000);
+    settings.intermissionDuration = readNumber('setting-intermission', 1000);
+    settings.maxPlayers = readNumber('setting-max-players');
+    settings.readyTimeout = readNumber('setting-ready-timeout', 1000);
+    settings.suddenDeathDuration = readNumber('setting-sudden-death', 1000);
+    const livenessInput = document.getElementById('setting-liveness');
+    settings.livenessCheck = livenessInput ? livenessInput.checked : undefined;
+    settings.difficultyCurve = readList('setting-difficulty-curve');
+    settings.itemPool = readList('setting-item-pool');
+    const packSelect = document.getElementById('setting-pack');
+    settings.packId = packSelect && packSelect.value ? packSelect.value : undefined;
+    const seedInput = document.getElementById('setting-seed');
+    settings.seed = seedInput && seedInput.value.trim() ? seedInput.value.trim() : undefined;
+
+    // Drop untouched fields so server defaults apply
+    Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+    return settings;
+}
+
+function describeSettings(settings) {
+    if (!settings) return '';
+    const parts = [
+        `${settings.rounds} rounds`,
+        `${Math.round(settings.roundDuration / 1000)}s per round`,
+        `${Math.round(settings.intermissionDuration / 1000)}s break`,
+        `difficulty: ${settings.difficultyCurve.join(' → ')}`
+    ];
+    if (settings.suddenDeathDuration) {
+        parts.push(`sudden death: ${Math.round(settings.suddenDeathDuration / 1000)}s`);
+    }
+    if (settings.livenessCheck) {
+        parts.push('liveness check');
+    }
+    if (settings.packId) {
+        parts.push(`pack: ${settings.packId}`);
+    }
+    if (settings.itemPool) {
+        parts.push(`items: ${settings.itemPool.join(', ')}`);
+    }
+    if (settings.seed) {
+        parts.push(`seed: ${settings.seed}`);
+    }
+    return parts.join(' · ');
+}
+
+function renderPackOptions(packs) {
+    const select = document.getElementById('setting-pack');
+    if (!select) return;
+
+    const selected = gameState.selectedPackId || select.value;
+    select.innerHTML = '<option value="">Built-in items</option>';
+    packs.forEach(pack => {
+        const option = document.createElement('option');
+        option.value = pack.id;
+        option.textContent = `${pack.name} (${pack.itemCount} items)`;
+        option.title = pack.description;
+        select.appendChild(option);
+    });
+    select.value = packs.some(pack => pack.id === selected) ? selected : '';
+    gameState.selectedPackId = null;
+    updatePackExportLink();
+}
+
+function updatePackExportLink() {
+    const select = document.getElementById('setting-pack');
+    const exportLink = document.getElementById('export-pack');
+    if (!select || !exportLink) return;
+
+    exportLink.hidden = !select.value;
+    exportLink.href = select.value ? `/packs/${encodeURIComponent(select.value)}` : '';
+}
+
+function renderPackPreview(pack) {
+    const preview = document.getElementById('pack-preview');
+    const details = document.getElementById('pack-preview-details');
+    if (!preview || !details) return;
+
+    details.innerHTML = '';
+    const title = document.createElement('strong');
+    title.textContent = `${pack.name} · ${pack.itemCount} items`;
+    details.appendChild(title);
+
+    if (pack.description) {
+        const description = document.createElement('div');
+        description.textContent = pack.description;
+        details.appendChild(description);
+    }
+
+    const list = document.createElement('ul');
+    pack.items.forEach(item => {
+        const entry = document.createElement('li');
+        entry.textContent = `${item.icon} ${item.name} (${item.difficulty})`;
+        entry.title = item.description;
+        list.appendChild(entry);
+    });
+    details.appendChild(list);
+    preview.hidden = false;
+}
+
+function clearPackPreview() {
+    gameState.pendingPack = null;
+    const preview = document.getElementById('pack-preview');
+    const fileInput = document.getElementById('pack-file');
+    if (preview) preview.hidden = true;
+    if (fileInput) fileInput.value = '';
+}
+
+// Read the room code from the input, normalized the same way the server does
+function getRoomCodeInput() {
+    const roomCodeInput = document.getElementById('room-code');
+    if (!roomCodeInput) return '';
+    return roomCodeInput.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Prefill the room code from a shared ?room=CODE link
+function applyRoomCodeFromUrl() {
+    const code = new URLSearchParams(window.location.search).get('room');
+    const roomCodeInput = document.getElementById('room-code');
+    if (code && roomCodeInput) {
+        roomCodeInput.value = code.toUpperCase();
+    }
+}
+
+function getRoomShareLink(code) {
+    return `${window.location.origin}${window.location.pathname}?room=${encodeURIComponent(code)}`;
+}
+
+function showRoomCodeBanner(code) {
+    let banner = document.getElementById('room-code-banner');
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = 'room-code-banner';
+        banner.className = 'room-code-banner';
+        document.body.appendChild(banner);
+    }
+
+    banner.innerHTML = `
+        <span>Room code:</span>
+        <span class="room-code">${code}</span>
+        <button class="copy-room-link">Copy Link</button>
+    `;
+
+    banner.querySelector('.copy-room-link').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(getRoomShareLink(code));
+            showMessage('Invite link copied!');
+        } catch (error) {
+            console.warn('Clipboard unavailable:', error);
+            showMessage(getRoomShareLink(code));
+        }
+    });
+}
+
+// Lobby rendering and host controls
+function isLocalPlayerHost() {
+    return Boolean(gameState.lobby && gameState.lobby.hostId === gameState.socket?.id);
+}
+
+function renderLobby() {
+    const lobby = gameState.lobby;
+    if (!lobby) return;
+
+    const isHost = isLocalPlayerHost();
+    const playerList = document.getElementById('lobby-player-list');
+    const playerCount = document.getElementById('lobby-player-count');
+    const lobbyStatus = document.getElementById('lobby-status');
+    const hostControls = document.getElementById('host-controls');
+    const lockCheckbox = document.getElementById('lock-room');
+
+    if (playerCount) {
+        playerCount.textContent = `(${lobby.players.length}/${lobby.maxPlayers})`;
+    }
+
+    // Keep the local ready flag in sync with the server's roster
+    const localPlayer = lobby.players.find(p => p.id === gameState.socket?.id);
+    gameState.isReady = Boolean(localPlayer?.isReady);
+    updateReadyButton();
+
+    if (lobbyStatus) {
+        if (!lobby.allReady) {
+            lobbyStatus.textContent = 'Waiting for everyone to check their camera and ready up...';
+        } else {
+            lobbyStatus.textContent = isHost
+                ? 'Everyone is ready. Start the game!'
+                : 'Everyone is ready. Waiting for the host to start the game...';
+        }
+        if (lobby.isLocked) {
+            lobbyStatus.textContent += ' (Room locked)';
+        }
+    }
+
+    if (hostControls) {
+        hostControls.classList.toggle('visible', isHost);
+    }
+
+    const hostStartButton = document.getElementById('host-start-game');
+    if (hostStartButton) {
+        hostStartButton.disabled = !lobby.allReady;
+    }
+
+    if (lockCheckbox) {
+        lockCheckbox.checked = lobby.isLocked;
+    }
+
+    const lobbySettings = document.getElementById('lobby-settings');
+    if (lobbySettings) {
+        lobbySettings.textContent = describeSettings(lobby.settings);
+    }
+
+    if (!playerList) return;
+    playerList.innerHTML = '';
+
+    lobby.players.forEach(player => {
+        const entry = document.createElement('div');
+        entry.className = 'ranking-entry lobby-player';
+
+        const readyState = document.createElement('div');
+        readyState.className = 'ready-state';
+        readyState.textContent = player.isReady ? '✅' : (player.cameraReady ? '📷' : '⏳');
+        readyState.title = player.isReady ? 'Ready' : (player.cameraReady ? 'Camera OK, not ready' : 'Not ready');
+        entry.appendChild(readyState);
+
+        const name = document.createElement('div');
+        name.className = 'ranking-details ranking-name';
+        name.textContent = player.name;
+        if (player.id === lobby.hostId) {
+            const badge = document.createElement('span');
+            badge.className = 'host-badge';
+            badge.textContent = '👑';
+            name.appendChild(badge);
+        }
+        entry.appendChild(name);
+
+        // Host can act on everyone but themselves
+        if (isHost && player.id !== gameState.socket.id) {
+            const actions = document.createElement('div');
+            actions.className = 'lobby-player-actions';
+            actions.innerHTML = `
+                <button class="make-host" data-player-id="${player.id}">Make Host</button>
+                <button class="kick-player" data-player-id="${player.id}">Kick</button>
+            `;
+            entry.appendChild(actions);
+        }
+
+        playerList.appendChild(entry);
+    });
+}
+
+function updateReadyButton() {
+    const readyButton = document.getElementById('toggle-ready');
+    if (!readyButton) return;
+    readyButton.disabled = !gameState.cameraReady;
+    readyButton.textContent = gameState.isReady ? 'Not Ready' : "I'm Ready";
+}
+
+// Scan with a camera's calibration profile (or without one, for an uncalibrated camera)
+function applyCameraProfile(profile) {
+    gameState.scanner.setCalibration(profile);
+    gameState.aggregator.applyProfile(profile);
+}
+
+// Camera check: the camera must produce real frames before a player can ready up, and is
+// calibrated while they're at it (see src/ai/calibration.js)
+async function checkLobbyCamera() {
+    stopCalibration();
+    const run = new AbortController();
+    gameState.calibrationRun = run;
+
+    const preview = document.getElementById('calibration-preview');
+    const status = document.getElementById('calibration-status');
+    const recalibrateButton = document.getElementById('recalibrate');
+    recalibrateButton.disabled = true;
+    renderCalibration(null);
+    showScreen('calibration-screen');
+
+    try {
+        const started = await initializeLocalWebcam(preview);
+        // A stream that was already running is attached without waiting for its first frame
+        if (started && preview.readyState < 2) {
+            await new Promise((resolve) => {
+                preview.addEventListener('loadeddata', resolve, { once: true });
+                setTimeout(resolve, 1000);
+            });
+        }
+        gameState.cameraReady = Boolean(started && preview.videoWidth > 0 && preview.videoHeight > 0);
+        updateReadyButton();
+        gameState.socket.emit('setReady', { ready: gameState.isReady, cameraReady: gameState.cameraReady });
+        if (!gameState.cameraReady) {
+            status.textContent = 'Camera check failed. Make sure your camera is connected and allowed.';
+            return;
+        }
+
+        if (!gameState.scanner.isModelLoaded) {
+            status.textContent = 'Loading the scanner...';
+            await gameState.scanner.initialize();
+        }
+        const profile = await calibrateCamera(preview, {
+            scanner: gameState.scanner.isModelLoaded ? gameState.scanner : null,
+            signal: run.signal,
+            onProgress: (message) => {
+                status.textContent = message;
+            }
+        });
+        if (!profile) return; // Left the screen
+
+        gameState.calibration.save(profile);
+        applyCameraProfile(profile);
+        renderCalibration(profile);
+    } catch (error) {
+        console.error('Camera calibration failed:', error);
+        status.textContent = `Camera check failed: ${error.message}`;
+    } finally {
+        if (gameState.calibrationRun === run) {
+            gameState.calibrationRun = null;
+        }
+        recalibrateButton.disabled = false;
+    }
+}
+
+function stopCalibration() {
+    if (gameState.calibrationRun) {
+        gameState.calibrationRun.abort();
+        gameState.calibrationRun = null;
+    }
+}
+
+function describeAdjustment(adjustment) {
+    if (!adjustment) return 'None needed';
+    const percent = (factor) => `${factor >= 1 ? '+' : ''}${Math.round((factor - 1) * 100)}%`;
+    return `Brightness ${percent(adjustment.gain)}, contrast ${percent(adjustment.contrast)}`;
+}
+
+// Show a calibration's measurements and what to fix; null clears them for a new run
+function renderCalibration(profile) {
+    const status = document.getElementById('calibration-status');
+    const measurements = document.getElementById('calibration-measurements');
+    const fixes = document.getElementById('calibration-fixes');
+    measurements.innerHTML = '';
+    fixes.innerHTML = '';
+
+    if (!profile) {
+        status.textContent = 'Starting the camera...';
+        return;
+    }
+
+    status.textContent = profile.issues.length > 0 ? 'A few things would help the scanner:' : 'Camera looks good!';
+    const reference = profile.reference?.label
+        ? `${profile.reference.label.split(',')[0]} (${Math.round(profile.reference.score * 100)}%), ${profile.inferenceTime} ms a frame`
+        : 'Nothing yet';
+    const rows = [
+        ['Brightness', `${Math.round(profile.brightness / 2.55)}%`],
+        ['Sharpness', Math.round(profile.sharpness)],
+        ['Resolution', `${profile.width}×${profile.height}`],
+        ['Frame rate', profile.frameRate ? `${Math.round(profile.frameRate)} fps` : 'Unknown'],
+        ['Scanner sees', reference],
+        ['Correction', describeAdjustment(profile.adjustment)]
+    ];
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        measurements.append(term, detail);
+    });
+
+    profile.issues.forEach(issue => {
+        const fix = document.createElement('li');
+        fix.textContent = issue.message;
+        fixes.appendChild(fix);
+    });
+}
+
+function leaveLobby() {
+    stopCalibration();
+    gameState.lobby = null;
+    gameState.roomCode = null;
+    gameState.isReady = false;
+    const banner = document.getElementById('room-code-banner');
+    if (banner) banner.remove();
+    showScreen('home-screen');
+}
+
+const hostStartButton = document.getElementById('host-start-game');
+if (hostStartButton) {
+    hostStartButton.addEventListener('click', () => {
+        gameState.socket.emit('requestStartGame');
+    });
+}
+
+const checkCameraButton = document.getElementById('check-camera');
+if (checkCameraButton) {
+    checkCameraButton.addEventListener('click', checkLobbyCamera);
+}
+
+const recalibrateButton = document.getElementById('recalibrate');
+if (recalibrateButton) {
+    recalibrateButton.addEventListener('click', checkLobbyCamera);
+}
+
+const finishCalibrationButton = document.getElementById('finish-calibration');
+if (finishCalibrationButton) {
+    finishCalibrationButton.addEventListener('click', () => {
+        stopCalibration();
+        const preview = document.getElementById('lobby-camera-preview');
+        if (gameState.localStream) {
+            preview.srcObject = gameState.localStream;
+        }
+        showScreen('lobby-screen');
+    });
+}
+
+const toggleReadyButton = document.getElementById('toggle-ready');
+if (toggleReadyButton) {
+    toggleReadyButton.addEventListener('click', () => {
+        gameState.socket.emit('setReady', {
+            ready: !gameState.isReady,
+            cameraReady: gameState.cameraReady
+        });
+    });
+}
+
+const forfeitButton = document.getElementById('forfeit-round');
+if (forfeitButton) {
+    forfeitButton.addEventListener('click', () => {
+        // Stop scanning; the server ends the round once everyone is done
+        stopScanning();
+        gameState.isScanning = false;
+        setForfeitEnabled(false);
+        gameState.socket.emit('forfeitRound');
+        showMessage('You gave up this round');
+    });
+}
+
+const lockRoomCheckbox = document.getElementById('lock-room');
+if (lockRoomCheckbox) {
+    lockRoomCheckbox.addEventListener('change', () => {
+        gameState.socket.emit('lockRoom', { locked: lockRoomCheckbox.checked });
+    });
+}
+
+const lobbyPlayerList = document.getElementById('lobby-player-list');
+if (lobbyPlayerList) {
+    lobbyPlayerList.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-player-id]');
+        if (!button) return;
+
+        const playerId = button.dataset.playerId;
+        if (button.classList.contains('kick-player')) {
+            gameState.socket.emit('kickPlayer', { playerId });
+        } else if (button.classList.contains('make-host')) {
+            gameState.socket.emit('transferHost', { playerId });
+        }
+    });
+}
+
 // Update the play again button handler
 document.getElementById('play-again').addEventListener('click', () => {
+    // Still seated in a room: go back to its lobby
+    if (gameState.lobby) {
+        renderLobby();
+        showScreen('lobby-screen');
+        return;
+    }
+
     const playerNameInput = document.getElementById('player-name');
     const playerName = playerNameInput.value.trim();
     
@@ -1461,6 +1896,8 @@ async function init() {
     try {
         console.log('Game initializing...');
         await initializeAudio();
+        initializeCamera();
+        applyRoomCodeFromUrl();
         showScreen('home-screen');
         initializeSocket();
         console.log('Game initialization complete');
@@ -1475,8 +1912,64 @@ document.addEventListener('DOMContentLoaded', init);
 
 // Setup game event handlers
 function setupGameEventHandlers() {
+    gameState.socket.on('packList', (data) => {
+        renderPackOptions(data.packs);
+    });
+
+    gameState.socket.on('packPreview', (data) => {
+        renderPackPreview(data.pack);
+    });
+
+    gameState.socket.on('packUploaded', (data) => {
+        console.log('Item pack saved:', data.pack);
+        clearPackPreview();
+        gameState.selectedPackId = data.pack.id;
+        gameState.socket.emit('listPacks');
+    });
+
+    gameState.socket.on('privateRoomCreated', (data) => {
+        console.log('Private room created:', data);
+        gameState.roomCode = data.code;
+        window.history.replaceState(null, '', getRoomShareLink(data.code));
+        showRoomCodeBanner(data.code);
+    });
+
+    gameState.socket.on('lobbyUpdated', (data) => {
+        console.log('Lobby updated:', data);
+        gameState.lobby = data;
+        renderLobby();
+        if (gameState.currentScreen === 'home-screen') {
+            showScreen('lobby-screen');
+        }
+    });
+
+    gameState.socket.on('countdownCancelled', (data) => {
+        console.log('Countdown cancelled:', data);
+        showScreen('lobby-screen');
+        showMessage(`Countdown cancelled: ${data.reason}`);
+    });
+
+    gameState.socket.on('hostChanged', (data) => {
+        console.log('Host changed:', data);
+        if (data.hostId === gameState.socket.id) {
+            showMessage('You are now the host');
+        } else if (data.hostName) {
+            showMessage(`${data.hostName} is now the host`);
+        }
+    });
+
+    gameState.socket.on('kicked', (data) => {
+        console.log('Kicked from room:', data);
+        leaveLobby();
+        showError(`You were removed from the room: ${data.reason}`);
+    });
+
     gameState.socket.on('playerJoined', (data) => {
         console.log('Player joined:', data);
+        if (data.roomCode && data.roomCode !== gameState.roomCode) {
+            gameState.roomCode = data.roomCode;
+            showRoomCodeBanner(data.roomCode);
+        }
         updatePlayerList(data);
         
         // Update with potentially more complete player list from server
@@ -1496,6 +1989,8 @@ function setupGameEventHandlers() {
 
     gameState.socket.on('gameStarting', (data) => {
         console.log('Game starting:', data);
+        stopCalibration();
+        gameState.settings = data.settings;
         showScreen('game-screen');
         updateCountdown(data.countdown);
     });
@@ -1517,9 +2012,63 @@ function setupGameEventHandlers() {
 
     gameState.socket.on('itemVerified', (data) => {
         console.log('Item verified:', data);
+        if (data.playerId === gameState.socket.id) {
+            gameState.playerStats.currentStreak = data.streak;
+            gameState.playerStats.maxStreak = data.bestStreak;
+            setForfeitEnabled(false);
+        }
         updatePlayerScore(data);
     });
 
+    gameState.socket.on('antiCheatWarning', (warning) => {
+        console.warn('Anti-cheat warning:', warning);
+        handleAntiCheatWarning(warning);
+        // The submission was rejected; keep looking once the server takes submissions again
+        resumeScanning(warning.retryAfter);
+    });
+
+    gameState.socket.on('verificationChallenge', (challenge) => {
+        console.log('Verification challenge:', challenge);
+        runVerificationChallenge(challenge);
+    });
+
+    gameState.socket.on('roundTimerUpdated', (data) => {
+        console.log('Round timer updated:', data);
+        startRoundTimer(data.remaining);
+        if (data.reason === 'sudden_death') {
+            gameState.audio.playSound('countdown');
+            showMessage(`${data.playerName} found it! Sudden death: ${Math.round(data.remaining / 1000)}s left`);
+        } else if (data.reason === 'all_players_done') {
+            showMessage('Everyone is done - ending the round early');
+        }
+    });
+
+    gameState.socket.on('playerForfeited', (data) => {
+        console.log('Player forfeited:', data);
+        if (data.playerId !== gameState.socket.id) {
+            showMessage(`${data.playerName} gave up this round`);
+        }
+    });
+
+    gameState.socket.on('streakBroken', (data) => {
+        console.log('Streak broken:', data);
+        const isLocalPlayer = data.playerId === gameState.socket.id;
+        if (isLocalPlayer) {
+            gameState.playerStats.currentStreak = 0;
+        }
+        showMessage(`${isLocalPlayer ? 'Your' : `${data.playerName}'s`} ${data.streak}-round streak ended`);
+
+        // Clear the streak badge on the player's tile
+        const position = Object.keys(gameState.players).find(pos =>
+            gameState.players[pos] && gameState.players[pos].id === data.playerId
+        );
+        if (position) {
+            gameState.players[position].streak = 0;
+            const streakElement = gameState.players[position].element.querySelector('.streak');
+            if (streakElement) streakElement.textContent = '';
+        }
+    });
+
     gameState.socket.on('roundEnded', (data) => {
         console.log('Round ended:', data);
         endRound(data);
@@ -1,844 +0,0 @@
-// Game page functionality
-import { getRandomItem } from './src/ai/items.js';
-import ImageHasher from './src/security/imageHash.js';
-import AudioManager from './src/audio/audioManager.js';
-import VolumeControl from './src/audio/volumeControl.js';
-import ErrorManager from './src/utils/errorManager.js';
-
-// Initialize scanner class
-class ItemScanner {
-    constructor() {
-        this.model = null;
-        this.isModelLoaded = false;
-        this.currentItem = null;
-        this.confidenceThreshold = 0.4; // Matched with server threshold
-        this.itemKeywords = {
-            'tennis ball': ['ball', 'tennis', 'sports equipment', 'yellow ball', 'sphere'],
-            'spoon': ['spoon', 'utensil', 'silverware', 'cutlery', 'tableware'],
-            'scissors': ['scissors', 'shears', 'clippers', 'cutting tool', 'blade'],
-            'rubiks cube': ['cube', 'puzzle', 'rubix', 'toy', 'puzzle cube'],
-            'book': ['book', 'novel', 'text', 'publication', 'reading material', 'paperback', 'hardcover', 'literature'],
-            'cup': ['cup', 'mug', 'glass', 'drinking vessel', 'container']
-        };
-    }
-
-    async initialize() {
-        try {
-            console.log('Loading MobileNet model...');
-            this.model = await window.mobilenet.load();
-            this.isModelLoaded = true;
-            console.log('MobileNet model loaded successfully');
-            return true;
-        } catch (error) {
-            console.error('Failed to load MobileNet model:', error);
-            this.isModelLoaded = false;
-            return false;
-        }
-    }
-
-    async processFrame(videoElement) {
-        if (!this.isModelLoaded || !videoElement) {
-            console.error('Scanner not initialized or video element missing', {
-                isModelLoaded: this.isModelLoaded,
-                videoElementExists: !!videoElement
-            });
-            throw new Error('Scanner not initialized or video element missing');
-        }
-
-        if (videoElement.readyState < 2) { // HAVE_CURRENT_DATA or better
-            console.warn('Video element not ready for frame processing, readyState:', videoElement.readyState);
-            return { 
-                success: false, 
-                message: 'Video not ready for processing',
-                readyState: videoElement.readyState
-            };
-        }
-
-        try {
-            console.log('Processing frame with dimensions:', videoElement.videoWidth, 'x', videoElement.videoHeight);
-            
-            // Check if the video has valid dimensions
-            if (videoElement.videoWidth === 0 || videoElement.videoHeight === 0) {
-                console.warn('Video has invalid dimensions:', videoElement.videoWidth, 'x', videoElement.videoHeight);
-                return {
-                    success: false,
-                    message: 'Invalid video dimensions'
-                };
-            }
-            
-            // Get more predictions for better accuracy
-            const predictions = await this.model.classify(videoElement, 15); // Increased to top 15 predictions
-            console.log('Raw predictions:', predictions); // Debug log
-            
-            if (!predictions || predictions.length === 0) {
-                console.warn('No predictions returned from model');
-                return {
-                    success: false,
-                    message: 'No predictions available'
-                };
-            }
-            
-            return this.verifyItem(predictions);
-        } catch (error) {
-            console.error('Error processing frame:', error);
-            return {
-                success: false,
-                message: 'Error processing image. Please try again.',
-                error: error.message
-            };
-        }
-    }
-
-    verifyItem(predictions) {
-        if (!predictions || predictions.length === 0) {
-            return { success: false, message: 'No predictions available' };
-        }
-
-        const targetItem = this.currentItem;
-        if (!targetItem) {
-            return { success: false, message: 'No target item set' };
-        }
-
-        // Check all predictions instead of just the best one
-        for (const prediction of predictions) {
-            const result = this.compareItems(prediction.className, targetItem);
-            if (result.isMatch && prediction.probability >= this.confidenceThreshold) {
-                return {
-                    success: true,
-                    message: 'Item verified!',
-                    confidence: prediction.probability,
-                    prediction: prediction.className
-                };
-            }
-            console.log(`Checking prediction: ${prediction.className} (${prediction.probability}) against ${targetItem}`);
-        }
-
-        return {
-            success: false,
-            message: 'Item not found or confidence too low',
-            confidence: predictions[0].probability,
-            prediction: predictions[0].className
-        };
-    }
-
-    compareItems(predictedItem, targetItem) {
-        // Convert both to lowercase for comparison
-        const predicted = predictedItem.toLowerCase();
-        const target = typeof targetItem === 'string' ? targetItem.toLowerCase() : targetItem.name?.toLowerCase() || '';
-
-        // Debug log
-        console.log(`Comparing: ${predicted} with target: ${target}`);
-
-        // Tennis ball specific checks - expanded detection for the most common first item
-        if (target === 'tennis ball') {
-            const tennisBallKeywords = [
-                'tennis ball', 'ball', 'tennis', 'sports ball', 
-                'sphere',
-                'sport', 'racket ball',
-                'toy ball', 'playing ball', 'game ball'
-            ];
-            
-            // Check for any tennis ball related keywords
-            for (const keyword of tennisBallKeywords) {
-                if (predicted.includes(keyword)) {
-                    console.log(`Tennis ball match found with keyword: ${keyword}`);
-                    return { isMatch: true, confidence: 0.8 };
-                }
-            }
-
-            // Special handling for pink ball (based on known predictions)
-            const pinkBallIndicators = ['beaker', 'lab coat', 'laboratory coat', 'screwdriver', 'cellular telephone'];
-            if (pinkBallIndicators.some(indicator => predicted.includes(indicator))) {
-                console.log(`Pink ball detected based on specific prediction: ${predicted}`);
-                return { isMatch: true, confidence: 0.8 };
-            }
-        }
-
-        // Special handling for books
-        if (target === 'book') {
-            const bookIndicators = ['book', 'novel', 'text', 'publication', 'reading', 'paperback', 'hardcover', 'literature'];
-            if (bookIndicators.some(indicator => predicted.includes(indicator))) {
-                return { isMatch: true, confidence: 0.9 };
-            }
-        }
-
-        // Check for exact match
-        if (predicted === target) {
-            return { isMatch: true, confidence: 1.0 };
-        }
-
-        // Check against known keywords for this item
-        const keywords = this.itemKeywords[target] || [];
-        if (keywords.some(keyword => predicted.includes(keyword))) {
-            return { isMatch: true, confidence: 0.9 };
-        }
-
-        // Check if target is part of the prediction or vice versa
-        if (predicted.includes(target) || target.includes(predicted)) {
-            return { isMatch: true, confidence: 0.9 };
-        }
-
-        // Split into words and check for matches
-        const predictedWords = predicted.split(' ');
-        const targetWords = target.split(' ');
-        
-        let matchCount = 0;
-        for (const targetWord of targetWords) {
-            if (predictedWords.some(word => 
-                word === targetWord || 
-                word.includes(targetWord) || 
-                targetWord.includes(word) ||
-                this.checkSimilarity(word, targetWord)
-            )) {
-                matchCount++;
-            }
-        }
-
-        if (matchCount > 0) {
-            return { isMatch: true, confidence: 0.7 + (0.1 * matchCount) };
-        }
-
-        return { isMatch: false, confidence: 0 };
-    }
-
-    checkSimilarity(word1, word2) {
-        // Simple Levenshtein distance check for similar words
-        if (Math.abs(word1.length - word2.length) > 3) return false;
-        
-        let matches = 0;
-        const minLength = Math.min(word1.length, word2.length);
-        for (let i = 0; i < minLength; i++) {
-            if (word1[i] === word2[i]) matches++;
-        }
-        return matches / Math.max(word1.length, word2.length) > 0.7;
-    }
-
-    setTargetItem(item) {
-        this.currentItem = item;
-        console.log('Set target item:', item); // Debug log
-    }
-
-    getTargetItem() {
-        return this.currentItem;
-    }
-}
-
-// Game state
-const gameState = {
-    currentScreen: 'game-screen',
-    players: [],
-    currentRound: 0,
-    maxPlayers: 8,
-    targetItem: '',
-    countdown: 3,
-    isGameActive: false,
-    playerName: '',
-    socket: null,
-    scanner: new ItemScanner(),
-    imageHasher: new ImageHasher(),
-    audio: new AudioManager(),
-    isConnecting: false,
-    reconnectAttempts: 0,
-    maxReconnectAttempts: 5,
-    reconnectDelay: 1000,
-    lastConnectionError: null,
-    isScanning: false,
-    loadingStates: new Map(),
-    playerStats: {
-        roundScores: [],
-        roundTimes: [],
-        maxStreak: 0,
-        currentStreak: 0,
-        totalScore: 0,
-        itemsFound: 0
-    },
-    sessionId: null,
-    connectionStatus: 'disconnected', // 'disconnected', 'connecting', 'connected'
-    lastActiveTime: Date.now()
-};
-
-// Connection settings
-const connectionConfig = {
-    maxReconnectAttempts: 5,
-    reconnectDelay: 1000, // Base delay in ms (will be increased with backoff)
-    backoffFactor: 1.5,   // Multiply delay by this factor on each attempt
-    timeout: 5000,        // Connection timeout in ms
-    pingInterval: 10000,  // How often to ping server to check connection
-    connectionRetryEvents: ['connect_error', 'connect_timeout', 'disconnect', 'error']
-};
-
-// DOM Elements
-const gameContainer = document.getElementById('game-container');
-const currentRoundDisplay = document.getElementById('current-round');
-const countdownDisplay = document.getElementById('countdown');
-const targetItemDisplay = document.getElementById('target-item');
-
-// Initialize socket connection with reconnection logic
-function initializeSocket() {
-    if (gameState.isConnecting) {
-        console.log('Connection attempt already in progress');
-        return;
-    }
-
-    gameState.isConnecting = true;
-    gameState.connectionStatus = 'connecting';
-    updateLoadingState('socket', true, 'Connecting to server...');
-    
-    // Create connection timeout
-    const connectionTimeout = setTimeout(() => {
-        if (gameState.connectionStatus !== 'connected') {
-            console.error('Connection timeout');
-            handleConnectionFailure(new Error('Connection timeout'));
-        }
-    }, connectionConfig.timeout);
-
-    const socketURL = window.location.hostname === 'localhost' ? 
-        `http://${window.location.hostname}:3000` : 
-        window.location.origin;
-    
-    console.log(`Connecting to socket server at: ${socketURL}`);
-    
-    try {
-        // Initialize socket with connection parameters
-        gameState.socket = io(socketURL, {
-            reconnection: false, // We'll handle reconnection manually
-            timeout: connectionConfig.timeout,
-            query: {
-                playerName: gameState.playerName,
-                sessionId: gameState.sessionId
-            }
-        });
-
-        setupSocketListeners(connectionTimeout);
-    } catch (error) {
-        clearTimeout(connectionTimeout);
-        handleConnectionFailure(error);
-    }
-}
-
-function setupSocketListeners(connectionTimeout) {
-    const socket = gameState.socket;
-    
-    // Handle successful connection
-    socket.on('connect', () => {
-        clearTimeout(connectionTimeout);
-        gameState.isConnecting = false;
-        gameState.connectionStatus = 'connected';
-        gameState.reconnectAttempts = 0;
-        gameState.lastConnectionError = null;
-        
-        console.log('Connected to server!', socket.id);
-        updateLoadingState('socket', false);
-        
-        // Save session ID for potential reconnections
-        gameState.sessionId = socket.id;
-        sessionStorage.setItem('sessionId', socket.id);
-        
-        // Join or rejoin game
-        if (gameState.players.length > 0) {
-            console.log('Attempting to rejoin game with existing players');
-            socket.emit('rejoinGame', {
-                playerName: gameState.playerName,
-                sessionId: gameState.sessionId
-            });
-        } else {
-            console.log('Joining game as new player');
-            socket.emit('joinGame', {
-                playerName: gameState.playerName
-            });
-        }
-        
-        // Set up ping interval to keep connection alive
-        gameState.pingInterval = setInterval(() => {
-            if (socket.connected) {
-                socket.emit('ping');
-                gameState.lastActiveTime = Date.now();
-            } else {
-                clearInterval(gameState.pingInterval);
-            }
-        }, connectionConfig.pingInterval);
-    });
-    
-    // Setup event listeners for various game events
-    setupGameEventListeners();
-    
-    // Setup error and disconnect handlers
-    connectionConfig.connectionRetryEvents.forEach(event => {
-        socket.on(event, (error) => {
-            console.error(`Socket ${event} event:`, error);
-            clearTimeout(connectionTimeout);
-            handleConnectionFailure(error || new Error(`Socket ${event}`));
-        });
-    });
-}
-
-function setupGameEventListeners() {
-    const socket = gameState.socket;
-    
-    // Game updates
-    socket.on('gameUpdate', handleGameUpdate);
-    socket.on('roundStart', handleRoundStart);
-    socket.on('roundEnd', handleRoundEnd);
-    socket.on('countdown', handleCountdown);
-    
-    // Player updates
-    socket.on('playerJoined', handlePlayerJoined);
-    socket.on('playerLeft', handlePlayerLeft);
-    socket.on('scoreUpdate', handleScoreUpdate);
-    
-    // Server messages
-    socket.on('message', handleServerMessage);
-    socket.on('itemFound', handleItemFound);
-    
-    // Error handling
-    socket.on('error', handleServerError);
-    socket.on('roomFull', () => handleError('ROOM_FULL'));
-    socket.on('invalidName', () => handleError('INVALID_NAME'));
-    socket.on('gameError', (error) => handleError(error.type || 'GAME_ERROR', error));
-}
-
-function handleConnectionFailure(error) {
-    gameState.isConnecting = false;
-    gameState.connectionStatus = 'disconnected';
-    gameState.lastConnectionError = error;
-    updateLoadingState('socket', false);
-    
-    console.error('Connection failure:', error);
-    
-    // Check if we should try to reconnect
-    if (gameState.reconnectAttempts < connectionConfig.maxReconnectAttempts) {
-        const delay = connectionConfig.reconnectDelay * 
-            Math.pow(connectionConfig.backoffFactor, gameState.reconnectAttempts);
-        
-        gameState.reconnectAttempts++;
-        
-        console.log(`Reconnection attempt ${gameState.reconnectAttempts} in ${delay}ms`);
-        updateLoadingState('reconnect', true, 
-            `Reconnecting (${gameState.reconnectAttempts}/${connectionConfig.maxReconnectAttempts})...`);
-        
-        setTimeout(() => {
-            updateLoadingState('reconnect', false);
-            initializeSocket();
-        }, delay);
-    } else {
-        console.error('Max reconnection attempts reached');
-        updateLoadingState('reconnect', false);
-        
-        // Show error message and redirect to landing page
-        showError('Unable to connect to the game server. Please try again later.');
-        setTimeout(() => {
-            redirectToLanding('Connection error: ' + (error?.message || 'Unknown error'));
-        }, 3000);
-    }
-}
-
-// Session validation and initialization
-document.addEventListener('DOMContentLoaded', () => {
-    // Check for player name in session storage
-    const storedName = sessionStorage.getItem('playerName');
-    const storedSessionId = sessionStorage.getItem('sessionId');
-    
-    if (!storedName) {
-        console.warn('No player name found in session storage. Redirecting to landing page.');
-        redirectToLanding('No player name found');
-        return;
-    }
-    
-    gameState.playerName = storedName;
-    gameState.sessionId = storedSessionId;
-    
-    console.log(`Initializing game for player: ${gameState.playerName}, session: ${gameState.sessionId}`);
-    
-    // Create loading container for status messages
-    createLoadingContainer();
-    
-    // Initialize game components
-    init().catch(error => {
-        console.error('Game initialization error:', error);
-        showError('Failed to initialize game: ' + error.message);
-        setTimeout(() => redirectToLanding('Initialization error'), 3000);
-    });
-});
-
-async function init() {
-    // Initialize audio
-    updateLoadingState('audio', true, 'Loading audio...');
-    const audioInitialized = await initializeAudio();
-    if (!audioInitialized) {
-        console.warn('Audio initialization failed - continuing without sound');
-    }
-    updateLoadingState('audio', false);
-
-    // Initialize AI scanner
-    updateLoadingState('scanner', true, 'Loading AI scanner...');
-    try {
-        await gameState.scanner.initialize();
-    } catch (error) {
-        console.error('Scanner initialization error:', error);
-        // We'll continue but show warning
-        showError('AI scanner failed to load - some features may be limited');
-    }
-    updateLoadingState('scanner', false);
-
-    // Setup game event handlers (buttons, controls)
-    setupGameEventHandlers();
-    
-    // Initialize socket connection
-    initializeSocket();
-}
-
-function redirectToLanding(reason) {
-    console.log('Redirecting to landing page:', reason);
-    // Save reason in session storage for debugging
-    if (reason) {
-        sessionStorage.setItem('redirectReason', reason);
-    }
-    window.location.href = 'index.html';
-}
-
-function handleServerError(error) {
-    console.error('Server error:', error);
-    const errorType = error?.type || 'SERVER_ERROR';
-    const errorMessage = error?.message || 'Unknown server error';
-    
-    // Log the error for debugging
-    ErrorManager.logError({
-        type: errorType,
-        message: errorMessage,
-        timestamp: Date.now(),
-        component: 'server',
-        data: error
-    });
-    
-    // Handle the error based on type
-    handleError(errorType, error);
-}
-
-// Show error message
-function showError(message, duration = 3000) {
-    console.error(message);
-    
-    // Add as a general message
-    const errorMsg = document.createElement('div');
-    errorMsg.className = 'error-message';
-    errorMsg.textContent = message;
-    document.body.appendChild(errorMsg);
-    
-    // Also add directly to the player's video container if it exists
-    const localPlayerId = gameState.socket?.id;
-    if (localPlayerId) {
-        const playerContainer = document.querySelector(`.player-video[data-position="${gameState.players[localPlayerId]?.position}"] .camera-container`);
-        if (playerContainer) {
-            // Remove any existing error messages
-            const existingError = playerContainer.querySelector('.processing-error');
-            if (existingError) {
-                existingError.remove();
-            }
-            
-            // Add new error message
-            const videoError = document.createElement('div');
-            videoError.className = 'processing-error';
-            videoError.textContent = message;
-            playerContainer.appendChild(videoError);
-            
-            // Remove after duration
-            setTimeout(() => {
-                if (videoError.parentNode) {
-                    videoError.remove();
-                }
-            }, duration);
-        }
-    }
-    
-    // Clean up general message after duration
-    setTimeout(() => {
-        if (errorMsg.parentNode) {
-            errorMsg.remove();
-        }
-    }, duration);
-    
-    // Play error sound if available
-    if (gameState.audio && gameState.audio.isInitialized) {
-        gameState.audio.playSound('error');
-    }
-}
-
-// Update loading states
-function updateLoadingState(key, isLoading, message = '') {
-    gameState.loadingStates.set(key, { isLoading, message });
-    updateLoadingUI();
-}
-
-// Update loading UI
-function updateLoadingUI() {
-    const loadingContainer = document.getElementById('loading-container') || createLoadingContainer();
-    loadingContainer.innerHTML = '';
-    
-    let hasActiveLoading = false;
-    gameState.loadingStates.forEach(({ isLoading, message }, key) => {
-        if (isLoading) {
-            hasActiveLoading = true;
-            const loadingElement = document.createElement('div');
-            loadingElement.className = 'loading-item';
-            loadingElement.innerHTML = `
-                <div class="loading-spinner"></div>
-                <span class="loading-message">${message}</span>
-            `;
-            loadingContainer.appendChild(loadingElement);
-        }
-    });
-    
-    loadingContainer.style.display = hasActiveLoading ? 'flex' : 'none';
-}
-
-// Create loading container
-function createLoadingContainer() {
-    const container = document.createElement('div');
-    container.id = 'loading-container';
-    container.className = 'loading-container';
-    document.body.appendChild(container);
-    return container;
-}
-
-// Initialize audio system
-async function initializeAudio() {
-    try {
-        await gameState.audio.initialize();
-        
-        // Create and add volume control
-        const volumeControl = new VolumeControl(gameState.audio);
-        document.body.appendChild(volumeControl.create());
-    } catch (error) {
-        console.warn('Audio initialization failed:', error);
-        // Continue without audio
-        gameState.audio = {
-            playSound: () => {}, // No-op function
-            playSequence: () => {},
-            startMusic: () => {},
-            stopMusic: () => {}
-        };
-    }
-}
-
-// Handle errors
-function handleError(error) {
-    console.error('Received error:', error);
-    
-    switch (error.type) {
-        case 'rate_limit':
-            showError(`${error.message} Please wait ${Math.ceil(error.resetTime / 1000)} seconds.`);
-            break;
-        case 'invalid_input':
-            showError(error.message);
-            break;
-        case 'submission_locked':
-            showError('Please wait before submitting again.');
-            break;
-        case 'room_creation_failed':
-            showError('Unable to create game room. Please try again.');
-            break;
-        case 'already_joined':
-            showError('You are already in a game.');
-            break;
-        default:
-            showError('An error occurred. Please try again.');
-    }
-}
-
-// Setup game event handlers
-function setupGameEventHandlers() {
-    gameState.socket.on('playerJoined', (data) => {
-        console.log('Player joined:', data);
-        updatePlayerList(data);
-        
-        // Update with potentially more complete player list from server
-        if (data.allPlayers) {
-             Object.values(data.allPlayers).forEach(player => {
-                 if (!gameState.players[player.id]) { // Add players we might have missed
-                     updatePlayerList(player);
-                 }
-             });
-        }
-    });
-
-    gameState.socket.on('gameStarting', (data) => {
-        console.log('Game starting:', data);
-        showScreen('game-screen');
-        updateCountdown(data.countdown);
-    });
-
-    gameState.socket.on('countdown', (data) => {
-        console.log('Countdown:', data);
-        updateCountdown(data.countdown);
-    });
-
-    gameState.socket.on('gameStarted', (data) => {
-        console.log('Game started:', data);
-        startGame(data);
-    });
-
-    gameState.socket.on('roundStarted', (data) => {
-        console.log('Round started:', data);
-        startRound(data);
-    });
-
-    gameState.socket.on('itemVerified', (data) => {
-        console.log('Item verified:', data);
-        updatePlayerScore(data);
-    });
-
-    gameState.socket.on('roundEnded', (data) => {
-        console.log('Round ended:', data);
-        endRound(data);
-    });
-
-    gameState.socket.on('gameEnded', (data) => {
-        console.log('Game ended:', data);
-        endGame(data);
-    });
-
-    gameState.socket.on('playerLeft', (data) => {
-        console.log('Player left:', data);
-        removePlayer(data.playerId);
-    });
-
-    gameState.socket.on('playerRejoined', (data) => {
-        console.log('Player rejoined:', data);
-        // Re-add player to the list and potentially request stream
-        updatePlayerList(data);
-    });
-}
-
-// Start game
-async function startGame(data) {
-    try {
-        console.log('Game started!');
-        showScreen('game-screen');
-        gameState.isGameActive = true;
-        gameState.currentRound = data.round;
-        gameState.targetItem = data.targetItem;
-        
-        // Play game start sounds
-        if (gameState.audio) {
-            gameState.audio.playSequence([
-                { sound: 'roundStart', options: { volume: 0.7 } },
-                { sound: 'countdown', delay: 500 }
-            ]);
-            
-            // Start background music
-            gameState.audio.startMusic();
-        }
-        
-        // Initialize AI scanner
-        await gameState.scanner.initialize();
-        
-        // Update UI with null checks
-        const currentRoundDisplay = document.getElementById('current-round');
-        const targetItemDisplay = document.getElementById('target-item');
-        
-        if (currentRoundDisplay) {
-            currentRoundDisplay.textContent = gameState.currentRound;
-        } else {
-            console.warn('Current round display element not found');
-        }
-        
-        if (targetItemDisplay) {
-            targetItemDisplay.textContent = gameState.targetItem;
-        } else {
-            console.warn('Target item display element not found');
-        }
-    } catch (error) {
-        console.error('Error starting game:', error);
-        showError('Failed to start game. Please refresh the page.');
-    }
-}
-
-// Start a new round
-function startRound(data) {
-    gameState.currentRound = data.round;
-    gameState.targetItem = data.targetItem;
-    gameState.scanner.setTargetItem(gameState.targetItem);
-    gameState.roundStartTime = Date.now();
-    
-    // Play round start sound
-    gameState.audio.playSound('roundStart');
-    
-    // Update UI with animations
-    const currentRoundDisplay = document.getElementById('current-round');
-    if (currentRoundDisplay) {
-        currentRoundDisplay.textContent = gameState.currentRound;
-    }
-    
-    const itemDisplay = document.getElementById('target-item');
-    if (itemDisplay) {
-        itemDisplay.classList.add('fade-enter');
-        itemDisplay.textContent = gameState.targetItem;
-        setTimeout(() => {
-            itemDisplay.classList.remove('fade-enter');
-        }, 300);
-    }
-    
-    // Start webcam scanning
-    startWebcamScanning();
-}
-
-// Update player list
-function updatePlayerList(data) {
-    console.log('Updating player list:', data);
-    
-    // Find the player slot by data-position if available, otherwise find first empty
-    const position = data.position !== undefined ? data.position : findEmptySlotPosition();
-    const playerSlot = document.querySelector(`.player-video[data-position="${position}"]`);
-
-    if (!playerSlot) {
-        console.warn(`No player slot found for position ${position}`);
-        return;
-    }
-
-    // Update player data in game state
-    const playerData = {
-        id: data.playerId,
-        name: data.playerName,
-        position: position,
-        element: playerSlot,
-        score: data.score || 0,
-        streak: data.streak || 0
-    };
-    gameState.players[data.playerId] = playerData; // Store by player ID
-
-    // Remove empty class and update content
-    playerSlot.classList.remove('empty');
-    playerSlot.innerHTML = `
-        <div class="camera-container">
-            <video id="video-${data.playerId}" autoplay playsinline muted></video>
-            <div class="player-info">
-                <div class="player-name">${data.playerName}</div>
-                <div class="player-stats">
-                    <span class="score">${playerData.score}</span>
-                    <span class="streak">${playerData.streak > 1 ? '🔥'+playerData.streak+'x' : ''}</span>
-                </div>
-            </div>
-        </div>
-    `;
-
-    // If this is the local player joining, initialize their webcam
-    if (data.playerId === gameState.socket?.id) {
-        initializeLocalWebcam(playerSlot.querySelector('video'));
-    }
-}
-
-// More functions to be added as needed...
-
-// Show screen helper
-function showScreen(screenId) {
-    // Hide all screens
-    document.querySelectorAll('.screen').forEach(screen => {
-        screen.classList.remove('active');
-    });
-    
-    // Show requested screen
-    const screen = document.getElementById(screenId);
-    if (screen) {
-        screen.classList.add('active');
-    }
-} 
\ No newline at end of file
@@ -8,6 +8,12 @@ document.addEventListener('DOMContentLoaded', function() {
     const startGameButton = document.getElementById('start-game');
     const playerNameInput = document.getElementById('player-name');
     
+    // Invite links look like /?room=CODE
+    const roomCode = new URLSearchParams(window.location.search).get('room');
+    if (roomCode) {
+        startGameButton.textContent = `Join Room ${roomCode.toUpperCase()}`;
+    }
+    
     // Initialize socket for session validation
     const socket = io();
     
@@ -37,7 +43,12 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Store player name and redirect to game page
         sessionStorage.setItem('playerName', playerName);
-        window.location.href = '/game.html';
+        if (roomCode) {
+            sessionStorage.setItem('roomCode', roomCode.toUpperCase());
+        } else {
+            sessionStorage.removeItem('roomCode');
+        }
+        window.location.href = roomCode ? `/?room=${encodeURIComponent(roomCode.toUpperCase())}` : '/';
     });
     
     // Support for enter key
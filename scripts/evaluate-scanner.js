@@ -0,0 +1,122 @@
+/**
+ * Evaluate the scanner on a labeled image corpus
+ *
+ * The corpus is a directory with one folder per catalog item id, plus "none"
+ * for frames that show no item:
+ *
+ *   corpus/tennis-ball/01.jpg
+ *   corpus/spoon/kitchen.jpg
+ *   corpus/none/desk.jpg
+ *
+ * Images (JPEG) are downscaled to the 320px frames the clients send and run
+ * through both models once; their output is saved to corpus/predictions.json
+ * and reused on later runs, so trying new mappings or thresholds doesn't need
+ * the models (or the images) at all. Prints precision and recall per item at
+ * its current threshold, the best threshold found, and a confusion matrix.
+ *
+ * Usage: npm run evaluate-scanner -- <corpus> [--threshold <n>] [--pack <file>] [--refresh] [--json]
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { catalog } from '../src/ai/items.js';
+import { ItemCatalog, loadCatalogSchema, loadLabelLists } from '../src/ai/catalog.js';
+import { evaluateCorpus, formatReport } from '../src/ai/evaluation.js';
+import { listImages, decodeImage } from '../src/ai/imageCorpus.js';
+
+const PREDICTIONS_FILE = 'predictions.json';
+const CORPUS_VERSION = 1;
+
+function parseArgs(argv) {
+    const args = { corpus: null, threshold: null, pack: null, refresh: false, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--threshold') args.threshold = Number(argv[++i]);
+        else if (argv[i] === '--pack') args.pack = argv[++i];
+        else if (argv[i] === '--refresh') args.refresh = true;
+        else if (argv[i] === '--json') args.json = true;
+        else if (!args.corpus && !argv[i].startsWith('--')) args.corpus = argv[i];
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+
+    if (!args.corpus) {
+        throw new Error('Usage: npm run evaluate-scanner -- <corpus> [--threshold <n>] [--pack <file>] [--refresh] [--json]');
+    }
+    if (args.threshold !== null && !(args.threshold > 0 && args.threshold < 1)) {
+        throw new Error('--threshold must be between 0 and 1');
+    }
+    return args;
+}
+
+/**
+ * Load saved model output and run the models on images that don't have any yet
+ * @return {Promise<Array>} Corpus images with their model output
+ */
+async function loadPredictions(corpus, refresh) {
+    const cachePath = path.join(corpus, PREDICTIONS_FILE);
+    let cached = [];
+    try {
+        cached = JSON.parse(await readFile(cachePath, 'utf8')).images;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const known = new Map(refresh ? [] : cached.map(image => [image.file, image]));
+    const missing = (await listImages(corpus)).filter(image => !known.has(image.file));
+
+    if (missing.length > 0) {
+        // Only needed when there is something to run; the models load from the network or a mirror
+        const { ServerVerifier } = await import('../src/ai/serverVerifier.js');
+        const verifier = new ServerVerifier({
+            modelUrl: process.env.MOBILENET_MODEL_URL || null,
+            detectionModelUrl: process.env.COCO_SSD_MODEL_URL || null
+        });
+
+        for (const [i, image] of missing.entries()) {
+            process.stderr.write(`Running models on ${image.file} (${i + 1}/${missing.length})\n`);
+            const frame = decodeImage(await readFile(path.join(corpus, image.file)));
+            known.set(image.file, {
+                ...image,
+                width: frame.width,
+                height: frame.height,
+                classification: await verifier.predict(frame, 'classification'),
+                detection: await verifier.predict(frame, 'detection')
+            });
+        }
+
+        const images = [...known.values()].sort((a, b) => a.file.localeCompare(b.file));
+        await writeFile(cachePath, JSON.stringify({ version: CORPUS_VERSION, images }, null, 2));
+        return images;
+    }
+
+    return [...known.values()];
+}
+
+/**
+ * Get the items to evaluate: the built-in catalog, or a pack file
+ */
+async function loadItems(packFile) {
+    if (!packFile) return catalog.items;
+
+    const [data, schema, labelLists] = await Promise.all([
+        readFile(packFile, 'utf8').then(JSON.parse),
+        loadCatalogSchema(),
+        loadLabelLists()
+    ]);
+    return new ItemCatalog({ version: CORPUS_VERSION, ...data }, schema, 'pack', labelLists).items;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [images, items] = await Promise.all([loadPredictions(args.corpus, args.refresh), loadItems(args.pack)]);
+    if (images.length === 0) {
+        throw new Error(`No images found in ${args.corpus}`);
+    }
+
+    const report = evaluateCorpus(images, items, { threshold: args.threshold });
+    console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,178 @@
+/**
+ * Suggest label mappings for catalog items
+ *
+ * Looks up each item's name, aliases and keywords in the class lists of both
+ * scanner models (src/ai/labels) and prints the classes that could count as
+ * the item, with a suggested weight. Matching is by whole words, so "ball"
+ * suggests "golf ball" but never "balloon". Suggestions are a starting point:
+ * review them, then copy the ones that hold up into modelLabels,
+ * detectionLabels or negativeLabels.
+ *
+ * Usage: npm run suggest-labels -- [--pack <file>] [--item <id>] [--json]
+ */
+
+import { readFile } from 'fs/promises';
+import { getItemBackend, getLabelWeights } from '../src/ai/matching.js';
+
+const CATALOG_URL = new URL('../src/ai/catalog.json', import.meta.url);
+const LABEL_LISTS = {
+    classification: new URL('../src/ai/labels/imagenet.json', import.meta.url),
+    detection: new URL('../src/ai/labels/coco.json', import.meta.url)
+};
+
+// How strongly each kind of term suggests the item
+const TERM_WEIGHTS = { name: 1, alias: 0.9, keyword: 0.5 };
+// A term that is only part of a class name (e.g. "ball" in "golf ball") counts for less
+const PARTIAL_MATCH_FACTOR = 0.6;
+// Suggestions below this weight are listed as weak: usually unrelated, sometimes a good negative label
+const WEAK_WEIGHT = 0.5;
+
+/**
+ * Split text into comparable words: lowercase, no punctuation, no plural "s"
+ * @param {string} text - Item term or class name
+ * @return {Array} Words
+ */
+function tokenize(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean)
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Score how well a term describes a class
+ * @param {Array} termWords - Tokenized item term
+ * @param {string} label - Class name; ImageNet names list synonyms separated by ", "
+ * @return {number} 1 for an exact synonym, PARTIAL_MATCH_FACTOR when the term's words all appear in one, 0 otherwise
+ */
+function scoreTerm(termWords, label) {
+    let best = 0;
+    for (const synonym of label.split(', ')) {
+        const words = tokenize(synonym);
+        if (words.join(' ') === termWords.join(' ')) {
+            return 1;
+        }
+        if (termWords.every(word => words.includes(word))) {
+            best = PARTIAL_MATCH_FACTOR;
+        }
+    }
+    return best;
+}
+
+/**
+ * Suggest classes from one model for an item
+ * @param {Object} item - Catalog item
+ * @param {Array} classes - [{ id, label }] from a label list
+ * @return {Array} [{ id, label, weight, term }], best first
+ */
+function suggestForItem(item, classes) {
+    const terms = [
+        { term: item.name, weight: TERM_WEIGHTS.name },
+        ...item.aliases.map(term => ({ term, weight: TERM_WEIGHTS.alias })),
+        ...(item.keywords || []).map(term => ({ term, weight: TERM_WEIGHTS.keyword }))
+    ].map(entry => ({ ...entry, words: tokenize(entry.term) }));
+
+    const suggestions = [];
+    for (const { id, label } of classes) {
+        let best = null;
+        for (const { term, weight, words } of terms) {
+            const score = weight * scoreTerm(words, label);
+            if (score > 0 && (!best || score > best.weight)) {
+                best = { id, label, weight: Math.round(score * 10) / 10, term };
+            }
+        }
+        if (best) suggestions.push(best);
+    }
+
+    return suggestions.sort((a, b) => b.weight - a.weight || a.label.localeCompare(b.label));
+}
+
+/**
+ * Format a suggestion as a catalog mapping entry
+ * @return {string|Object} The class name, or { label, weight } below full weight
+ */
+function toMapping({ label, weight }) {
+    return weight >= 1 ? label : { label, weight };
+}
+
+function parseArgs(argv) {
+    const args = { pack: null, item: null, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--pack') args.pack = argv[++i];
+        else if (argv[i] === '--item') args.item = argv[++i];
+        else if (argv[i] === '--json') args.json = true;
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const source = args.pack ? new URL(args.pack, `file://${process.cwd()}/`) : CATALOG_URL;
+    const { items } = JSON.parse(await readFile(source, 'utf8'));
+    const classLists = {};
+    for (const [backend, url] of Object.entries(LABEL_LISTS)) {
+        classLists[backend] = JSON.parse(await readFile(url, 'utf8')).classes;
+    }
+
+    const selected = args.item ? items.filter(item => item.id === args.item) : items;
+    if (selected.length === 0) {
+        throw new Error(`No item with id "${args.item}"`);
+    }
+
+    const report = {};
+    for (const item of selected) {
+        report[item.id] = {};
+        for (const [backend, classes] of Object.entries(classLists)) {
+            const mapped = getLabelWeights(item, backend);
+            const negatives = new Set(item.negativeLabels || []);
+            const fresh = suggestForItem(item, classes)
+                .filter(suggestion => !mapped.has(suggestion.label) && !negatives.has(suggestion.label));
+            report[item.id][backend] = {
+                mapped: [...mapped].map(([label, weight]) => ({ label, weight })),
+                suggested: fresh.filter(suggestion => suggestion.weight >= WEAK_WEIGHT),
+                weak: fresh.filter(suggestion => suggestion.weight < WEAK_WEIGHT)
+            };
+        }
+    }
+
+    if (args.json) {
+        // Suggested entries only, in the catalog's format, ready to paste
+        const patch = Object.fromEntries(Object.entries(report).map(([id, backends]) => [id, {
+            modelLabels: backends.classification.suggested.map(toMapping),
+            detectionLabels: backends.detection.suggested.map(toMapping)
+        }]));
+        console.log(JSON.stringify(patch, null, 2));
+        return;
+    }
+
+    for (const [id, backends] of Object.entries(report)) {
+        const custom = getItemBackend(selected.find(item => item.id === id)) === 'custom';
+        const unmapped = Object.values(backends).every(backend => backend.mapped.length === 0);
+        const note = custom
+            ? ' (custom backend: found by the trained model)'
+            : unmapped ? ' (no mappings: the scanners can never find this item; map a class or train it with npm run train-items)' : '';
+        console.log(`\n${id}${note}`);
+        for (const [backend, { mapped, suggested, weak }] of Object.entries(backends)) {
+            if (!mapped.length && !suggested.length && !weak.length) continue;
+            console.log(`  ${backend}:`);
+            for (const { label, weight } of mapped) {
+                console.log(`    mapped     ${weight.toFixed(1)}  ${label}`);
+            }
+            for (const { id: classId, label, weight, term } of suggested) {
+                console.log(`    suggest    ${weight.toFixed(1)}  ${label}  (#${classId}, "${term}")`);
+            }
+            for (const { id: classId, label, weight, term } of weak) {
+                console.log(`    weak       ${weight.toFixed(1)}  ${label}  (#${classId}, "${term}")`);
+            }
+        }
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
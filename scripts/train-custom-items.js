@@ -0,0 +1,246 @@
+/**
+ * Train a model for catalog items that ImageNet and COCO don't cover
+ *
+ * Takes a folder of labeled photos, one folder per catalog item id plus an
+ * optional "none" for photos without any item (the same layout as
+ * npm run evaluate-scanner uses):
+ *
+ *   photos/thimble/01.jpg
+ *   photos/guitar-pick/kitchen.jpg
+ *   photos/none/desk.jpg
+ *
+ * Every photo is run through MobileNet once for its embedding (mirrored copies
+ * of the training photos are added), a small classifier head is trained on
+ * them, and a held-out share of each item's photos is used to report
+ * precision and recall the way npm run evaluate-scanner does. The head is
+ * exported to models/<id>/ (MODELS_DIR moves it) and registered in
+ * models/manifest.json as the custom backend, so the browser scanners and
+ * the server load it from there. Items use it once their catalog entry says
+ * "backend": "custom".
+ *
+ * Usage: npm run train-items -- <photos> [--id <model id>] [--holdout <share>] [--epochs <n>]
+ *                                         [--seed <n>] [--pack <file>] [--no-manifest] [--json]
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import * as tf from '@tensorflow/tfjs';
+import * as mobilenet from '@tensorflow-models/mobilenet';
+import { catalog } from '../src/ai/items.js';
+import { ItemCatalog, loadCatalogSchema, loadLabelLists } from '../src/ai/catalog.js';
+import { getItemBackend } from '../src/ai/matching.js';
+import { evaluateCorpus, formatReport } from '../src/ai/evaluation.js';
+import { listImages, decodeImage } from '../src/ai/imageCorpus.js';
+import { BASE_MODEL, NO_ITEM_CLASS, createHead, embed, classifyEmbedding, saveModel } from '../src/ai/customModel.js';
+
+const MODELS_DIR = process.env.MODELS_DIR || 'models';
+const MIN_PHOTOS = 5; // Per class: enough for a training set and a held-out photo
+const BATCH_SIZE = 16;
+const USAGE = 'Usage: npm run train-items -- <photos> [--id <model id>] [--holdout <share>] [--epochs <n>] ' +
+    '[--seed <n>] [--pack <file>] [--no-manifest] [--json]';
+
+function parseArgs(argv) {
+    const args = { photos: null, id: 'custom-items', holdout: 0.2, epochs: 40, seed: 1, pack: null, manifest: true, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--id') args.id = argv[++i];
+        else if (argv[i] === '--holdout') args.holdout = Number(argv[++i]);
+        else if (argv[i] === '--epochs') args.epochs = Number(argv[++i]);
+        else if (argv[i] === '--seed') args.seed = Number(argv[++i]);
+        else if (argv[i] === '--pack') args.pack = argv[++i];
+        else if (argv[i] === '--no-manifest') args.manifest = false;
+        else if (argv[i] === '--json') args.json = true;
+        else if (!args.photos && !argv[i].startsWith('--')) args.photos = argv[i];
+        else throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+
+    if (!args.photos) {
+        throw new Error(USAGE);
+    }
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(args.id || '')) {
+        throw new Error('--id must be lowercase letters, digits and dashes');
+    }
+    if (!(args.holdout > 0 && args.holdout < 1)) {
+        throw new Error('--holdout must be between 0 and 1');
+    }
+    if (!(Number.isInteger(args.epochs) && args.epochs > 0)) {
+        throw new Error('--epochs must be a positive whole number');
+    }
+    return args;
+}
+
+/**
+ * Get the catalog items: the built-in catalog, or a pack file
+ */
+async function loadItems(packFile) {
+    if (!packFile) return catalog.items;
+
+    const [data, schema, labelLists] = await Promise.all([
+        readFile(packFile, 'utf8').then(JSON.parse),
+        loadCatalogSchema(),
+        loadLabelLists()
+    ]);
+    return new ItemCatalog({ version: 1, ...data }, schema, 'pack', labelLists).items;
+}
+
+// Deterministic shuffle, so the same seed always holds out the same photos
+function shuffle(list, seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    const shuffled = [...list];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Hold out a share of every class's photos
+ * @return {Object} { train, test }, both [{ file, item }]
+ */
+function splitPhotos(photos, classes, holdout, seed) {
+    const train = [];
+    const test = [];
+    for (const label of classes) {
+        const own = shuffle(photos.filter(photo => photo.item === label), seed);
+        const held = Math.max(1, Math.round(own.length * holdout));
+        test.push(...own.slice(0, held));
+        train.push(...own.slice(held));
+    }
+    return { train, test };
+}
+
+/**
+ * Embed photos with MobileNet, optionally adding a mirrored copy of each
+ * @return {Promise<Array>} [{ file, item, embedding }]; embeddings are tensors to dispose
+ */
+async function embedPhotos(base, photos, dir, { augment = false } = {}) {
+    const embedded = [];
+    for (const [i, photo] of photos.entries()) {
+        process.stderr.write(`Embedding ${photo.file} (${i + 1}/${photos.length})\n`);
+        const frame = decodeImage(await readFile(path.join(dir, photo.file)));
+        embedded.push({ ...photo, embedding: embed(base, frame) });
+        if (augment) {
+            embedded.push({ ...photo, embedding: embed(base, frame, { flip: true }) });
+        }
+    }
+    return embedded;
+}
+
+/**
+ * Add the model to the models manifest and make it the custom backend's default
+ */
+async function registerModel(id, version) {
+    const manifestPath = path.join(MODELS_DIR, 'manifest.json');
+    let manifest = { models: [], defaults: {} };
+    try {
+        manifest = JSON.parse(await readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const entry = {
+        id,
+        family: 'mobilenet-head',
+        version,
+        url: `/models/${id}/model.json`,
+        labels: `/models/${id}/labels.json`
+    };
+    manifest.models = [...(manifest.models || []).filter(model => model.id !== id), entry];
+    manifest.defaults = { ...(manifest.defaults || {}), custom: id };
+    await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+    return manifestPath;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [photos, allItems] = await Promise.all([listImages(args.photos), loadItems(args.pack)]);
+
+    // Classes are the item folders, sorted, then "none" if there are photos of nothing
+    const byId = new Map(allItems.map(item => [item.id, item]));
+    const folders = [...new Set(photos.map(photo => photo.item))];
+    const unknown = folders.filter(folder => folder !== NO_ITEM_CLASS && !byId.has(folder));
+    if (unknown.length > 0) {
+        throw new Error(`Photo folders that are not catalog items: ${unknown.join(', ')}`);
+    }
+    const itemIds = folders.filter(folder => folder !== NO_ITEM_CLASS).sort();
+    const classes = folders.includes(NO_ITEM_CLASS) ? [...itemIds, NO_ITEM_CLASS] : itemIds;
+    if (classes.length < 2) {
+        throw new Error('Need photos of at least two classes (two items, or an item and "none")');
+    }
+    const scarce = classes.filter(label => photos.filter(photo => photo.item === label).length < MIN_PHOTOS);
+    if (scarce.length > 0) {
+        throw new Error(`Need at least ${MIN_PHOTOS} photos each for: ${scarce.join(', ')}`);
+    }
+
+    const { train, test } = splitPhotos(photos, classes, args.holdout, args.seed);
+    console.error(`${classes.length} classes, ${train.length} training and ${test.length} held-out photos`);
+
+    await tf.setBackend('cpu');
+    const base = await mobilenet.load({ ...BASE_MODEL, ...(process.env.MOBILENET_MODEL_URL && { modelUrl: process.env.MOBILENET_MODEL_URL }) });
+    const trainSet = await embedPhotos(base, train, args.photos, { augment: true });
+    const testSet = await embedPhotos(base, test, args.photos);
+
+    const xs = tf.concat(trainSet.map(photo => photo.embedding));
+    const ys = tf.oneHot(tf.tensor1d(trainSet.map(photo => classes.indexOf(photo.item)), 'int32'), classes.length);
+    const head = createHead(xs.shape[1], classes.length);
+    await head.fit(xs, ys, {
+        epochs: args.epochs,
+        batchSize: BATCH_SIZE,
+        shuffle: true,
+        callbacks: {
+            onEpochEnd: (epoch, logs) => {
+                if ((epoch + 1) % 10 === 0 || epoch + 1 === args.epochs) {
+                    console.error(`Epoch ${epoch + 1}/${args.epochs}: loss ${logs.loss.toFixed(3)}, accuracy ${(logs.acc * 100).toFixed(0)}%`);
+                }
+            }
+        }
+    });
+    tf.dispose([xs, ys]);
+
+    // Held-out photos are scored with the scanner's own rules, as the items will be once they use this model
+    const images = [];
+    for (const photo of testSet) {
+        images.push({ file: photo.file, item: photo.item, custom: await classifyEmbedding(head, classes, photo.embedding) });
+    }
+    const items = itemIds.map(id => ({ ...byId.get(id), backend: 'custom' }));
+    const report = evaluateCorpus(images, items);
+    tf.dispose([...trainSet, ...testSet].map(photo => photo.embedding));
+
+    const version = new Date().toISOString();
+    const outDir = path.join(MODELS_DIR, args.id);
+    await saveModel(outDir, head, classes, {
+        version,
+        base: BASE_MODEL,
+        photos: { train: train.length, test: test.length },
+        holdout: args.holdout,
+        epochs: args.epochs,
+        seed: args.seed,
+        report
+    });
+    const manifestPath = args.manifest ? await registerModel(args.id, version) : null;
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+        return;
+    }
+
+    console.log(formatReport(report));
+    console.log(`\nModel saved to ${outDir}${manifestPath ? ` and registered in ${manifestPath}` : ''}`);
+    const pending = itemIds.filter(id => getItemBackend(byId.get(id)) !== 'custom');
+    if (pending.length > 0) {
+        console.log(`Set "backend": "custom" on these items to scan them with it: ${pending.join(', ')}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
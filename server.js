@@ -3,8 +3,18 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import { getRandomItem } from './src/ai/items.js';
 import RateLimiter from './src/security/rateLimit.js';
+import AntiCheatSystem from './src/security/antiCheat.js';
+import HashIndex from './src/security/hashIndex.js';
+import LivenessChallenge from './src/security/livenessChallenge.js';
+import { hashPixels } from './src/security/perceptualHash.js';
+import RoomCodeRegistry from './src/game/roomCodes.js';
+import { DEFAULT_SETTINGS, validateSettings, getRoundDifficulty } from './src/game/roomSettings.js';
+import { ItemSelector, PlayerItemHistory } from './src/game/itemSelector.js';
+import PackStore from './src/game/packStore.js';
+import { ScoringEngine } from './src/game/scoring.js';
+import { CatalogError } from './src/ai/catalog.js';
+import { ServerVerifier, VerificationError } from './src/ai/serverVerifier.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,11 +34,46 @@ app.use(express.static(__dirname));
 // Serve static files from src directory
 app.use('/src', express.static(path.join(__dirname, 'src')));
 
+// Scanner models from local disk, listed in models/manifest.json (see src/ai/modelRegistry.js)
+const modelsDir = process.env.MODELS_DIR || path.join(__dirname, 'models');
+app.use('/models', express.static(modelsDir));
+
 // Serve index.html for the root route
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
+// Hashes of frames accepted in any game, so replays are caught across games and accounts
+const recentFrameHashes = new HashIndex({ maxEntries: 20000, maxAge: 24 * 60 * 60 * 1000 });
+
+// Optional "move the item" challenges issued after a first detection
+const livenessChallenge = new LivenessChallenge();
+
+// Submitted frames are re-classified here before any points are awarded
+const serverVerifier = new ServerVerifier({
+    modelUrl: process.env.MOBILENET_MODEL_URL || null,
+    detectionModelUrl: process.env.COCO_SSD_MODEL_URL || null,
+    modelsDir
+});
+
+// Custom item packs, kept on local disk
+const packStore = new PackStore(process.env.PACKS_DIR || path.join(__dirname, 'data', 'packs'));
+
+app.get('/packs', (req, res) => {
+    res.json({ packs: packStore.list() });
+});
+
+// Export a pack as a downloadable file
+app.get('/packs/:id', (req, res) => {
+    const pack = packStore.get(req.params.id);
+    if (!pack) {
+        res.status(404).json({ error: 'Pack not found' });
+        return;
+    }
+    res.attachment(`${pack.id}.json`);
+    res.json(pack);
+});
+
 // Handle 404s
 app.use((req, res) => {
     res.status(404).sendFile(path.join(__dirname, 'index.html'));
@@ -37,21 +82,26 @@ app.use((req, res) => {
 // Initialize rate limiter
 const rateLimiter = new RateLimiter();
 
-// Game Constants
-const ROUND_DURATION = 60000; // 60 seconds per round
-const MAX_PLAYERS = 8;
+// Game Constants (round count, timings and player cap are per-room settings)
 const MIN_PLAYERS = 1;
-const ROUNDS_PER_GAME = 3;
-const DIFFICULTIES = ['common', 'specific', 'rare'];
 const ROOM_CLEANUP_INTERVAL = 300000; // 5 minutes
 const PLAYER_TIMEOUT = 30000; // 30 seconds
 const MAX_INACTIVE_TIME = 600000; // 10 minutes
+const PRIVATE_ROOM_CODE_TTL = 1800000; // 30 minutes without a join or game
+const SUBMISSION_LOCK_RETRY = 1000; // How long a client waits before retrying a locked submission
 
 // Game state
 const gameRooms = new Map();
 const playerRooms = new Map();
 const disconnectedPlayers = new Map();
 const submissionLocks = new Map(); // Prevent duplicate submissions
+const roomCodes = new RoomCodeRegistry(PRIVATE_ROOM_CODE_TTL);
+
+// Items each player saw recently, so back-to-back games don't repeat them
+const playerItemHistory = new PlayerItemHistory();
+
+// Placement, time, round and streak scoring from game-design.md
+const scoringEngine = new ScoringEngine();
 
 // Clean up inactive rooms and disconnected players
 setInterval(() => {
@@ -61,7 +111,23 @@ setInterval(() => {
     for (const [roomId, room] of gameRooms.entries()) {
         if (!room.isActive && (now - room.lastActivity > MAX_INACTIVE_TIME)) {
             endGame(roomId, 'Room inactive');
-            gameRooms.delete(roomId);
+            deleteRoom(roomId);
+        }
+    }
+    
+    // Close private rooms whose join code expired while idle
+    for (const { code, roomId } of roomCodes.getExpired()) {
+        const room = gameRooms.get(roomId);
+        if (!room) {
+            roomCodes.release(code, roomId);
+        } else if (!room.isActive) {
+            io.to(roomId).emit('error', {
+                type: 'room_expired',
+                message: 'This private room has expired.'
+            });
+            room.players.forEach(player => cleanupPlayer(player.id));
+            io.in(roomId).socketsLeave(roomId);
+            deleteRoom(roomId);
         }
     }
     
@@ -78,6 +144,7 @@ app.get('/status', (req, res) => {
     res.json({
         status: 'ok',
         activeRooms: gameRooms.size,
+        privateRooms: roomCodes.size,
         totalPlayers: playerRooms.size,
         rateLimits: rateLimiter.getStatus()
     });
@@ -121,6 +188,8 @@ io.on('connection', (socket) => {
             return;
         }
         
+        if (!checkNotInRoom(socket)) return;
+        
         try {
             console.log('Player joining game:', data.name);
             const playerName = data.name.trim();
@@ -139,52 +208,7 @@ io.on('connection', (socket) => {
                 }
             }
             
-            const room = gameRooms.get(roomId);
-            
-            // Check if room is full
-            if (room.players.length >= MAX_PLAYERS) {
-                socket.emit('error', {
-                    type: 'room_full',
-                    message: 'Room is full. Please try again later.'
-                });
-                return;
-            }
-            
-            // Add player to room
-            socket.join(roomId);
-            playerRooms.set(socket.id, roomId);
-            
-            const playerData = {
-                id: socket.id,
-                name: playerName,
-                score: 0,
-                streak: 0,
-                roundScores: [],
-                lastActivity: Date.now()
-            };
-            
-            room.players.push(playerData);
-            room.lastActivity = Date.now();
-            
-            // Notify all players
-            io.to(roomId).emit('playerJoined', {
-                playerId: socket.id,
-                playerName: playerName,
-                currentPlayers: room.players.map(p => ({
-                    id: p.id,
-                    name: p.name,
-                    score: p.score,
-                    streak: p.streak
-                }))
-            });
-            
-            // Start game if enough players
-            if (room.players.length >= MIN_PLAYERS && !room.isActive) {
-                console.log('Starting game countdown...');
-                startGameCountdown(roomId);
-            } else {
-                console.log(`Waiting for more players (${room.players.length}/${MIN_PLAYERS} needed)`);
-            }
+            addPlayerToRoom(socket, roomId, playerName);
         } catch (error) {
             console.error('Error in joinGame:', error);
             socket.emit('error', {
@@ -194,6 +218,117 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Handle private room creation
+    socket.on('createPrivateRoom', (data) => {
+        if (!checkRateLimit(socket, 'roomJoin')) return;
+        
+        if (!validatePlayerName(data?.name)) {
+            socket.emit('error', {
+                type: 'invalid_input',
+                message: 'Invalid player name. Must be 2-20 characters.'
+            });
+            return;
+        }
+        
+        if (!checkNotInRoom(socket)) return;
+        
+        const { valid, settings, errors } = validateSettings(data.settings || {}, { packs: packStore });
+        if (!valid) {
+            socket.emit('error', {
+                type: 'invalid_settings',
+                message: `Invalid room settings: ${errors.join('; ')}`,
+                errors
+            });
+            return;
+        }
+        
+        let roomId;
+        try {
+            roomId = createNewRoom({ isPrivate: true, settings });
+        } catch (error) {
+            console.error('Error creating private room:', error);
+            socket.emit('error', {
+                type: 'room_creation_failed',
+                message: 'Failed to create game room.'
+            });
+            return;
+        }
+        
+        const room = gameRooms.get(roomId);
+        console.log(`Private room ${roomId} created with code ${room.code}`);
+        
+        socket.emit('privateRoomCreated', {
+            roomId,
+            code: room.code,
+            expiresAt: room.codeExpiresAt,
+            settings: room.settings
+        });
+        
+        addPlayerToRoom(socket, roomId, data.name.trim());
+    });
+
+    // Handle joining a private room by code
+    socket.on('joinPrivateRoom', (data) => {
+        if (!checkRateLimit(socket, 'roomJoin')) return;
+        
+        if (!validatePlayerName(data?.name)) {
+            socket.emit('error', {
+                type: 'invalid_input',
+                message: 'Invalid player name. Must be 2-20 characters.'
+            });
+            return;
+        }
+        
+        if (!checkNotInRoom(socket)) return;
+        
+        const entry = roomCodes.lookup(data.code);
+        const room = entry && gameRooms.get(entry.roomId);
+        
+        if (!room) {
+            socket.emit('error', {
+                type: 'room_not_found',
+                message: 'No room found with that code. Check the code and try again.'
+            });
+            return;
+        }
+        
+        if (entry.expired) {
+            socket.emit('error', {
+                type: 'room_expired',
+                message: 'That room code has expired. Ask the host for a new one.'
+            });
+            return;
+        }
+        
+        if (room.phase !== 'lobby') {
+            socket.emit('error', {
+                type: 'game_in_progress',
+                message: 'That room is already playing. Try again after the current game.'
+            });
+            return;
+        }
+        
+        if (room.isLocked) {
+            socket.emit('error', {
+                type: 'room_locked',
+                message: 'The host has locked this room.'
+            });
+            return;
+        }
+        
+        room.codeExpiresAt = roomCodes.touch(room.code);
+        
+        try {
+            addPlayerToRoom(socket, entry.roomId, data.name.trim());
+        } catch (error) {
+            console.error('Error in joinPrivateRoom:', error);
+            socket.emit('error', {
+                type: 'join_failed',
+                message: 'Failed to join game.'
+            });
+        }
+    });
+
     // Handle session recovery attempts
     socket.on('attemptRejoin', async (data) => {
         if (!checkRateLimit(socket, 'roomJoin')) return;
@@ -227,6 +362,11 @@ io.on('connection', (socket) => {
             });
         }
 
+        // Keep the host role with the rejoining player
+        if (room.hostId === data.playerId) {
+            room.hostId = socket.id;
+        }
+
         // Clean up disconnected player data
         disconnectedPlayers.delete(data.playerId);
 
@@ -236,7 +376,8 @@ io.on('connection', (socket) => {
             gameState: {
                 round: room.currentRound,
                 targetItem: room.targetItem,
-                timeRemaining: room.roundTimer ? ROUND_DURATION - (Date.now() - room.roundStartTime) : 0,
+                timeRemaining: room.roundTimer ? room.settings.roundDuration - (Date.now() - room.roundStartTime) : 0,
+                settings: room.settings,
                 players: room.players
             }
         });
@@ -256,7 +397,7 @@ io.on('connection', (socket) => {
         if (!roomId) return;
         
         const room = gameRooms.get(roomId);
-        if (!room || !room.isActive) return;
+        if (!room || !room.isActive || !room.roundEndsAt) return; // No round in progress
         
         const player = room.players.find(p => p.id === socket.id);
         if (!player) return;
@@ -266,7 +407,8 @@ io.on('connection', (socket) => {
         if (submissionLocks.has(lockKey)) {
             socket.emit('error', {
                 type: 'submission_locked',
-                message: 'Please wait before submitting again.'
+                message: 'Please wait before submitting again.',
+                retryAfter: SUBMISSION_LOCK_RETRY
             });
             return;
         }
@@ -280,49 +422,140 @@ io.on('connection', (socket) => {
             return;
         }
         
+        if (room.roundForfeits.has(socket.id)) {
+            socket.emit('error', {
+                type: 'already_forfeited',
+                message: 'You have given up on this round.'
+            });
+            return;
+        }
+        
+        // An unanswered challenge blocks new submissions until it expires
+        const pendingChallenge = room.pendingChallenges.get(socket.id);
+        if (pendingChallenge && Date.now() > pendingChallenge.challenge.expiresAt) {
+            room.pendingChallenges.delete(socket.id);
+        } else if (pendingChallenge) {
+            socket.emit('error', {
+                type: 'challenge_pending',
+                message: 'Finish the verification challenge first.'
+            });
+            return;
+        }
+        
         try {
             // Lock submission
             submissionLocks.set(lockKey, true);
             
-            // Validate submission data - RELAXED REQUIREMENTS FOR HARD-TO-DETECT ITEMS
-            console.log(`Processing submission for "${room.targetItem}" from player ${player.name}`, data);
-            
-            // Special case for hard-to-detect items - be more permissive
-            const targetLower = room.targetItem.toLowerCase();
-            if (targetLower === 'scissors' || targetLower === 'rubiks cube') {
-                console.log(`${room.targetItem.toUpperCase()} DETECTION: Using relaxed validation`);
-                // Always accept submissions for these items
-                // This is a temporary solution until scanner is improved
-            } 
-            // For other items, do normal validation
-            else if (!data || !data.prediction || !data.confidence) {
+            if (!data || typeof data.prediction !== 'string' || typeof data.confidence !== 'number') {
                 throw new Error('Invalid submission data');
             }
             
-            // Calculate score
+            // Time is taken on arrival so slow verification doesn't cost the player points
+            const round = room.currentRound;
             const timeElapsed = Date.now() - room.roundStartTime;
-            const timeBonus = Math.max(0, 1 - (timeElapsed / ROUND_DURATION));
-            const score = calculateScore(timeBonus, room.currentRound, player.streak);
+            const target = room.targetDetails;
+            
+            const submissionCheck = room.antiCheat.validateSubmission(socket.id, {
+                roundStartTime: room.roundStartTime,
+                success: true // Clients only submit frames their scanner matched
+            });
+            if (!submissionCheck.valid) {
+                if (submissionCheck.violation) {
+                    rejectSubmission(socket, room, player, submissionCheck.reason);
+                } else {
+                    refuseSubmission(socket, room, submissionCheck.reason);
+                }
+                submissionLocks.delete(lockKey);
+                return;
+            }
             
-            // Update player score
-            player.score += score;
-            player.streak++;
-            player.roundScores[room.currentRound - 1] = score;
-            player.lastActivity = Date.now();
-            room.lastActivity = Date.now();
+            // The client's claim is only logged; points depend on the server's own classification
+            let frame, verdict;
+            try {
+                frame = serverVerifier.decodeFrame(data.image);
+                verdict = await serverVerifier.verify(frame, target);
+            } catch (error) {
+                if (!(error instanceof VerificationError)) throw error;
+                
+                console.warn(`Verification error for ${player.name} in ${roomId} (target "${target.name}"): ${error.message}`);
+                // A frame the server couldn't check doesn't use up one of the player's submissions
+                room.antiCheat.releaseSubmission(socket.id, submissionCheck.submittedAt);
+                socket.emit('error', error.type === 'unavailable' ? {
+                    type: 'verification_unavailable',
+                    message: 'Item verification is unavailable right now. Please try again.',
+                    retryAfter: room.antiCheat.getRetryDelay(socket.id)
+                } : {
+                    type: 'invalid_submission',
+                    message: 'Your submission could not be checked. Please scan again.',
+                    retryAfter: room.antiCheat.getRetryDelay(socket.id)
+                });
+                submissionLocks.delete(lockKey);
+                return;
+            }
             
-            // Mark this player as having submitted for this round
-            if (room.roundSubmissions) room.roundSubmissions.add(socket.id);
+            logVerification(roomId, player, target, data, verdict);
             
-            // Notify all players
-            io.to(roomId).emit('itemVerified', {
-                playerId: socket.id,
-                playerName: player.name,
-                score: score,
-                totalScore: player.score,
-                streak: player.streak,
-                timeBonus: timeBonus
-            });
+            // The round may have ended (or the player given up) while the frame was being classified
+            if (!room.roundEndsAt || room.currentRound !== round || !room.players.includes(player) ||
+                room.roundForfeits.has(socket.id)) {
+                submissionLocks.delete(lockKey);
+                return;
+            }
+            
+            if (!verdict.verified) {
+                room.antiCheat.releaseSubmission(socket.id, submissionCheck.submittedAt);
+                socket.emit('error', {
+                    type: 'verification_failed',
+                    message: verdict.reason
+                        ? `${verdict.reason}. Keep scanning!`
+                        : `The server couldn't spot a ${target.name} in that frame. Keep scanning!`,
+                    retryAfter: room.antiCheat.getRetryDelay(socket.id)
+                });
+                // The anti-cheat cooldown spaces out the player's next try, so the lock can go now
+                submissionLocks.delete(lockKey);
+                return;
+            }
+            
+            // The hash is computed here from the frame itself; the client's copy is a cross-check.
+            // It's only remembered once the find is awarded, so a rejected frame can be rescanned
+            const frameHash = hashPixels(frame.data, frame.width, frame.height, 3);
+            const imageCheck = room.antiCheat.validateImage(
+                frameHash,
+                data.metadata && { ...data.metadata, submittedAt: data.timestamp },
+                { clientHash: data.imageHash }
+            );
+            if (!imageCheck.valid) {
+                if (imageCheck.match) {
+                    const { playerName, roomId: matchRoom, round: matchRound, item } = imageCheck.match;
+                    console.warn(`Replayed frame from ${player.name}: matches ${playerName}'s "${item}" in ${matchRoom} round ${matchRound}`);
+                }
+                // Only tampered hashes and replays are cheating; missing or stale metadata is a flaky client
+                if (imageCheck.violation) {
+                    rejectSubmission(socket, room, player, imageCheck.reason);
+                } else {
+                    refuseSubmission(socket, room, imageCheck.reason);
+                }
+                submissionLocks.delete(lockKey);
+                return;
+            }
+            
+            if (room.settings.livenessCheck) {
+                // Points wait until the player shows the item moving on request
+                // Items found with a box get a direction the server can check
+                const challenge = livenessChallenge.create({ boxed: Boolean(verdict.box) });
+                const base = { hash: frameHash, box: verdict.box || null, width: frame.width, height: frame.height };
+                room.pendingChallenges.set(socket.id, { challenge, base, round, timeElapsed });
+                socket.emit('verificationChallenge', {
+                    challengeId: challenge.id,
+                    type: challenge.type,
+                    instruction: challenge.instruction,
+                    frameCount: challenge.frameCount,
+                    captureInterval: challenge.captureInterval,
+                    timeLimit: challenge.expiresAt - Date.now()
+                });
+            } else {
+                awardFind(roomId, player, timeElapsed, [frameHash]);
+            }
             
             // Release lock after a short delay
             setTimeout(() => {
@@ -338,6 +571,254 @@ io.on('connection', (socket) => {
         }
     });
 
+    // Frames captured for a liveness challenge
+    socket.on('submitChallenge', async (data) => {
+        if (!checkRateLimit(socket, 'itemSubmission')) return;
+        
+        const roomId = playerRooms.get(socket.id);
+        if (!roomId) return;
+        
+        const room = gameRooms.get(roomId);
+        if (!room || !room.isActive || !room.roundEndsAt) return;
+        
+        const player = room.players.find(p => p.id === socket.id);
+        const pending = room.pendingChallenges.get(socket.id);
+        if (!player || !pending || !data || data.challengeId !== pending.challenge.id) return;
+        
+        // One attempt per challenge; a failed one sends the player back to scanning
+        room.pendingChallenges.delete(socket.id);
+        const target = room.targetDetails;
+        
+        try {
+            const images = Array.isArray(data.images) ? data.images.slice(0, pending.challenge.frameCount) : [];
+            const frames = [];
+            for (const image of images) {
+                const frame = serverVerifier.decodeFrame(image);
+                const verdict = await serverVerifier.verify(frame, target);
+                frames.push({
+                    hash: hashPixels(frame.data, frame.width, frame.height, 3),
+                    verified: verdict.verified,
+                    box: verdict.box || null,
+                    width: frame.width,
+                    height: frame.height
+                });
+            }
+            
+            const result = livenessChallenge.evaluate(pending.challenge, pending.base, frames);
+            console.log(`Liveness challenge "${pending.challenge.type}" for ${player.name} in ${roomId}: ${result.passed ? 'passed' : `failed (${result.reason})`}`);
+            
+            // The round may have ended (or the player given up) while the frames were being classified
+            if (!room.roundEndsAt || room.currentRound !== pending.round || !room.players.includes(player) ||
+                room.roundForfeits.has(socket.id)) {
+                return;
+            }
+            
+            if (!result.passed) {
+                socket.emit('error', {
+                    type: 'challenge_failed',
+                    message: `${result.reason}. Scan the item again.`
+                });
+                return;
+            }
+            
+            // A recorded clip of an earlier find could follow the instruction too
+            for (const frame of frames) {
+                const replay = room.antiCheat.checkReplay(frame.hash);
+                if (!replay.valid) {
+                    const { playerName, roomId: matchRoom, round: matchRound, item } = replay.match;
+                    console.warn(`Replayed challenge frame from ${player.name}: matches ${playerName}'s "${item}" in ${matchRoom} round ${matchRound}`);
+                    rejectSubmission(socket, room, player, replay.reason);
+                    return;
+                }
+            }
+            
+            awardFind(roomId, player, pending.timeElapsed, [pending.base.hash, ...frames.map(frame => frame.hash)]);
+        } catch (error) {
+            if (!(error instanceof VerificationError)) {
+                console.error('Error in submitChallenge:', error);
+            }
+            socket.emit('error', {
+                type: 'challenge_failed',
+                message: 'The challenge frames could not be checked. Scan the item again.'
+            });
+        }
+    });
+
+    // A player who can't find the item gives up so the round can end early
+    socket.on('forfeitRound', () => {
+        const roomId = playerRooms.get(socket.id);
+        if (!roomId) return;
+        
+        const room = gameRooms.get(roomId);
+        if (!room || !room.isActive || !room.roundEndsAt) return;
+        
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player || room.roundSubmissions.has(socket.id) || room.roundForfeits.has(socket.id)) return;
+        
+        room.roundForfeits.add(socket.id);
+        room.pendingChallenges.delete(socket.id);
+        player.lastActivity = Date.now();
+        
+        io.to(roomId).emit('playerForfeited', {
+            playerId: socket.id,
+            playerName: player.name,
+            round: room.currentRound
+        });
+        
+        checkRoundComplete(roomId);
+    });
+
+    // Item packs: listed, previewed and uploaded before a host creates a room
+    socket.on('listPacks', () => {
+        socket.emit('packList', { packs: packStore.list() });
+    });
+
+    socket.on('previewPack', (data) => {
+        if (!checkRateLimit(socket, 'packUpload')) return;
+
+        try {
+            const pack = packStore.validate(data && data.pack);
+            socket.emit('packPreview', { pack: pack.getSummary() });
+        } catch (error) {
+            emitPackError(socket, error);
+        }
+    });
+
+    socket.on('uploadPack', async (data) => {
+        if (!checkRateLimit(socket, 'packUpload')) return;
+
+        try {
+            const pack = await packStore.save(data && data.pack);
+            console.log(`Item pack "${pack.name}" (${pack.id}) uploaded by ${socket.id}`);
+            socket.emit('packUploaded', { pack: pack.getSummary() });
+        } catch (error) {
+            emitPackError(socket, error);
+        }
+    });
+
+    // Host starts the game from the lobby
+    socket.on('requestStartGame', () => {
+        const room = requireHost(socket);
+        if (!room) return;
+        
+        if (room.isActive || room.countdownTimer) {
+            socket.emit('error', {
+                type: 'game_in_progress',
+                message: 'The game has already started.'
+            });
+            return;
+        }
+        
+        if (room.players.length < MIN_PLAYERS) {
+            socket.emit('error', {
+                type: 'not_enough_players',
+                message: `At least ${MIN_PLAYERS} player(s) needed to start.`
+            });
+            return;
+        }
+        
+        const notReady = room.players.filter(p => !p.isReady);
+        if (notReady.length > 0) {
+            socket.emit('error', {
+                type: 'players_not_ready',
+                message: `Waiting for: ${notReady.map(p => p.name).join(', ')}`
+            });
+            return;
+        }
+        
+        console.log(`Host ${socket.id} started game in room ${room.id}`);
+        startGameCountdown(room.id);
+    });
+
+    // Host removes a player from the lobby
+    socket.on('kickPlayer', (data) => {
+        const room = requireHost(socket);
+        if (!room) return;
+        
+        const target = room.players.find(p => p.id === data?.playerId);
+        if (!target || target.id === socket.id) {
+            socket.emit('error', {
+                type: 'invalid_input',
+                message: 'That player cannot be kicked.'
+            });
+            return;
+        }
+        
+        console.log(`Host ${socket.id} kicked ${target.name} from room ${room.id}`);
+        removePlayerFromRoom(room, target.id, 'Removed by host');
+    });
+
+    // Players mark themselves ready in the lobby once their camera works
+    socket.on('setReady', (data) => {
+        const roomId = playerRooms.get(socket.id);
+        const room = roomId && gameRooms.get(roomId);
+        if (!room) return;
+        
+        const player = room.players.find(p => p.id === socket.id);
+        if (!player) return;
+        
+        if (room.phase === 'active') {
+            socket.emit('error', {
+                type: 'game_in_progress',
+                message: 'The game has already started.'
+            });
+            return;
+        }
+        
+        const ready = Boolean(data?.ready);
+        player.cameraReady = Boolean(data?.cameraReady);
+        
+        if (ready && !player.cameraReady) {
+            socket.emit('error', {
+                type: 'camera_check_required',
+                message: 'Check your camera before marking yourself ready.'
+            });
+            return;
+        }
+        
+        player.isReady = ready;
+        player.lastActivity = Date.now();
+        room.lastActivity = Date.now();
+        
+        if (ready) {
+            clearReadyTimer(room, player.id);
+        } else {
+            startReadyTimer(room, player.id);
+            if (room.phase === 'countdown') {
+                cancelGameCountdown(room.id, `${player.name} is no longer ready`);
+            }
+        }
+        
+        emitLobbyState(room.id);
+    });
+
+    // Host locks or unlocks the room to new players
+    socket.on('lockRoom', (data) => {
+        const room = requireHost(socket);
+        if (!room) return;
+        
+        room.isLocked = Boolean(data?.locked);
+        room.lastActivity = Date.now();
+        emitLobbyState(room.id);
+    });
+
+    // Host hands the host role to another player
+    socket.on('transferHost', (data) => {
+        const room = requireHost(socket);
+        if (!room) return;
+        
+        const target = room.players.find(p => p.id === data?.playerId);
+        if (!target || target.id === socket.id) {
+            socket.emit('error', {
+                type: 'invalid_input',
+                message: 'Host can only be transferred to another player in the room.'
+            });
+            return;
+        }
+        
+        setHost(room, target.id);
+    });
+
     // Handle disconnections
     socket.on('disconnect', () => {
         console.log('Player disconnected:', socket.id);
@@ -356,43 +837,282 @@ io.on('connection', (socket) => {
     });
 });
 
-function createNewRoom() {
+function createNewRoom({ isPrivate = false, settings = DEFAULT_SETTINGS } = {}) {
     const roomId = 'room_' + Date.now();
-    gameRooms.set(roomId, {
+    const room = {
         id: roomId,
         players: [],
         currentRound: 0,
         isActive: false,
+        phase: 'lobby', // lobby -> countdown -> active -> lobby
+        isPrivate,
+        isLocked: false,
+        hostId: null,
+        countdownTimer: null,
+        readyTimers: new Map(), // playerId -> idle removal timer
+        settings,
+        code: null,
+        codeExpiresAt: null,
         roundStartTime: null,
         targetItem: null,
+        targetDetails: null, // Catalog entry for targetItem
+        itemSelector: null,
+        antiCheat: null, // Created per game, sized to the round duration
         roundTimer: null,
+        intermissionTimer: null, // Starts the next round after the break between rounds
+        roundEndsAt: null, // Set while a round is in progress
+        roundSubmissions: new Set(),
+        roundForfeits: new Set(),
+        pendingChallenges: new Map(), // playerId -> liveness challenge awaiting frames
         lastActivity: Date.now()
-    });
+    };
+    
+    // Private rooms are only reachable through their join code
+    if (isPrivate) {
+        const { code, expiresAt } = roomCodes.register(roomId);
+        room.code = code;
+        room.codeExpiresAt = expiresAt;
+    }
+    
+    gameRooms.set(roomId, room);
     return roomId;
 }
 
+function deleteRoom(roomId) {
+    const room = gameRooms.get(roomId);
+    if (!room) return;
+    
+    if (room.code) {
+        roomCodes.release(room.code, roomId);
+    }
+    if (room.countdownTimer) {
+        clearInterval(room.countdownTimer);
+    }
+    clearIntermission(room);
+    room.readyTimers.forEach(timer => clearTimeout(timer));
+    gameRooms.delete(roomId);
+}
+
 function findAvailableRoom() {
     for (const [roomId, room] of gameRooms) {
-        if (room.players.length < MAX_PLAYERS && !room.isActive) {
+        if (!room.isPrivate && !room.isLocked && room.players.length < room.settings.maxPlayers && room.phase === 'lobby') {
             return roomId;
         }
     }
     return null;
 }
 
+// Reject join attempts from sockets that are already seated in a room
+function checkNotInRoom(socket) {
+    if (playerRooms.has(socket.id)) {
+        socket.emit('error', {
+            type: 'already_joined',
+            message: 'You are already in a game.'
+        });
+        return false;
+    }
+    return true;
+}
+
+function addPlayerToRoom(socket, roomId, playerName) {
+    const room = gameRooms.get(roomId);
+    
+    // Players only join from the lobby; one joining during the countdown would start unready
+    if (room.phase !== 'lobby') {
+        socket.emit('error', {
+            type: 'game_in_progress',
+            message: 'That room is already playing. Try again after the current game.'
+        });
+        return false;
+    }
+    
+    // Check if room is full
+    if (room.players.length >= room.settings.maxPlayers) {
+        socket.emit('error', {
+            type: 'room_full',
+            message: 'Room is full. Please try again later.'
+        });
+        return false;
+    }
+    
+    // Add player to room
+    socket.join(roomId);
+    playerRooms.set(socket.id, roomId);
+    
+    const playerData = {
+        id: socket.id,
+        name: playerName,
+        score: 0,
+        currentStreak: 0, // Consecutive rounds found, reset on a missed round
+        bestStreak: 0,
+        roundScores: [],
+        roundBreakdowns: [],
+        isReady: false,
+        cameraReady: false,
+        lastActivity: Date.now()
+    };
+    
+    room.players.push(playerData);
+    room.lastActivity = Date.now();
+    
+    // The first player in (the creator, for private rooms) hosts the room
+    if (!room.hostId) {
+        room.hostId = socket.id;
+    }
+    
+    // Notify all players
+    io.to(roomId).emit('playerJoined', {
+        playerId: socket.id,
+        playerName: playerName,
+        roomCode: room.code,
+        currentPlayers: room.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            score: p.score,
+            streak: p.currentStreak
+        }))
+    });
+    
+    // The game starts when everyone is ready and the host presses Start
+    startReadyTimer(room, socket.id);
+    emitLobbyState(roomId);
+    
+    return true;
+}
+
+// Remove a player from a room at the server's initiative (kick or idle)
+function removePlayerFromRoom(room, playerId, reason) {
+    const targetSocket = io.sockets.sockets.get(playerId);
+    if (targetSocket) {
+        targetSocket.emit('kicked', { reason });
+        targetSocket.leave(room.id);
+    }
+    
+    io.to(room.id).emit('playerLeft', {
+        playerId,
+        remainingPlayers: room.players.length - 1
+    });
+    cleanupPlayer(playerId);
+}
+
+// Players who never ready up are removed after the room's readyTimeout
+function startReadyTimer(room, playerId) {
+    clearReadyTimer(room, playerId);
+    
+    room.readyTimers.set(playerId, setTimeout(() => {
+        room.readyTimers.delete(playerId);
+        const player = room.players.find(p => p.id === playerId);
+        if (!player || player.isReady || room.phase !== 'lobby') return;
+        
+        console.log(`Removing idle player ${player.name} from room ${room.id}`);
+        removePlayerFromRoom(room, playerId, 'Removed for not readying up in time');
+    }, room.settings.readyTimeout));
+}
+
+function clearReadyTimer(room, playerId) {
+    const timer = room.readyTimers.get(playerId);
+    if (timer) {
+        clearTimeout(timer);
+        room.readyTimers.delete(playerId);
+    }
+}
+
+function cancelGameCountdown(roomId, reason) {
+    const room = gameRooms.get(roomId);
+    if (!room || room.phase !== 'countdown') return;
+    
+    clearInterval(room.countdownTimer);
+    room.countdownTimer = null;
+    room.phase = 'lobby';
+    
+    console.log(`Countdown cancelled in room ${roomId}: ${reason}`);
+    io.to(roomId).emit('countdownCancelled', { reason });
+    emitLobbyState(roomId);
+}
+
+// Report a rejected item pack (validation details are safe to show the host)
+function emitPackError(socket, error) {
+    const isValidationError = error instanceof CatalogError;
+    if (!isValidationError) {
+        console.error('Error handling item pack:', error);
+    }
+    socket.emit('error', {
+        type: 'invalid_pack',
+        message: isValidationError ? error.message : 'Failed to process item pack.',
+        errors: isValidationError ? error.errors : []
+    });
+}
+
+// Resolve the caller's room, rejecting anyone who is not its host
+function requireHost(socket) {
+    const roomId = playerRooms.get(socket.id);
+    const room = roomId && gameRooms.get(roomId);
+    
+    if (!room || room.hostId !== socket.id) {
+        socket.emit('error', {
+            type: 'not_host',
+            message: 'Only the host can do that.'
+        });
+        return null;
+    }
+    
+    return room;
+}
+
+function setHost(room, playerId) {
+    room.hostId = playerId;
+    room.lastActivity = Date.now();
+    
+    const host = room.players.find(p => p.id === playerId);
+    io.to(room.id).emit('hostChanged', {
+        hostId: playerId,
+        hostName: host?.name
+    });
+    emitLobbyState(room.id);
+}
+
+function emitLobbyState(roomId) {
+    const room = gameRooms.get(roomId);
+    if (!room) return;
+    
+    io.to(roomId).emit('lobbyUpdated', {
+        roomId,
+        code: room.code,
+        hostId: room.hostId,
+        isLocked: room.isLocked,
+        isActive: room.isActive,
+        phase: room.phase,
+        allReady: room.players.length > 0 && room.players.every(p => p.isReady),
+        minPlayers: MIN_PLAYERS,
+        maxPlayers: room.settings.maxPlayers,
+        settings: room.settings,
+        players: room.players.map(p => ({
+            id: p.id,
+            name: p.name,
+            isReady: p.isReady,
+            cameraReady: p.cameraReady
+        }))
+    });
+}
+
 function startGameCountdown(roomId) {
     const room = gameRooms.get(roomId);
-    if (!room || room.isActive) return;
+    if (!room || room.isActive || room.countdownTimer) return;
 
+    room.phase = 'countdown';
     let countdown = 5;
-    io.to(roomId).emit('gameStarting', { countdown });
+    io.to(roomId).emit('gameStarting', {
+        countdown,
+        settings: room.settings
+    });
 
-    const timer = setInterval(() => {
+    room.countdownTimer = setInterval(() => {
         countdown--;
         io.to(roomId).emit('countdown', { countdown });
 
         if (countdown <= 0) {
-            clearInterval(timer);
+            clearInterval(room.countdownTimer);
+            room.countdownTimer = null;
             startGame(roomId);
         }
     }, 1000);
@@ -402,11 +1122,37 @@ function startGame(roomId) {
     const room = gameRooms.get(roomId);
     if (!room || room.isActive) return;
     
+    // Everyone was ready when the countdown began; make sure nothing changed since
+    if (room.players.some(p => !p.isReady)) {
+        cancelGameCountdown(roomId, 'Not every player is ready');
+        return;
+    }
+    
+    // A round left over from the last game mustn't start in this one
+    clearIntermission(room);
     room.isActive = true;
+    room.phase = 'active';
     room.currentRound = 1;
+    room.antiCheat = new AntiCheatSystem({
+        submissionWindow: room.settings.roundDuration,
+        sharedHashIndex: recentFrameHashes
+    });
+
+    // A host-provided seed replays the same items, so recent history is
+    // only used to vary games that were started without one
+    const seeded = room.settings.seed !== null;
+    room.itemSelector = new ItemSelector({
+        seed: seeded ? room.settings.seed : undefined,
+        difficultyCurve: room.settings.difficultyCurve,
+        itemPool: room.settings.itemPool,
+        catalog: room.settings.packId ? packStore.get(room.settings.packId) : undefined,
+        recentItems: seeded ? [] : playerItemHistory.getRecent(room.players.map(p => p.name))
+    });
+    console.log(`Room ${roomId} starting game with item seed ${room.itemSelector.seed}`);
     
     io.to(roomId).emit('gameStarted', {
         round: room.currentRound,
+        seed: room.itemSelector.seed,
         players: room.players.map(p => ({
             id: p.id,
             name: p.name,
@@ -423,81 +1169,264 @@ function startRound(roomId) {
 
     room.roundStartTime = Date.now();
     room.roundSubmissions = new Set(); // Reset submissions for the new round
+    room.roundForfeits = new Set();
+    room.pendingChallenges = new Map();
+    room.players.forEach(player => room.antiCheat.resetPlayerForNewRound(player.id));
 
-    // Select item based on round number
-    let itemDifficulty = DIFFICULTIES[room.currentRound - 1] || DIFFICULTIES[DIFFICULTIES.length - 1];
-    
-    // Force specific items for rounds 1 and 2
-    if (room.currentRound === 1) {
-        room.targetItem = 'tennis ball'; 
-    } else if (room.currentRound === 2) {
-        room.targetItem = 'rubiks cube';
-    } else {
-        const item = getRandomItem(itemDifficulty);
-        // Ensure targetItem is a string, not an object
-        room.targetItem = typeof item === 'string' ? item : (item.name || 'unknown item');
-        console.log('Item selected:', item, 'Stored as:', room.targetItem);
+    // Select item based on the room's difficulty curve
+    const item = room.itemSelector.next(room.currentRound);
+    if (!item) {
+        console.error(`Room ${roomId} has no items to play with`);
+        endGame(roomId, 'No items available');
+        return;
     }
+    room.targetItem = item.name;
+    room.targetDetails = item;
+    playerItemHistory.record(room.players.map(p => p.name), item.name);
 
     console.log(`Room ${roomId} starting Round ${room.currentRound}. Target: ${room.targetItem}`);
 
     // Notify players
     io.to(roomId).emit('roundStarted', {
         round: room.currentRound,
+        totalRounds: room.settings.rounds,
+        difficulty: item.difficulty,
         targetItem: room.targetItem,
-        duration: ROUND_DURATION
+        item, // Full catalog entry, so clients can match items from custom packs
+        duration: room.settings.roundDuration,
+        settings: room.settings
+    });
+
+    // Set timer for round end
+    scheduleRoundEnd(room, room.settings.roundDuration);
+
+    // Reset submission locks for the room
+    room.players.forEach(player => {
+        submissionLocks.delete(`${roomId}-${player.id}-${room.targetItem}`);
+    });
+}
+
+// Score a verified find and tell the room; frameHashes are the perceptual hashes of the
+// frames it was found in (the submitted frame, then any liveness challenge frames)
+function awardFind(roomId, player, timeElapsed, frameHashes) {
+    const room = gameRooms.get(roomId);
+
+    // From now on the frames count as replays, in this game and others
+    frameHashes.forEach(frameHash => room.antiCheat.recordImage(frameHash, {
+        playerId: player.id,
+        playerName: player.name,
+        roomId,
+        round: room.currentRound,
+        item: room.targetDetails.name
+    }));
+
+    // Calculate score; placement is the order players found the item in
+    const { score, breakdown } = scoringEngine.score({
+        round: room.currentRound,
+        placement: room.roundSubmissions.size + 1,
+        timeElapsed,
+        roundDuration: room.settings.roundDuration,
+        streak: player.currentStreak
     });
 
-    // Clear previous timer if exists
+    // Update player score
+    player.score += score;
+    player.currentStreak++;
+    player.bestStreak = Math.max(player.bestStreak, player.currentStreak);
+    player.roundScores[room.currentRound - 1] = score;
+    player.roundBreakdowns[room.currentRound - 1] = breakdown;
+    player.lastActivity = Date.now();
+    room.lastActivity = Date.now();
+
+    // Mark this player as having submitted for this round
+    room.roundSubmissions.add(player.id);
+
+    // Notify all players
+    io.to(roomId).emit('itemVerified', {
+        playerId: player.id,
+        playerName: player.name,
+        score: score,
+        totalScore: player.score,
+        streak: player.currentStreak,
+        bestStreak: player.bestStreak,
+        placement: breakdown.placement,
+        breakdown
+    });
+
+    // The round may be over now; if not, the first find can start sudden death
+    if (!checkRoundComplete(roomId) && room.roundSubmissions.size === 1) {
+        startSuddenDeath(roomId, player);
+    }
+}
+
+// Turn a failed anti-cheat check into a leveled warning for the player
+function rejectSubmission(socket, room, player, reason) {
+    const warning = room.antiCheat.recordViolation(socket.id, reason);
+    console.warn(`Anti-cheat ${warning.level} for ${player.name} in ${room.id}: ${reason} (${warning.violations} this game)`);
+    socket.emit('antiCheatWarning', {
+        level: warning.level,
+        reason,
+        retryAfter: room.antiCheat.getRetryDelay(socket.id)
+    });
+}
+
+// Turn away a submission without counting it against the player, e.g. one sent too soon
+function refuseSubmission(socket, room, reason) {
+    socket.emit('error', {
+        type: 'submission_refused',
+        message: `${reason}. Keep scanning!`,
+        retryAfter: room.antiCheat.getRetryDelay(socket.id)
+    });
+}
+
+// Log the server's verdict next to the client's claim, flagging disagreements
+// e.g. "mobilenet-v1@2.1.1 on webgl", from the model info clients send with their submissions
+function describeClientModel(model) {
+    if (!model || typeof model !== 'object' || typeof model.id !== 'string') {
+        return 'unknown model';
+    }
+    const field = value => String(value).slice(0, 40);
+    return `${field(model.id)}@${field(model.version)} on ${field(model.backend)}`;
+}
+
+function logVerification(roomId, player, target, claim, verdict) {
+    const serverResult = `${verdict.verified ? 'match' : 'no match'} (${verdict.label}, ${verdict.confidence.toFixed(2)})`;
+    const clientResult = `${claim.prediction} (${claim.confidence.toFixed(2)}, ${describeClientModel(claim.model)})`;
+    const message = `Verification for ${player.name} in ${roomId}, target "${target.name}": server ${serverResult}, client ${clientResult}`;
+
+    if (verdict.verified) {
+        console.log(message);
+    } else if (verdict.reason) {
+        console.warn(`${message} - ATTRIBUTES: ${verdict.reason}`);
+    } else {
+        console.warn(`${message} - DISAGREEMENT`, verdict.predictions);
+    }
+}
+
+// (Re)start the round timer; clients are told about changes through roundTimerUpdated
+function scheduleRoundEnd(room, duration) {
     if (room.roundTimer) {
         clearTimeout(room.roundTimer);
     }
 
-    // Set timer for round end
+    room.roundEndsAt = Date.now() + duration;
     room.roundTimer = setTimeout(() => {
-        endRound(roomId);
-    }, ROUND_DURATION);
+        endRound(room.id);
+    }, duration);
+}
 
-    // Reset submission locks for the room
-    room.players.forEach(player => {
-        submissionLocks.delete(`${roomId}-${player.id}-${room.targetItem}`);
+// Cut the round short once someone finds the item, if the room plays sudden death
+function startSuddenDeath(roomId, player) {
+    const room = gameRooms.get(roomId);
+    const duration = room.settings.suddenDeathDuration;
+    if (!duration || room.roundEndsAt - Date.now() <= duration) return;
+
+    scheduleRoundEnd(room, duration);
+
+    io.to(roomId).emit('roundTimerUpdated', {
+        round: room.currentRound,
+        remaining: duration,
+        reason: 'sudden_death',
+        playerId: player.id,
+        playerName: player.name
+    });
+}
+
+// End the round early once every player has found the item or given up
+function checkRoundComplete(roomId) {
+    const room = gameRooms.get(roomId);
+    if (!room || !room.roundEndsAt) return false;
+
+    const allDone = room.players.every(player =>
+        room.roundSubmissions.has(player.id) || room.roundForfeits.has(player.id)
+    );
+    if (!allDone) return false;
+
+    console.log(`Room ${roomId} round ${room.currentRound} complete, ending early`);
+    io.to(roomId).emit('roundTimerUpdated', {
+        round: room.currentRound,
+        remaining: 0,
+        reason: 'all_players_done'
     });
+    endRound(roomId);
+    return true;
 }
 
 function endRound(roomId) {
     const room = gameRooms.get(roomId);
-    if (!room) return;
+    if (!room || !room.roundEndsAt) return;
 
     // Clear round timer
     if (room.roundTimer) {
         clearTimeout(room.roundTimer);
         room.roundTimer = null;
     }
+    const endedEarly = Date.now() < room.roundEndsAt;
+    room.roundEndsAt = null;
+
+    // Anyone who didn't find the item this round loses their streak
+    updateStreaks(room);
 
     // Calculate round results
     const roundResults = room.players.map(player => ({
         id: player.id,
         name: player.name,
         roundScore: player.roundScores[room.currentRound - 1] || 0,
+        breakdown: player.roundBreakdowns[room.currentRound - 1] || null,
         totalScore: player.score,
-        streak: player.streak
+        streak: player.currentStreak,
+        bestStreak: player.bestStreak
     })).sort((a, b) => b.roundScore - a.roundScore);
 
+    const isLastRound = room.currentRound >= room.settings.rounds;
+
     // Send round results
     io.to(roomId).emit('roundEnded', {
         round: room.currentRound,
-        results: roundResults
+        totalRounds: room.settings.rounds,
+        results: roundResults,
+        endedEarly,
+        nextRoundIn: isLastRound ? null : room.settings.intermissionDuration,
+        nextDifficulty: isLastRound ? null : getRoundDifficulty(room.settings, room.currentRound + 1)
     });
 
     // Start next round or end game
-    if (room.currentRound < ROUNDS_PER_GAME) {
+    if (!isLastRound) {
         room.currentRound++;
-        setTimeout(() => startRound(roomId), 5000);
+        room.intermissionTimer = setTimeout(() => {
+            room.intermissionTimer = null;
+            startRound(roomId);
+        }, room.settings.intermissionDuration);
     } else {
         endGame(roomId);
     }
 }
 
+// Cancel a pending next round, when the game ends or restarts during the break
+function clearIntermission(room) {
+    if (room.intermissionTimer) {
+        clearTimeout(room.intermissionTimer);
+        room.intermissionTimer = null;
+    }
+}
+
+// Break the streak of every player who missed the round that just ended
+function updateStreaks(room) {
+    room.players.forEach(player => {
+        const foundItem = player.roundScores[room.currentRound - 1] !== undefined;
+        if (foundItem || player.currentStreak === 0) return;
+
+        io.to(room.id).emit('streakBroken', {
+            playerId: player.id,
+            playerName: player.name,
+            streak: player.currentStreak,
+            bestStreak: player.bestStreak,
+            round: room.currentRound
+        });
+        player.currentStreak = 0;
+    });
+}
+
 function endGame(roomId, reason = 'Game Complete') {
     const room = gameRooms.get(roomId);
     if (!room) return;
@@ -508,49 +1437,50 @@ function endGame(roomId, reason = 'Game Complete') {
         name: player.name,
         totalScore: player.score,
         roundScores: player.roundScores,
-        maxStreak: player.streak
+        maxStreak: player.bestStreak
     })).sort((a, b) => b.totalScore - a.totalScore);
 
     // Send game results
     io.to(roomId).emit('gameEnded', {
         reason: reason,
-        results: finalResults
+        results: finalResults,
+        seed: room.itemSelector ? room.itemSelector.seed : null
     });
 
+    // Give private rooms a fresh expiry window for the next game
+    if (room.code) {
+        room.codeExpiresAt = roomCodes.touch(room.code);
+    }
+
     // Reset room
     room.isActive = false;
     room.currentRound = 0;
     room.roundStartTime = null;
     room.targetItem = null;
+    room.targetDetails = null;
+    room.itemSelector = null;
+    room.antiCheat = null;
+    room.roundEndsAt = null;
     if (room.roundTimer) {
         clearTimeout(room.roundTimer);
         room.roundTimer = null;
     }
+    clearIntermission(room);
 
-    // Reset player scores
+    // Reset player scores; everyone readies up again for the next game
+    room.phase = 'lobby';
     room.players.forEach(player => {
         player.score = 0;
-        player.streak = 0;
+        player.currentStreak = 0;
+        player.bestStreak = 0;
         player.roundScores = [];
+        player.roundBreakdowns = [];
+        player.isReady = false;
+        startReadyTimer(room, player.id);
     });
-}
-
-function calculateScore(timeBonus, round, streak) {
-    // Base score
-    let score = 100;
-
-    // Add time bonus (up to 50 points)
-    score += Math.floor(50 * timeBonus);
 
-    // Add round multiplier
-    score *= (1 + (round - 1) * 0.5); // 1x, 1.5x, 2x for rounds 1, 2, 3
-
-    // Add streak bonus
-    if (streak > 0) {
-        score *= (1 + Math.min(streak * 0.1, 0.5)); // Up to 50% bonus for streaks
-    }
-
-    return Math.floor(score);
+    // Send everyone back to the lobby for the next game
+    emitLobbyState(roomId);
 }
 
 // Clean up rate limiter periodically
@@ -585,20 +1515,47 @@ function cleanupPlayer(socketId) {
         if (room) {
             // Remove player from room
             room.players = room.players.filter(p => p.id !== socketId);
+            clearReadyTimer(room, socketId);
+            if (room.antiCheat) {
+                room.antiCheat.clearPlayerData(socketId);
+            }
+            
+            // Nobody leaves during the countdown without stopping it
+            cancelGameCountdown(roomId, 'A player left the room');
             
             // Clean up empty rooms
             if (room.players.length === 0) {
                 console.log('Removing empty room:', roomId);
-                gameRooms.delete(roomId);
-            } else if (room.players.length < MIN_PLAYERS && room.isActive) {
+                deleteRoom(roomId);
+                return;
+            }
+            
+            if (room.players.length < MIN_PLAYERS && room.isActive) {
                 // End game if not enough players
                 endGame(roomId, 'Not enough players');
+            } else {
+                // The player who left may have been the last one still searching
+                checkRoundComplete(roomId);
+            }
+            
+            // Hand the host role to the longest-seated remaining player
+            if (room.hostId === socketId) {
+                setHost(room, room.players[0].id);
+            } else {
+                emitLobbyState(roomId);
             }
         }
     }
 }
 
 const PORT = process.env.PORT || 3000;
+const packCount = await packStore.init();
+console.log(`Loaded ${packCount} item pack(s)`);
 server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
+});
+
+// Load the verification model up front so the first submission isn't slow
+serverVerifier.load().catch(error => {
+    console.warn(`${error.message}; retrying on the next submission`);
 });
\ No newline at end of file
@@ -0,0 +1,264 @@
+/**
+ * Attribute Verification - Checks what the model can't, like an item's colour
+ *
+ * Runs after the item itself has been found: the scanner and the server look
+ * at the pixels inside the detected box (or the centre of the frame for
+ * whole-frame classification) and check them against the catalog item's
+ * attributes. Runs unchanged in the browser (canvas pixels) and on the server
+ * (decoded JPEGs).
+ *
+ * Lighting is compensated in two steps before pixels are named: a grey-world
+ * white balance over the whole frame removes colour casts (warm bulbs, blue
+ * daylight), then the region's brightness is stretched so a dim room doesn't
+ * turn every colour into black or brown.
+ */
+
+// Hue ranges in degrees, [from, to); red wraps around 0
+const HUE_RANGES = {
+    red: [345, 15],
+    orange: [15, 40],
+    yellow: [40, 70],
+    green: [70, 170],
+    blue: [170, 260],
+    purple: [260, 290],
+    pink: [290, 345]
+};
+
+const MIN_SATURATION = 0.25; // Below this a pixel is white, grey or black
+const BLACK_MAX_VALUE = 0.2;
+const WHITE_MIN_VALUE = 0.8;
+const BROWN_MAX_VALUE = 0.55; // Dark orange, red or yellow reads as brown
+const BROWN_HUES = [0, 50];
+const MAX_WHITE_BALANCE_GAIN = 1.25;
+const MAX_BRIGHTNESS_GAIN = 2.5;
+const MAX_SAMPLES = 10000;
+
+// Hue degrees a pixel may be outside its range and still count as the required colour
+export const HUE_TOLERANCE = 10;
+
+// Share of the region that must show the required colour
+export const MIN_COLOR_SHARE = 0.25;
+
+/**
+ * Convert RGB (0-1) to hue (degrees), saturation and value (0-1)
+ * @private
+ */
+function toHsv(r, g, b) {
+    const max = Math.max(r, g, b);
+    const delta = max - Math.min(r, g, b);
+    let hue = 0;
+    if (delta > 0) {
+        if (max === r) hue = 60 * (((g - b) / delta) % 6);
+        else if (max === g) hue = 60 * ((b - r) / delta + 2);
+        else hue = 60 * ((r - g) / delta + 4);
+    }
+    return { hue: (hue + 360) % 360, saturation: max ? delta / max : 0, value: max };
+}
+
+/**
+ * Check whether a hue falls in a range, widened by a tolerance
+ * @private
+ */
+function inHueRange(hue, [from, to], tolerance = 0) {
+    const start = (from - tolerance + 360) % 360;
+    const end = (to + tolerance) % 360;
+    return start < end ? hue >= start && hue < end : hue >= start || hue < end;
+}
+
+/**
+ * Name the colour of one pixel
+ * @private
+ * @return {string} One of the catalog's colour names (silver is reported as gray)
+ */
+function nameColor({ hue, saturation, value }) {
+    if (value < BLACK_MAX_VALUE) return 'black';
+    if (saturation < MIN_SATURATION) {
+        return value >= WHITE_MIN_VALUE ? 'white' : 'gray';
+    }
+    if (value < BROWN_MAX_VALUE && inHueRange(hue, BROWN_HUES)) {
+        return 'brown';
+    }
+    // Pale red is what people call pink
+    if (inHueRange(hue, HUE_RANGES.red) && saturation < 0.5 && value >= WHITE_MIN_VALUE) {
+        return 'pink';
+    }
+    return Object.keys(HUE_RANGES).find(color => inHueRange(hue, HUE_RANGES[color]));
+}
+
+/**
+ * Check whether a pixel can pass for a colour, with tolerance
+ * @private
+ */
+function matchesColor(pixel, color, tolerance) {
+    const { hue, saturation, value } = pixel;
+    const slack = tolerance / 200;
+
+    switch (color) {
+        case 'black':
+            return value < BLACK_MAX_VALUE + slack;
+        case 'white':
+            return value >= WHITE_MIN_VALUE - slack && saturation < MIN_SATURATION + slack;
+        case 'gray':
+            return saturation < MIN_SATURATION + slack && value >= BLACK_MAX_VALUE - slack;
+        case 'silver':
+            // Shiny metal reflects its surroundings: any light, washed-out pixel will do
+            return saturation < MIN_SATURATION + slack && value >= 0.4 - slack;
+        case 'brown':
+            return saturation >= MIN_SATURATION - slack && value < BROWN_MAX_VALUE + slack &&
+                inHueRange(hue, BROWN_HUES, tolerance);
+        default:
+            return saturation >= MIN_SATURATION - slack && value >= BLACK_MAX_VALUE &&
+                inHueRange(hue, HUE_RANGES[color], tolerance);
+    }
+}
+
+/**
+ * Sample a region's pixels as HSV, with white balance and brightness compensation
+ * @param {Uint8Array|Uint8ClampedArray} data - Pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options
+ * @param {number} options.channels - 4 for canvas ImageData, 3 for decoded JPEGs
+ * @param {Array} options.region - [x, y, width, height] to look at; defaults to the centre of the frame
+ * @return {Array} [{ hue, saturation, value }]
+ */
+export function samplePixels(data, width, height, { channels = 4, region = null } = {}) {
+    // Grey-world white balance: the frame as a whole should average out to grey. Applied at
+    // half strength and capped, since a frame full of one colour isn't a colour cast
+    const means = [0, 0, 0];
+    const frameStep = Math.max(1, Math.floor(Math.sqrt((width * height) / MAX_SAMPLES)));
+    let frameCount = 0;
+    for (let y = 0; y < height; y += frameStep) {
+        for (let x = 0; x < width; x += frameStep) {
+            const offset = (y * width + x) * channels;
+            for (let c = 0; c < 3; c++) means[c] += data[offset + c];
+            frameCount++;
+        }
+    }
+    const gray = (means[0] + means[1] + means[2]) / 3;
+    const gains = means.map(sum => {
+        const gain = sum > 0 ? Math.sqrt(gray / sum) : 1;
+        return Math.min(MAX_WHITE_BALANCE_GAIN, Math.max(1 / MAX_WHITE_BALANCE_GAIN, gain));
+    });
+
+    const [left, top, regionWidth, regionHeight] = clampRegion(region || centreRegion(width, height), width, height);
+    const step = Math.max(1, Math.floor(Math.sqrt((regionWidth * regionHeight) / MAX_SAMPLES)));
+    const balanced = [];
+    for (let y = top; y < top + regionHeight; y += step) {
+        for (let x = left; x < left + regionWidth; x += step) {
+            const offset = (y * width + x) * channels;
+            balanced.push([0, 1, 2].map(c => Math.min(1, (data[offset + c] * gains[c]) / 255)));
+        }
+    }
+    if (frameCount === 0 || balanced.length === 0) return [];
+
+    // Stretch brightness so the region's brighter pixels reach full value
+    const brightest = balanced.map(rgb => Math.max(...rgb)).sort((a, b) => a - b);
+    const highlight = brightest[Math.floor(brightest.length * 0.95)] || 1;
+    const brightness = Math.min(MAX_BRIGHTNESS_GAIN, Math.max(1, 1 / highlight));
+
+    return balanced.map(([r, g, b]) => toHsv(
+        Math.min(1, r * brightness),
+        Math.min(1, g * brightness),
+        Math.min(1, b * brightness)
+    ));
+}
+
+/**
+ * The middle half of the frame, where players hold items up to the camera
+ * @private
+ */
+function centreRegion(width, height) {
+    return [Math.floor(width / 4), Math.floor(height / 4), Math.ceil(width / 2), Math.ceil(height / 2)];
+}
+
+/**
+ * Round a region to whole pixels and keep it inside the frame
+ * @private
+ */
+function clampRegion([x, y, regionWidth, regionHeight], width, height) {
+    const left = Math.max(0, Math.min(width - 1, Math.floor(x)));
+    const top = Math.max(0, Math.min(height - 1, Math.floor(y)));
+    return [
+        left,
+        top,
+        Math.max(1, Math.min(width - left, Math.round(regionWidth))),
+        Math.max(1, Math.min(height - top, Math.round(regionHeight)))
+    ];
+}
+
+/**
+ * Estimate the dominant colour of a region
+ * @param {Array} pixels - From samplePixels()
+ * @return {Object} { color, shares } with the share of each colour name
+ */
+export function dominantColor(pixels) {
+    const counts = {};
+    for (const pixel of pixels) {
+        const color = nameColor(pixel);
+        counts[color] = (counts[color] || 0) + 1;
+    }
+
+    const shares = Object.fromEntries(Object.entries(counts).map(([color, count]) => [color, count / pixels.length]));
+    const color = Object.keys(shares).sort((a, b) => shares[b] - shares[a])[0] || null;
+    return { color, shares };
+}
+
+/**
+ * Get the colour an item must have, if any
+ * @param {Object} item - Catalog item
+ * @return {string|null} Colour name from the item's attributes
+ */
+export function getRequiredColor(item) {
+    return item.attributes?.color || null;
+}
+
+/**
+ * Explain a colour rejection to the player
+ * @param {Object} item - Catalog item
+ * @param {string} color - The colour it should have had
+ * @return {string} e.g. "Found a screwdriver, but it isn't red"
+ */
+export function describeColorMismatch(item, color) {
+    // "red screwdriver" was found as a screwdriver; the colour is what's missing
+    const object = item.name.replace(new RegExp(`\\b${color}\\b`), '').replace(/\s+/g, ' ').trim() || item.name;
+    const article = /^[aeiou]/i.test(object) ? 'an' : 'a';
+    return `Found ${article} ${object}, but it isn't ${color}`;
+}
+
+/**
+ * Check a found item's attributes
+ * @param {Object} frame - { data, width, height } pixels of the frame the item was found in
+ * @param {Object} item - Catalog item
+ * @param {Object} options
+ * @param {number} options.channels - 4 for canvas ImageData, 3 for decoded JPEGs
+ * @param {Array} options.region - The item's box, [x, y, width, height] in frame pixels; defaults to the centre
+ * @param {number} options.tolerance - Hue degrees of slack for the colour (saturation and value get tolerance / 200)
+ * @param {number} options.minShare - Share of the region that must show the colour
+ * @return {Object} { passed, reason, color, share, dominant }
+ */
+export function checkAttributes(frame, item, {
+    channels = 4,
+    region = null,
+    tolerance = HUE_TOLERANCE,
+    minShare = MIN_COLOR_SHARE
+} = {}) {
+    const color = getRequiredColor(item);
+    if (!color) {
+        return { passed: true };
+    }
+
+    const pixels = samplePixels(frame.data, frame.width, frame.height, { channels, region });
+    const share = pixels.length
+        ? pixels.filter(pixel => matchesColor(pixel, color, tolerance)).length / pixels.length
+        : 0;
+    const passed = share >= minShare;
+
+    return {
+        passed,
+        reason: passed ? null : describeColorMismatch(item, color),
+        color,
+        share,
+        dominant: dominantColor(pixels).color
+    };
+}
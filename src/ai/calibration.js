@@ -0,0 +1,366 @@
+/**
+ * Camera Calibration - Checks that a player's camera gives the scanner usable frames
+ *
+ * Run from the lobby before a game: a few seconds of frames are measured for
+ * brightness, contrast, sharpness (variance of the Laplacian), resolution and
+ * frame rate, and the classification model looks at one of them to check it
+ * can make anything out and to time it on this device. Problems come back as
+ * fixes the player can act on ("Too dark: ...").
+ *
+ * The result is a profile per camera, kept in localStorage, which the scanner
+ * and the scanning loop pick up whenever that camera is used:
+ *
+ *   adjustment     { gain, contrast } applied to every scanned frame (and the
+ *                  frame sent to the server), null when the picture is fine
+ *   frameRate      the scan loop never asks for frames faster than this
+ *   inferenceTime  the scan interval starts from it instead of a guess
+ */
+
+const MEASURE_SIZE = 640;      // Longest side frames are measured at; blur hides in smaller ones
+const TARGET_BRIGHTNESS = 120; // Mean luma (0-255) the adjustment aims for
+const TARGET_CONTRAST = 50;    // Luma standard deviation the adjustment aims for
+const MIN_GAIN = 0.7;
+const MAX_GAIN = 2.5;
+const MAX_CONTRAST = 1.8;
+const MIN_CHANGE = 0.05;       // Adjustments closer to 1 than this aren't worth the per-frame cost
+
+// Below or above these the player is told what to fix
+export const LIMITS = {
+    minBrightness: 60,
+    maxBrightness: 200,
+    minContrast: 25,
+    minSharpness: 60,
+    minResolution: 240,  // Shorter side, in pixels
+    minFrameRate: 10,
+    minReferenceScore: 0.15,
+    maxInferenceTime: 1000 // ms
+};
+
+/**
+ * Measure one frame
+ * @param {Object} frame - { data, width, height } RGBA pixels, like canvas ImageData
+ * @return {Object} { brightness, contrast, sharpness }: mean luma, its standard deviation and the
+ *   variance of its Laplacian (low for a blurry picture)
+ */
+export function measureFrame({ data, width, height }) {
+    const luma = new Float32Array(width * height);
+    let sum = 0;
+    for (let i = 0; i < luma.length; i++) {
+        const offset = i * 4;
+        luma[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+        sum += luma[i];
+    }
+    const brightness = sum / luma.length;
+
+    let spread = 0;
+    for (const value of luma) {
+        spread += (value - brightness) ** 2;
+    }
+
+    // 4-neighbour Laplacian over the inner pixels
+    let laplacianSum = 0;
+    let laplacianSquares = 0;
+    let count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const laplacian = luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i];
+            laplacianSum += laplacian;
+            laplacianSquares += laplacian * laplacian;
+            count++;
+        }
+    }
+    const laplacianMean = count ? laplacianSum / count : 0;
+
+    return {
+        brightness,
+        contrast: Math.sqrt(spread / luma.length),
+        sharpness: count ? laplacianSquares / count - laplacianMean * laplacianMean : 0
+    };
+}
+
+/**
+ * Work out the gain and contrast that bring a camera's picture to where the models like it
+ * @param {Object} measurements - { brightness, contrast } from measureFrame()
+ * @return {Object|null} { gain, contrast }, or null when the picture needs no help
+ */
+export function computeAdjustment({ brightness, contrast }) {
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+    if (!(brightness > 0)) {
+        return { gain: MAX_GAIN, contrast: 1 };
+    }
+    // Gain already spreads the values out; contrast only makes up what's still missing
+    const roughGain = clamp(TARGET_BRIGHTNESS / brightness, MIN_GAIN, MAX_GAIN);
+    let stretch = contrast > 0 ? clamp(TARGET_CONTRAST / (contrast * roughGain), 1, MAX_CONTRAST) : MAX_CONTRAST;
+    // Contrast pivots on mid-grey, which pulls a dim picture back down; the gain makes up for that,
+    // and where it can't, brightness matters more than contrast
+    let gain = (128 + (TARGET_BRIGHTNESS - 128) / stretch) / brightness;
+    if (gain > MAX_GAIN) {
+        stretch = 1;
+        gain = roughGain;
+    }
+    gain = clamp(gain, MIN_GAIN, MAX_GAIN);
+
+    if (Math.abs(gain - 1) < MIN_CHANGE && stretch - 1 < MIN_CHANGE) {
+        return null;
+    }
+    return { gain: Number(gain.toFixed(2)), contrast: Number(stretch.toFixed(2)) };
+}
+
+/**
+ * Apply an adjustment to RGBA pixels in place: gain first, then contrast around mid-grey
+ * (what the canvas filter "brightness() contrast()" does)
+ * @param {Object} frame - { data } RGBA pixels
+ * @param {Object} adjustment - { gain, contrast }
+ */
+export function adjustPixels({ data }, { gain, contrast }) {
+    const table = new Uint8ClampedArray(256);
+    for (let value = 0; value < 256; value++) {
+        table[value] = (value * gain - 128) * contrast + 128;
+    }
+    for (let i = 0; i < data.length; i += 4) {
+        data[i] = table[data[i]];
+        data[i + 1] = table[data[i + 1]];
+        data[i + 2] = table[data[i + 2]];
+    }
+}
+
+/**
+ * Draw an image onto a canvas with an adjustment, using the canvas filter where the browser has one
+ * @param {CanvasRenderingContext2D} context - Target canvas context
+ * @param {CanvasImageSource} source - Video, image or canvas to draw
+ * @param {Object|null} adjustment - { gain, contrast }; null draws the image unchanged
+ */
+export function drawAdjusted(context, source, adjustment) {
+    const { width, height } = context.canvas;
+    if (!adjustment) {
+        context.drawImage(source, 0, 0, width, height);
+    } else if ('filter' in context) {
+        context.filter = `brightness(${adjustment.gain}) contrast(${adjustment.contrast})`;
+        context.drawImage(source, 0, 0, width, height);
+        context.filter = 'none';
+    } else {
+        context.drawImage(source, 0, 0, width, height);
+        const pixels = context.getImageData(0, 0, width, height);
+        adjustPixels(pixels, adjustment);
+        context.putImageData(pixels, 0, 0);
+    }
+}
+
+/**
+ * Tell the player what to fix
+ * @param {Object} measurements - { width, height, frameRate, brightness, contrast, sharpness,
+ *   reference: { label, score } | null, inferenceTime }
+ * @return {Array} [{ code, message }], most important first; empty when everything looks fine
+ */
+export function diagnose(measurements) {
+    const { width, height, frameRate, brightness, contrast, sharpness, reference, inferenceTime } = measurements;
+    const issues = [];
+    const add = (code, message) => issues.push({ code, message });
+
+    if (brightness < LIMITS.minBrightness) {
+        add('too-dark', 'Too dark: turn on a light or face a window');
+    } else if (brightness > LIMITS.maxBrightness) {
+        add('too-bright', 'Too bright: move out of direct sunlight, or away from a window behind you');
+    } else if (contrast < LIMITS.minContrast) {
+        add('low-contrast', 'The picture looks washed out: avoid light shining straight into the camera');
+    }
+    if (sharpness < LIMITS.minSharpness) {
+        add('blurry', 'Camera is blurry: wipe the lens, and hold the item still at arm\'s length');
+    }
+    if (Math.min(width, height) < LIMITS.minResolution) {
+        add('low-resolution', `Low camera resolution (${width}×${height}): close other apps using the camera, or use a better one`);
+    }
+    if (frameRate && frameRate < LIMITS.minFrameRate) {
+        add('low-frame-rate', `The camera only sends ${Math.round(frameRate)} frames a second: more light usually helps`);
+    }
+    if (!reference) {
+        add('no-reference', 'The scanner model didn\'t load: check your connection and check again');
+    } else if (reference.score < LIMITS.minReferenceScore) {
+        add('unrecognized', 'The scanner can\'t make anything out: hold an everyday object, like a mug, in the middle of the picture');
+    }
+    if (inferenceTime > LIMITS.maxInferenceTime) {
+        add('slow-device', `Scanning is slow on this device (${Math.round(inferenceTime)} ms a frame): close other tabs and apps`);
+    }
+    return issues;
+}
+
+/**
+ * Identify the camera behind a stream, so profiles stay with their camera
+ * @param {MediaStream} stream - Webcam stream
+ * @return {string|null} Device id, or the camera's name where the browser hides the id
+ */
+export function getCameraId(stream) {
+    const track = stream?.getVideoTracks?.()[0];
+    if (!track) return null;
+    return track.getSettings?.().deviceId || track.label || null;
+}
+
+// The current frame's pixels, at most MEASURE_SIZE on the longest side
+function readPixels(videoElement) {
+    const scale = Math.min(1, MEASURE_SIZE / Math.max(videoElement.videoWidth, videoElement.videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(videoElement.videoWidth * scale);
+    canvas.height = Math.round(videoElement.videoHeight * scale);
+    const context = canvas.getContext('2d');
+    context.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+// Count the frames the video presents; stop() resolves to frames per second, or null if the browser can't tell
+function countFrames(videoElement) {
+    const startedAt = performance.now();
+    let frames = 0;
+    let handle = null;
+    const onFrame = () => {
+        frames++;
+        handle = videoElement.requestVideoFrameCallback(onFrame);
+    };
+    if (typeof videoElement.requestVideoFrameCallback === 'function') {
+        handle = videoElement.requestVideoFrameCallback(onFrame);
+    }
+
+    return {
+        stop() {
+            if (handle !== null) {
+                videoElement.cancelVideoFrameCallback(handle);
+                return frames / ((performance.now() - startedAt) / 1000);
+            }
+            // Fall back to what the camera promised
+            return videoElement.srcObject?.getVideoTracks?.()[0]?.getSettings?.().frameRate || null;
+        }
+    };
+}
+
+const median = values => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calibrate the camera behind a playing video element
+ * @param {HTMLVideoElement} videoElement - Playing webcam video
+ * @param {Object} options
+ * @param {ItemScanner} options.scanner - Scanner for the reference classification; without one it's skipped
+ * @param {number} options.samples - Frames to measure
+ * @param {number} options.duration - Time to spread them over (ms), also how long the frame rate is counted
+ * @param {AbortSignal} options.signal - Stops the calibration early
+ * @param {Function} options.onProgress - Called with a status line as the steps run
+ * @return {Promise<Object|null>} The camera's profile (see the top of this file, plus the measurements,
+ *   reference classification and issues), or null if stopped
+ */
+export async function calibrateCamera(videoElement, { scanner = null, samples = 5, duration = 2000, signal = null, onProgress = () => {} } = {}) {
+    const { videoWidth: width, videoHeight: height } = videoElement;
+    if (!width || !height) {
+        throw new Error('No picture from the camera yet');
+    }
+
+    onProgress('Measuring the picture...');
+    const frameCounter = countFrames(videoElement);
+    const measured = [];
+    for (let i = 0; i < samples; i++) {
+        if (signal?.aborted) {
+            frameCounter.stop();
+            return null;
+        }
+        measured.push(measureFrame(readPixels(videoElement)));
+        await wait(duration / samples);
+    }
+    const frameRate = frameCounter.stop();
+
+    const measurements = {
+        width,
+        height,
+        frameRate: frameRate && Number(frameRate.toFixed(1)),
+        brightness: median(measured.map(frame => frame.brightness)),
+        contrast: median(measured.map(frame => frame.contrast)),
+        sharpness: median(measured.map(frame => frame.sharpness)),
+        reference: null,
+        inferenceTime: null
+    };
+    const adjustment = computeAdjustment(measurements);
+
+    // The model sees the adjusted frames during the game, so it does here too
+    let model = null;
+    if (scanner && !signal?.aborted) {
+        onProgress('Checking what the scanner sees...');
+        try {
+            await scanner.classify(videoElement, { adjustment }); // The first run includes warming up the model
+            const startedAt = performance.now();
+            const result = await scanner.classify(videoElement, { adjustment });
+            if (result) {
+                measurements.inferenceTime = Math.round(performance.now() - startedAt);
+                const [top] = result.candidates;
+                measurements.reference = top ? { label: top.label, score: top.score } : { label: null, score: 0 };
+                model = result.model;
+            }
+        } catch (error) {
+            console.warn('Reference classification failed:', error);
+        }
+    }
+    if (signal?.aborted) return null;
+
+    return {
+        cameraId: getCameraId(videoElement.srcObject),
+        measuredAt: Date.now(),
+        ...measurements,
+        model,
+        adjustment,
+        issues: diagnose(measurements)
+    };
+}
+
+/**
+ * Camera profiles, kept per device in localStorage
+ */
+export class CalibrationStore {
+    constructor() {
+        this.storageKey = 'rush_roulette_camera_profiles';
+    }
+
+    // All stored profiles, by camera id
+    readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to read camera profiles:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get a camera's profile
+     * @param {string} cameraId - From getCameraId()
+     * @return {Object|null} The profile, or null if the camera was never calibrated
+     */
+    load(cameraId) {
+        return (cameraId && this.readAll()[cameraId]) || null;
+    }
+
+    /**
+     * Store a profile for its camera, replacing the camera's last one
+     * @param {Object} profile - From calibrateCamera()
+     */
+    save(profile) {
+        if (!profile?.cameraId) return;
+        try {
+            const profiles = this.readAll();
+            profiles[profile.cameraId] = profile;
+            localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+        } catch (error) {
+            console.error('Failed to save camera profile:', error);
+        }
+    }
+
+    /**
+     * Forget a camera's profile
+     * @param {string} cameraId - From getCameraId()
+     */
+    remove(cameraId) {
+        try {
+            const profiles = this.readAll();
+            delete profiles[cameraId];
+            localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+        } catch (error) {
+            console.error('Failed to remove camera profile:', error);
+        }
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * Item Catalog - Loads the shared item catalog and validates it against its schema
+ *
+ * The same catalog file backs the server, the scanners and test.html, so it is
+ * read with fs on Node and fetched over HTTP in the browser.
+ */
+
+import { validateSchema } from '../utils/schemaValidator.js';
+import { getLabelWeights } from './matching.js';
+import { DEFAULT_VOTING } from './temporalAggregator.js';
+
+const CATALOG_PATH = './catalog.json';
+const SCHEMA_PATH = './catalog.schema.json';
+const LABEL_LIST_PATHS = {
+    classification: './labels/imagenet.json',
+    detection: './labels/coco.json'
+};
+
+const isNode = typeof process !== 'undefined' && Boolean(process.versions?.node);
+
+export class CatalogError extends Error {
+    constructor(message, errors = []) {
+        super(message);
+        this.name = 'CatalogError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Read a JSON file relative to this module
+ * @param {string} relativePath - Path relative to src/ai
+ * @return {Promise<Object>} The parsed JSON
+ */
+async function readJson(relativePath) {
+    const url = new URL(relativePath, import.meta.url);
+
+    if (isNode) {
+        const { readFile } = await import('fs/promises');
+        return JSON.parse(await readFile(url, 'utf8'));
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new CatalogError(`Failed to load ${relativePath}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
+
+export class ItemCatalog {
+    /**
+     * @param {Object} data - Parsed catalog ({ version, items }) or item pack
+     * @param {Object} schema - The catalog JSON schema
+     * @param {string} kind - 'catalog' for the built-in catalog, 'pack' for a custom item pack
+     * @param {Object} labelLists - Class names per backend from loadLabelLists(); when given,
+     *   every mapped label must be a class the model actually has
+     * @throws {CatalogError} If the data does not match the schema or has conflicts
+     */
+    constructor(data, schema, kind = 'catalog', labelLists = null) {
+        // Packs are checked against the schema's pack definition instead of the root
+        const rootSchema = kind === 'pack'
+            ? { definitions: schema.definitions, $ref: '#/definitions/pack' }
+            : schema;
+        const label = kind === 'pack' ? 'item pack' : 'item catalog';
+
+        const { valid, errors } = validateSchema(data, rootSchema);
+        if (!valid) {
+            throw new CatalogError(`Invalid ${label}: ${errors.slice(0, 5).join('; ')}`, errors);
+        }
+
+        this.kind = kind;
+        this.id = data.id || null;
+        this.name = data.name || null;
+        this.description = data.description || '';
+        this.version = data.version;
+        this.items = data.items;
+        this.difficulties = schema.definitions.item.properties.difficulty.enum;
+
+        this.byId = new Map();
+        this.byName = new Map();  // lowercased name or alias -> item
+        this.byLabel = new Map(); // model label (either backend) -> [items]
+
+        const conflicts = [];
+        for (const item of this.items) {
+            if (this.byId.has(item.id)) {
+                conflicts.push(`Duplicate item id "${item.id}"`);
+            }
+            this.byId.set(item.id, item);
+
+            // Names and aliases must resolve to exactly one item
+            for (const name of [item.name, ...item.aliases]) {
+                const key = name.toLowerCase();
+                const existing = this.byName.get(key);
+                if (existing && existing !== item) {
+                    conflicts.push(`"${name}" is used by both "${existing.id}" and "${item.id}"`);
+                }
+                this.byName.set(key, item);
+            }
+
+            for (const backend of ['classification', 'detection']) {
+                for (const label of getLabelWeights(item, backend).keys()) {
+                    if (labelLists && !labelLists[backend].has(label)) {
+                        conflicts.push(`"${item.id}" maps "${label}", which is not a ${backend} model class`);
+                    }
+                    this.byLabel.set(label, [...(this.byLabel.get(label) || []), item]);
+                }
+            }
+
+            // A typo here would silently never veto anything
+            for (const label of item.negativeLabels || []) {
+                if (labelLists && !labelLists.classification.has(label) && !labelLists.detection.has(label)) {
+                    conflicts.push(`"${item.id}" has negative label "${label}", which is not a model class`);
+                }
+            }
+
+            // A vote that needs more frames than it looks at could never pass
+            const voting = { ...DEFAULT_VOTING, ...(item.voting || {}) };
+            if (voting.required > voting.window) {
+                conflicts.push(`"${item.id}" needs ${voting.required} positive frames out of only ${voting.window}`);
+            }
+
+            // The detector can only find items it has classes for
+            if (item.backend === 'detection' && !(item.detectionLabels || []).length) {
+                conflicts.push(`"${item.id}" uses the detection backend but has no detectionLabels`);
+            }
+        }
+
+        if (conflicts.length > 0) {
+            throw new CatalogError(`Invalid ${label}: ${conflicts.join('; ')}`, conflicts);
+        }
+    }
+
+    /**
+     * Summarize the catalog for listings and previews
+     * @return {Object} { id, name, description, itemCount, difficulties, items }
+     */
+    getSummary() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            itemCount: this.items.length,
+            difficulties: Object.fromEntries(
+                this.difficulties.map(difficulty => [difficulty, this.getItemsByDifficulty(difficulty).length])
+            ),
+            items: this.items.map(({ id, name, difficulty, description, icon }) => ({ id, name, difficulty, description, icon }))
+        };
+    }
+
+    /**
+     * Get the catalog data in its file format, for export
+     * @return {Object} Serializable catalog or pack
+     */
+    toJSON() {
+        if (this.kind === 'pack') {
+            return {
+                version: this.version,
+                id: this.id,
+                name: this.name,
+                description: this.description,
+                items: this.items
+            };
+        }
+        return { version: this.version, items: this.items };
+    }
+
+    /**
+     * Get an item by its id
+     * @param {string} id - Item id
+     * @return {Object|null} The item
+     */
+    getItem(id) {
+        return this.byId.get(id) || null;
+    }
+
+    /**
+     * Find an item by name or alias (case-insensitive)
+     * @param {string} name - Name typed by a host or player
+     * @return {Object|null} The item
+     */
+    findItem(name) {
+        if (typeof name !== 'string') return null;
+        return this.byName.get(name.trim().toLowerCase()) || null;
+    }
+
+    /**
+     * Find the items a model label is mapped to
+     * @param {string} label - Exact class name reported by either model
+     * @return {Array} Matching items
+     */
+    findItemsByLabel(label) {
+        return this.byLabel.get(label) || [];
+    }
+
+    /**
+     * Get all items of a difficulty
+     * @param {string} difficulty - Difficulty name
+     * @return {Array} Items
+     */
+    getItemsByDifficulty(difficulty) {
+        return this.items.filter(item => item.difficulty === difficulty);
+    }
+}
+
+/**
+ * Load the catalog schema
+ * @return {Promise<Object>} The schema
+ */
+export function loadCatalogSchema() {
+    return readJson(SCHEMA_PATH);
+}
+
+/**
+ * Load the class names each scanner backend's model can report (src/ai/labels)
+ * @return {Promise<Object>} { classification: Set, detection: Set }
+ */
+export async function loadLabelLists() {
+    const entries = await Promise.all(Object.entries(LABEL_LIST_PATHS).map(async ([backend, path]) => {
+        const { classes } = await readJson(path);
+        return [backend, new Set(classes.map(entry => entry.label))];
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Load and validate the item catalog
+ * @return {Promise<ItemCatalog>} The validated catalog
+ */
+export async function loadCatalog() {
+    const [data, schema, labelLists] = await Promise.all([
+        readJson(CATALOG_PATH),
+        loadCatalogSchema(),
+        loadLabelLists()
+    ]);
+    return new ItemCatalog(data, schema, 'catalog', labelLists);
+}
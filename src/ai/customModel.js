@@ -0,0 +1,134 @@
+/**
+ * Custom Item Model - A classifier head on MobileNet embeddings, for items ImageNet doesn't cover
+ *
+ * scripts/train-custom-items.js trains it on photos of catalog items, so its
+ * classes are item ids (plus "none" for photos without an item). The exported
+ * directory is what the browser (modelLoader.js, family "mobilenet-head") and
+ * the server verifier load:
+ *
+ *   model.json, weights.bin   TensorFlow.js layers model: embedding in, class probabilities out
+ *   labels.json               Class names, in output order
+ *   metrics.json              Held-out evaluation from training
+ *
+ * Embeddings come from MobileNet v1 at alpha 1.0, the model the server and the
+ * default scanner already run; a head only works on embeddings of that model.
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import * as tf from '@tensorflow/tfjs';
+
+// The MobileNet the embeddings come from, as mobilenet.load() options
+export const BASE_MODEL = { version: 1, alpha: 1.0 };
+
+export const NO_ITEM_CLASS = 'none';
+
+const MODEL_FILE = 'model.json';
+const WEIGHTS_FILE = 'weights.bin';
+const LABELS_FILE = 'labels.json';
+const METRICS_FILE = 'metrics.json';
+
+/**
+ * Create an untrained head
+ * @param {number} inputSize - Embedding length
+ * @param {number} classCount - Number of classes
+ * @param {Object} options
+ * @param {number} options.hiddenUnits - Width of the hidden layer
+ * @param {number} options.dropout - Dropout rate before the output layer
+ * @param {number} options.learningRate - Adam learning rate
+ * @return {tf.Sequential} Compiled model
+ */
+export function createHead(inputSize, classCount, { hiddenUnits = 128, dropout = 0.3, learningRate = 0.001 } = {}) {
+    const head = tf.sequential({
+        layers: [
+            tf.layers.dense({ inputShape: [inputSize], units: hiddenUnits, activation: 'relu' }),
+            tf.layers.dropout({ rate: dropout }),
+            tf.layers.dense({ units: classCount, activation: 'softmax' })
+        ]
+    });
+    head.compile({
+        optimizer: tf.train.adam(learningRate),
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+    });
+    return head;
+}
+
+/**
+ * Compute the MobileNet embedding of an image
+ * @param {Object} base - Model from mobilenet.load(BASE_MODEL)
+ * @param {Object} frame - { data, width, height }, 3 bytes per pixel
+ * @param {Object} options
+ * @param {boolean} options.flip - Mirror the image first (for augmentation)
+ * @return {tf.Tensor2D} [1, embedding length]; the caller disposes it
+ */
+export function embed(base, frame, { flip = false } = {}) {
+    return tf.tidy(() => {
+        let pixels = tf.tensor3d(frame.data, [frame.height, frame.width, 3], 'int32');
+        if (flip) pixels = tf.reverse(pixels, 1);
+        return base.infer(pixels, true);
+    });
+}
+
+/**
+ * Classify an embedding with a head
+ * @param {tf.LayersModel} head - Trained head
+ * @param {Array} labels - Class names, in output order
+ * @param {tf.Tensor2D} embedding - From embed()
+ * @param {number} topK - Most classes to return
+ * @return {Promise<Array>} [{ className, probability }], most probable first
+ */
+export async function classifyEmbedding(head, labels, embedding, topK = labels.length) {
+    const output = tf.tidy(() => head.predict(embedding).squeeze());
+    const probabilities = await output.data();
+    output.dispose();
+
+    return Array.from(probabilities, (probability, index) => ({ className: labels[index], probability }))
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, topK);
+}
+
+/**
+ * Save a trained head, its labels and metrics in the format the scanner loads
+ * @param {string} dir - Output directory
+ * @param {tf.LayersModel} head - Trained head
+ * @param {Array} labels - Class names, in output order
+ * @param {Object} metrics - Evaluation to keep with the model
+ */
+export async function saveModel(dir, head, labels, metrics) {
+    await mkdir(dir, { recursive: true });
+    await head.save(tf.io.withSaveHandler(async artifacts => {
+        const model = {
+            format: 'layers-model',
+            generatedBy: `TensorFlow.js tfjs-layers v${tf.version.tfjs}`,
+            convertedBy: null,
+            modelTopology: artifacts.modelTopology,
+            weightsManifest: [{ paths: [WEIGHTS_FILE], weights: artifacts.weightSpecs }]
+        };
+        await writeFile(path.join(dir, MODEL_FILE), JSON.stringify(model));
+        await writeFile(path.join(dir, WEIGHTS_FILE), Buffer.from(tf.io.CompositeArrayBuffer.join(artifacts.weightData)));
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    await writeFile(path.join(dir, LABELS_FILE), JSON.stringify(labels, null, 2) + '\n');
+    await writeFile(path.join(dir, METRICS_FILE), JSON.stringify(metrics, null, 2) + '\n');
+}
+
+/**
+ * Load a saved head from disk
+ * @param {string} dir - Directory written by saveModel()
+ * @return {Promise<Object>} { head, labels }
+ */
+export async function loadModel(dir) {
+    const [model, weights, labels] = await Promise.all([
+        readFile(path.join(dir, MODEL_FILE), 'utf8').then(JSON.parse),
+        readFile(path.join(dir, WEIGHTS_FILE)),
+        readFile(path.join(dir, LABELS_FILE), 'utf8').then(JSON.parse)
+    ]);
+
+    const head = await tf.loadLayersModel(tf.io.fromMemory({
+        modelTopology: model.modelTopology,
+        weightSpecs: model.weightsManifest.flatMap(group => group.weights),
+        weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+    }));
+    return { head, labels };
+}
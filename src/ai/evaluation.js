@@ -0,0 +1,186 @@
+/**
+ * Scanner Evaluation - Measures how well the matching rules find catalog items
+ *
+ * Works on recorded model output, so mappings and thresholds can be re-checked
+ * in milliseconds without loading a model: each image in a corpus carries its
+ * true item id (or "none") and what MobileNet and COCO-SSD reported for it
+ * (and, for items on the custom backend, the trained model).
+ * Every image is scored against every item with the same rules the scanners
+ * and the server use (src/ai/matching.js); attribute checks need pixels and
+ * are not part of the evaluation.
+ */
+
+import { findMatch, findDetection, getItemBackend, getItemThreshold, MIN_BOX_AREA } from './matching.js';
+
+export { getItemThreshold };
+
+// Label for images that show no catalog item
+export const NO_ITEM = 'none';
+
+// Thresholds tried when looking for each item's best one
+const THRESHOLD_STEP = 0.05;
+
+/**
+ * Score an image for an item: the weighted confidence the matching rules give it
+ * @param {Object} image - { classification, detection, custom, width, height } recorded model output
+ * @param {Object} item - Catalog item
+ * @return {number} 0 to 1; 0 when nothing matches, a negative label vetoes or the box is too small
+ */
+export function scoreImage(image, item) {
+    if (getItemBackend(item) === 'detection') {
+        const match = findDetection(image.detection || [], item, {
+            width: image.width,
+            height: image.height,
+            threshold: 0
+        });
+        return match && match.area >= MIN_BOX_AREA ? match.confidence : 0;
+    }
+
+    if (getItemBackend(item) === 'custom') {
+        const match = findMatch(image.custom || [], item, { threshold: 0, backend: 'custom' });
+        return match ? match.confidence : 0;
+    }
+
+    const match = findMatch(image.classification || [], item, { threshold: 0 });
+    return match ? match.confidence : 0;
+}
+
+/**
+ * Count hits and misses for one item at one threshold
+ * @private
+ * @return {Object} { truePositives, falsePositives, falseNegatives, precision, recall, f1 }
+ */
+function countAt(scores, itemId, threshold) {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+
+    for (const { label, score } of scores) {
+        const accepted = score > 0 && score >= threshold;
+        if (label === itemId) {
+            if (accepted) truePositives++;
+            else falseNegatives++;
+        } else if (accepted) {
+            falsePositives++;
+        }
+    }
+
+    // An item nobody claimed is perfectly precise; an item with no images can't be missed
+    const precision = truePositives + falsePositives ? truePositives / (truePositives + falsePositives) : 1;
+    const recall = truePositives + falseNegatives ? truePositives / (truePositives + falseNegatives) : 1;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    return { truePositives, falsePositives, falseNegatives, precision, recall, f1 };
+}
+
+/**
+ * Evaluate the matching rules on a corpus
+ * @param {Array} images - [{ file, item, classification, detection, width, height }]
+ * @param {Array} items - Catalog items
+ * @param {Object} options
+ * @param {number} options.threshold - Use this threshold for every item instead of the items' own
+ * @return {Object} { images, accuracy, items: [...], confusion: { labels, matrix } }
+ */
+export function evaluateCorpus(images, items, { threshold = null } = {}) {
+    const labels = [...items.map(item => item.id), NO_ITEM];
+    const index = new Map(labels.map((label, i) => [label, i]));
+    const matrix = labels.map(() => labels.map(() => 0));
+    const unknown = images.filter(image => !index.has(image.item)).map(image => image.item);
+    if (unknown.length > 0) {
+        throw new Error(`Corpus labels not in the catalog: ${[...new Set(unknown)].join(', ')}`);
+    }
+
+    // Score every image against every item once
+    const scores = images.map(image => items.map(item => scoreImage(image, item)));
+
+    const results = items.map((item, itemIndex) => {
+        const itemScores = images.map((image, imageIndex) => ({ label: image.item, score: scores[imageIndex][itemIndex] }));
+        const itemThreshold = threshold ?? getItemThreshold(item);
+
+        let best = null;
+        for (let step = 1; step * THRESHOLD_STEP < 1; step++) {
+            const candidate = Math.round(step * THRESHOLD_STEP * 100) / 100;
+            const counts = countAt(itemScores, item.id, candidate);
+            // Ties go to the higher threshold, which is safer against false finds
+            if (!best || counts.f1 >= best.f1) {
+                best = { threshold: candidate, ...counts };
+            }
+        }
+
+        return {
+            id: item.id,
+            name: item.name,
+            images: images.filter(image => image.item === item.id).length,
+            threshold: itemThreshold,
+            ...countAt(itemScores, item.id, itemThreshold),
+            best
+        };
+    });
+
+    // Confusion matrix: which item would win each image, if any clears its threshold
+    for (const [imageIndex, image] of images.entries()) {
+        let predicted = NO_ITEM;
+        let bestScore = 0;
+        items.forEach((item, itemIndex) => {
+            const score = scores[imageIndex][itemIndex];
+            if (score > 0 && score >= (threshold ?? getItemThreshold(item)) && score > bestScore) {
+                predicted = item.id;
+                bestScore = score;
+            }
+        });
+        matrix[index.get(image.item)][index.get(predicted)]++;
+    }
+
+    const correct = labels.reduce((sum, label, i) => sum + matrix[i][i], 0);
+    return {
+        images: images.length,
+        accuracy: images.length ? correct / images.length : 0,
+        items: results,
+        confusion: { labels, matrix }
+    };
+}
+
+/**
+ * Format an evaluation as a text report
+ * @param {Object} report - From evaluateCorpus()
+ * @return {string} Per-item table, then the confusion matrix
+ */
+export function formatReport(report) {
+    const percent = value => `${(value * 100).toFixed(0)}%`.padStart(5);
+    const lines = [];
+
+    // Items without images or false finds say nothing about the scanner
+    const relevant = report.items.filter(item => item.images > 0 || item.falsePositives > 0);
+    const nameWidth = Math.max(4, ...relevant.map(item => item.id.length));
+
+    lines.push(`${report.images} images, ${percent(report.accuracy).trim()} classified correctly\n`);
+    lines.push(`${'item'.padEnd(nameWidth)}  imgs  thresh  prec  recall    f1   best: thresh  prec  recall    f1`);
+    for (const item of relevant) {
+        lines.push([
+            item.id.padEnd(nameWidth),
+            String(item.images).padStart(4),
+            item.threshold.toFixed(2).padStart(6),
+            percent(item.precision),
+            percent(item.recall).padStart(6),
+            percent(item.f1),
+            ' '.repeat(5) + item.best.threshold.toFixed(2).padStart(6),
+            percent(item.best.precision),
+            percent(item.best.recall).padStart(6),
+            percent(item.best.f1)
+        ].join('  '));
+    }
+
+    // Only rows and columns with something in them
+    const { labels, matrix } = report.confusion;
+    const used = labels
+        .map((label, i) => i)
+        .filter(i => matrix[i].some(count => count > 0) || matrix.some(row => row[i] > 0));
+    const width = Math.max(6, ...used.map(i => labels[i].length));
+
+    lines.push('\nConfusion matrix (rows: true item, columns: scanner verdict)');
+    lines.push(`${''.padEnd(width)}  ${used.map(i => labels[i].padStart(width)).join('  ')}`);
+    for (const row of used) {
+        lines.push(`${labels[row].padEnd(width)}  ${used.map(col => String(matrix[row][col]).padStart(width)).join('  ')}`);
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,59 @@
+/**
+ * Image Corpus - Labeled photo folders for the offline scanner tools
+ *
+ * A corpus is a directory with one folder per catalog item id, plus "none"
+ * for photos that show no item:
+ *
+ *   corpus/tennis-ball/01.jpg
+ *   corpus/none/desk.jpg
+ *
+ * Used by scripts/evaluate-scanner.js and scripts/train-custom-items.js.
+ */
+
+import { readdir } from 'fs/promises';
+import path from 'path';
+import jpeg from 'jpeg-js';
+
+export const FRAME_SIZE = 320; // Longest side of the frames clients submit
+const IMAGE_PATTERN = /\.jpe?g$/i;
+
+/**
+ * List the corpus images
+ * @param {string} corpus - Corpus directory
+ * @return {Promise<Array>} [{ file, item }], file relative to the corpus, sorted by file
+ */
+export async function listImages(corpus) {
+    const images = [];
+    for (const entry of await readdir(corpus, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        for (const file of await readdir(path.join(corpus, entry.name))) {
+            if (IMAGE_PATTERN.test(file)) {
+                images.push({ file: `${entry.name}/${file}`, item: entry.name });
+            }
+        }
+    }
+    return images.sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Decode a JPEG and shrink it (nearest neighbour) to the size the clients send
+ * @param {Buffer} buffer - JPEG file contents
+ * @param {number} maxSize - Longest side of the result
+ * @return {Object} { data, width, height }, 3 bytes per pixel
+ */
+export function decodeImage(buffer, maxSize = FRAME_SIZE) {
+    const decoded = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: false, maxResolutionInMP: 50 });
+    const scale = Math.min(1, maxSize / Math.max(decoded.width, decoded.height));
+    const width = Math.round(decoded.width * scale);
+    const height = Math.round(decoded.height * scale);
+    const data = new Uint8Array(width * height * 3);
+
+    for (let y = 0; y < height; y++) {
+        const sourceY = Math.min(decoded.height - 1, Math.floor(y / scale));
+        for (let x = 0; x < width; x++) {
+            const source = (sourceY * decoded.width + Math.min(decoded.width - 1, Math.floor(x / scale))) * 3;
+            data.set(decoded.data.subarray(source, source + 3), (y * width + x) * 3);
+        }
+    }
+    return { data, width, height };
+}
@@ -1,70 +1,33 @@
-export const itemDatabase = {
-    common: [
-        {
-            name: "tennis ball",
-            keywords: ["ball", "sport", "yellow", "round"],
-            synonyms: ["yellow ball", "sports ball", "tennis"]
-        },
-        {
-            name: "spoon",
-            keywords: ["utensil", "silverware", "eating", "kitchen"],
-            synonyms: ["teaspoon", "tablespoon", "soup spoon", "eating utensil"]
-        },
-        {
-            name: "book",
-            keywords: ["reading", "text", "publication", "literature", "printed"],
-            synonyms: ["novel", "textbook", "paperback", "hardcover", "reading material"]
-        },
-        {
-            name: "cup",
-            keywords: ["drinking", "container", "mug"],
-            synonyms: ["mug", "glass", "drinking vessel"]
-        }
-    ],
-    specific: [
-        {
-            name: "scissors",
-            keywords: ["tool", "cutting", "blade", "office"],
-            synonyms: ["shears", "cutting tool", "clippers", "cutting implement"]
-        },
-        {
-            name: "rubiks cube",
-            keywords: ["puzzle", "toy", "cube", "game"],
-            synonyms: ["cube puzzle", "rubix cube", "magic cube", "puzzle cube"]
-        }
-    ],
-    rare: [
-        // This category is currently empty - will be populated with new items
-    ]
-};
+import { loadCatalog } from './catalog.js';
 
-export function getRandomItem(difficulty) {
-    const items = itemDatabase[difficulty];
-    if (!items || items.length === 0) {
-        throw new Error(`No items found for difficulty: ${difficulty}`);
+// The shared item catalog (src/ai/catalog.json), loaded once per process or page
+export const catalog = await loadCatalog();
+
+// Items grouped by difficulty, in difficulty order
+export const itemDatabase = Object.fromEntries(
+    catalog.difficulties.map(difficulty => [difficulty, catalog.getItemsByDifficulty(difficulty)])
+);
+
+// Lookups default to the built-in catalog; pass an item pack's catalog to use it instead
+export function getRandomItem(difficulty, { random = Math.random, source = catalog } = {}) {
+    const items = source.getItemsByDifficulty(difficulty);
+    if (items.length === 0) {
+        // Categories can be empty; callers pick a fallback
+        return null;
     }
-    const randomIndex = Math.floor(Math.random() * items.length);
+    const randomIndex = Math.floor(random() * items.length);
     return items[randomIndex];
 }
 
+// Words describing an item; label mappings are separate (see matching.js)
 export function getAllKeywords(item) {
-    const keywords = [...item.keywords];
-    if (item.synonyms) {
-        keywords.push(...item.synonyms);
-    }
-    return keywords;
+    return [...(item.keywords || []), ...item.aliases];
 }
 
-export function findItemByName(name) {
-    // Search through all difficulties
-    for (const difficulty of Object.keys(itemDatabase)) {
-        const item = itemDatabase[difficulty].find(item => 
-            item.name.toLowerCase() === name.toLowerCase() ||
-            (item.synonyms && item.synonyms.some(syn => syn.toLowerCase() === name.toLowerCase()))
-        );
-        if (item) {
-            return { ...item, difficulty };
-        }
-    }
-    return null;
-} 
\ No newline at end of file
+export function findItemByName(name, source = catalog) {
+    return source.findItem(name);
+}
+
+export function findItemsByLabel(label, source = catalog) {
+    return source.findItemsByLabel(label);
+}
@@ -0,0 +1,165 @@
+/**
+ * Item Matching - Decides whether model output shows a catalog item
+ *
+ * Matching is a lookup in the item's label mapping, never a text comparison:
+ * modelLabels lists the MobileNet (ImageNet) classes that count as the item and
+ * detectionLabels the COCO-SSD classes, each with a weight (1 when given as a
+ * plain string) saying how sure that class makes us. Items on the custom
+ * backend are found by a model trained on their photos
+ * (scripts/train-custom-items.js), whose classes are item ids: the item's own
+ * id is its only label.
+ *
+ * Confidence rule, used by the scanners and the server alike:
+ *   1. A prediction's confidence is its probability times the weight of its
+ *      label in the item's mapping; labels that aren't mapped score 0.
+ *   2. The best-scoring prediction matches if its confidence reaches the
+ *      threshold (MATCH_THRESHOLD unless the caller passes another).
+ *   3. The match is vetoed if one of the item's negativeLabels (classes that
+ *      are easily confused with it) is more probable than the matched label;
+ *      for detections the negative box must also cover the matched one.
+ * Items on the detection backend also need a box of at least MIN_BOX_AREA.
+ */
+
+// Lowest weighted confidence accepted as a match
+export const MATCH_THRESHOLD = 0.4;
+
+// Lowest threshold an item may set for itself (packs come from hosts); below it nearly anything matches
+export const MATCH_THRESHOLD_FLOOR = 0.25;
+
+// Smallest share of the frame a detected item must cover, so it has to be held up to the camera
+export const MIN_BOX_AREA = 0.05;
+
+// Overlap (intersection over union) above which a negative detection counts as the same object
+const NEGATIVE_OVERLAP = 0.5;
+
+/**
+ * Get the scanner backend an item is found with
+ * @param {Object} item - Catalog item
+ * @return {string} 'classification', 'detection' or 'custom'
+ */
+export function getItemBackend(item) {
+    return item.backend || 'classification';
+}
+
+/**
+ * Get the lowest confidence an item is matched at; its voting threshold, when it has one,
+ * applies to every frame so the vote and the scanner agree
+ * @param {Object} item - Catalog item
+ * @param {number} threshold - Threshold for items without their own
+ * @return {number} The item's voting threshold (at least MATCH_THRESHOLD_FLOOR), or the given threshold
+ */
+export function getItemThreshold(item, threshold = MATCH_THRESHOLD) {
+    const own = item.voting?.threshold;
+    return typeof own === 'number' ? Math.max(own, MATCH_THRESHOLD_FLOOR) : threshold;
+}
+
+/**
+ * Get an item's label mapping for one backend
+ * @param {Object} item - Catalog item
+ * @param {string} backend - 'classification' (modelLabels), 'detection' (detectionLabels) or 'custom' (the item id)
+ * @return {Map} Exact model label -> weight
+ */
+export function getLabelWeights(item, backend = getItemBackend(item)) {
+    if (backend === 'custom') {
+        return new Map([[item.id, 1]]);
+    }
+    const entries = (backend === 'detection' ? item.detectionLabels : item.modelLabels) || [];
+    return new Map(entries.map(entry => (
+        typeof entry === 'string' ? [entry, 1] : [entry.label, entry.weight ?? 1]
+    )));
+}
+
+/**
+ * Look up how much a model label counts as an item
+ * @param {string} label - Exact class name reported by the model
+ * @param {Object} item - Catalog item
+ * @param {string} backend - Backend the label came from
+ * @return {number} The mapping's weight, or 0 if the label isn't mapped to the item
+ */
+export function getLabelWeight(label, item, backend = getItemBackend(item)) {
+    return getLabelWeights(item, backend).get(label) || 0;
+}
+
+/**
+ * Find the best prediction for an item, following the confidence rule above
+ * @param {Array} predictions - Model output, [{ className, probability }]
+ * @param {Object} item - Catalog item
+ * @param {Object} options
+ * @param {number} options.threshold - Lowest weighted confidence accepted
+ * @param {string} options.backend - Model the predictions came from: 'classification' or 'custom'
+ * @return {Object|null} { label, confidence, probability, weight } or null if nothing matches
+ */
+export function findMatch(predictions, item, { threshold = MATCH_THRESHOLD, backend = 'classification' } = {}) {
+    const weights = getLabelWeights(item, backend);
+    const best = predictions
+        .filter(prediction => weights.has(prediction.className))
+        .map(prediction => ({
+            label: prediction.className,
+            confidence: prediction.probability * weights.get(prediction.className),
+            probability: prediction.probability,
+            weight: weights.get(prediction.className)
+        }))
+        .sort((a, b) => b.confidence - a.confidence)[0];
+
+    if (!best || best.confidence < threshold) {
+        return null;
+    }
+
+    const negatives = item.negativeLabels || [];
+    const vetoed = predictions.some(prediction => (
+        negatives.includes(prediction.className) && prediction.probability > best.probability
+    ));
+    return vetoed ? null : best;
+}
+
+/**
+ * Get the overlap of two boxes
+ * @param {Array} a - [x, y, width, height]
+ * @param {Array} b - [x, y, width, height]
+ * @return {number} Intersection over union, 0 to 1
+ */
+function boxOverlap(a, b) {
+    const width = Math.min(a[0] + a[2], b[0] + b[2]) - Math.max(a[0], b[0]);
+    const height = Math.min(a[1] + a[3], b[1] + b[3]) - Math.max(a[1], b[1]);
+    if (width <= 0 || height <= 0) return 0;
+
+    const intersection = width * height;
+    return intersection / (a[2] * a[3] + b[2] * b[3] - intersection);
+}
+
+/**
+ * Find the largest detected box that shows an item, following the confidence rule above
+ * @param {Array} detections - Detector output, [{ label, score, box: [x, y, width, height] }]
+ * @param {Object} item - Catalog item with detectionLabels
+ * @param {Object} frame
+ * @param {number} frame.width - Frame width in the boxes' units
+ * @param {number} frame.height - Frame height
+ * @param {number} frame.threshold - Lowest weighted confidence accepted
+ * @return {Object|null} { label, confidence, probability, weight, box, area } with area as a
+ *   share of the frame, or null if nothing matches; check area against MIN_BOX_AREA before accepting
+ */
+export function findDetection(detections, item, { width, height, threshold = MATCH_THRESHOLD }) {
+    const weights = getLabelWeights(item, 'detection');
+    const negatives = item.negativeLabels || [];
+
+    const best = detections
+        .filter(detection => weights.has(detection.label))
+        .map(detection => ({
+            label: detection.label,
+            confidence: detection.score * weights.get(detection.label),
+            probability: detection.score,
+            weight: weights.get(detection.label),
+            box: detection.box,
+            area: (detection.box[2] * detection.box[3]) / (width * height)
+        }))
+        .filter(candidate => candidate.confidence >= threshold)
+        // A box the detector is surer is something else doesn't count
+        .filter(candidate => !detections.some(detection => (
+            negatives.includes(detection.label) &&
+            detection.score > candidate.probability &&
+            boxOverlap(detection.box, candidate.box) >= NEGATIVE_OVERLAP
+        )))
+        .sort((a, b) => b.area - a.area);
+
+    return best[0] || null;
+}
@@ -0,0 +1,212 @@
+/**
+ * Model Loader - Loads registry models (modelRegistry.js) with TensorFlow.js and runs them
+ *
+ * A plain script rather than a module, so the scanner worker can pull it in
+ * with importScripts() and the pages with a <script> tag, after the
+ * TensorFlow.js script it builds on. Defines self.scannerModels:
+ *
+ *   load(spec)                      -> { model, family, info: { id, version, backend, cached } }
+ *   run(loaded, source, maxResults) -> [{ label, score, box }]
+ *
+ * The TensorFlow.js backend is the first of WebGL, WASM and CPU that works
+ * here. Weights are cached in IndexedDB under the model's id@version, so a
+ * reload doesn't download them again; other versions of the same model are
+ * removed when a new one is cached.
+ */
+
+/* global tf */
+
+(function (scope) {
+    'use strict';
+
+    const TF_BACKENDS = ['webgl', 'wasm', 'cpu'];
+    const WASM_URL = 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.15.0/dist/';
+    const CACHE_PREFIX = 'indexeddb://scanner-model/';
+
+    const FAMILIES = {
+        mobilenet: {
+            global: 'mobilenet',
+            load: (spec, url) => scope.mobilenet.load({ ...spec.options, ...(url && { modelUrl: url }) }),
+            graph: model => model.model,
+            async run(model, pixels, maxResults = 15) {
+                const predictions = await model.classify(pixels, maxResults);
+                return predictions.map(prediction => ({
+                    label: prediction.className,
+                    score: prediction.probability,
+                    box: null
+                }));
+            }
+        },
+        'coco-ssd': {
+            global: 'cocoSsd',
+            load: (spec, url) => scope.cocoSsd.load({ ...spec.options, ...(url && { modelUrl: url }) }),
+            graph: model => model.model,
+            async run(model, pixels, maxResults = 10) {
+                const objects = await model.detect(pixels, maxResults, 0.2);
+                return objects.map(object => ({
+                    label: object.class,
+                    score: object.score,
+                    box: object.bbox
+                }));
+            }
+        },
+        // Trained head on the embeddings of a MobileNet, which loads (and is cached) as a model of its own
+        'mobilenet-head': {
+            global: 'mobilenet',
+            async load(spec, url) {
+                const [base, head, labels] = await Promise.all([
+                    load(spec.base),
+                    tf.loadLayersModel(url || spec.url),
+                    fetchLabels(spec)
+                ]);
+                return { base: base.model, head, labels };
+            },
+            graph: model => model.head,
+            async run(model, pixels, maxResults = 15) {
+                const output = tf.tidy(() => model.head.predict(model.base.infer(pixels, true)).squeeze());
+                return topClasses(output, model.labels, maxResults);
+            }
+        },
+        graph: {
+            global: null,
+            async load(spec, url) {
+                const [graph, labels] = await Promise.all([tf.loadGraphModel(url || spec.url), fetchLabels(spec)]);
+                return { graph, labels, inputSize: spec.inputSize || 224, inputRange: spec.inputRange || [-1, 1] };
+            },
+            graph: model => model.graph,
+            async run(model, pixels, maxResults = 15) {
+                const [low, high] = model.inputRange;
+                const output = tf.tidy(() => {
+                    const input = tf.image.resizeBilinear(pixels, [model.inputSize, model.inputSize])
+                        .toFloat()
+                        .mul((high - low) / 255)
+                        .add(low)
+                        .expandDims(0);
+                    return model.graph.predict(input).squeeze();
+                });
+                return topClasses(output, model.labels, maxResults);
+            }
+        }
+    };
+
+    async function fetchLabels(spec) {
+        const response = await fetch(spec.labels);
+        if (!response.ok) {
+            throw new Error(`Labels for ${spec.id}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // Most probable classes of a 1D output tensor, which is disposed
+    async function topClasses(output, labels, maxResults) {
+        const scores = await output.data();
+        output.dispose();
+        return Array.from(scores, (score, index) => ({ label: labels[index], score, box: null }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, maxResults);
+    }
+
+    // importScripts() in the worker, a <script> tag on a page
+    function loadScript(url) {
+        if (typeof importScripts === 'function') {
+            importScripts(url);
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = resolve;
+            script.onerror = () => reject(new Error(`Failed to load ${url}`));
+            document.head.appendChild(script);
+        });
+    }
+
+    let backendReady = null;
+
+    function selectBackend() {
+        backendReady = backendReady || (async () => {
+            for (const name of TF_BACKENDS) {
+                try {
+                    if (name === 'wasm' && !tf.findBackendFactory('wasm')) {
+                        await loadScript(`${WASM_URL}tf-backend-wasm.js`);
+                        tf.wasm.setWasmPaths(WASM_URL);
+                    }
+                    if (await tf.setBackend(name)) {
+                        await tf.ready();
+                        return tf.getBackend();
+                    }
+                } catch (error) {
+                    console.warn(`TensorFlow.js backend ${name} unavailable: ${error.message}`);
+                }
+            }
+            throw new Error('No TensorFlow.js backend available');
+        })();
+        return backendReady;
+    }
+
+    const canCache = () => typeof indexedDB !== 'undefined';
+
+    // Load from IndexedDB if this version is cached, otherwise from the network and cache it
+    async function loadWithCache(spec, family) {
+        const key = `${CACHE_PREFIX}${spec.id}@${spec.version}`;
+        if (canCache()) {
+            try {
+                return { model: await family.load(spec, key), cached: true };
+            } catch (error) {
+                // Not cached yet
+            }
+        }
+
+        const model = await family.load(spec, spec.url);
+        if (canCache()) {
+            try {
+                await family.graph(model).save(key);
+                const stored = await tf.io.listModels();
+                for (const path of Object.keys(stored)) {
+                    if (path !== key && path.startsWith(`${CACHE_PREFIX}${spec.id}@`)) {
+                        await tf.io.removeModel(path);
+                    }
+                }
+            } catch (error) {
+                console.warn(`Could not cache model ${spec.id}: ${error.message}`);
+            }
+        }
+        return { model, cached: false };
+    }
+
+    const loading = new Map(); // model id -> loading or loaded model
+
+    function load(spec) {
+        if (!loading.has(spec.id)) {
+            const family = FAMILIES[spec.family];
+            if (!family) {
+                return Promise.reject(new Error(`Unknown model family: ${spec.family}`));
+            }
+
+            const pending = (async () => {
+                const backend = await selectBackend();
+                if (family.global && !scope[family.global]) {
+                    await loadScript(spec.script);
+                }
+                const { model, cached } = await loadWithCache(spec, family);
+                return { model, family: spec.family, info: { id: spec.id, version: spec.version, backend, cached } };
+            })().catch(error => {
+                loading.delete(spec.id);
+                throw error;
+            });
+            loading.set(spec.id, pending);
+        }
+        return loading.get(spec.id);
+    }
+
+    async function run(loaded, source, maxResults) {
+        const pixels = tf.browser.fromPixels(source);
+        try {
+            return await FAMILIES[loaded.family].run(loaded.model, pixels, maxResults);
+        } finally {
+            pixels.dispose();
+        }
+    }
+
+    scope.scannerModels = { load, run };
+})(self);
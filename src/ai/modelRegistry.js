@@ -0,0 +1,203 @@
+/**
+ * Model Registry - The models the scanner can run, and where they come from
+ *
+ * Built-in entries load MobileNet and COCO-SSD from their CDN defaults. A
+ * server can add its own in models/manifest.json (served at /models, moved
+ * with MODELS_DIR): other MobileNet variants, quantized weights or a custom
+ * graph model, all from local paths, and choose the models every client uses
+ * (npm run train-items adds its trained models here itself):
+ *
+ *   {
+ *     "models": [
+ *       { "id": "mobilenet-v2-uint8", "family": "mobilenet", "version": "2024-05-01",
+ *         "url": "/models/mobilenet-v2-uint8/model.json", "options": { "version": 2, "alpha": 1.0 } },
+ *       { "id": "workshop", "family": "graph", "version": "3",
+ *         "url": "/models/workshop/model.json", "labels": "/models/workshop/labels.json" }
+ *     ],
+ *     "defaults": { "classification": "mobilenet-v2-uint8" }
+ *   }
+ *
+ * Clients cache weights in IndexedDB under id@version (see modelLoader.js),
+ * so new weights for an existing id need a new version.
+ */
+
+export const MANIFEST_URL = '/models/manifest.json';
+
+// How each family of models is loaded; the loader runs them (modelLoader.js)
+export const MODEL_FAMILIES = {
+    // @tensorflow-models/mobilenet; options are its load() config (version, alpha)
+    mobilenet: {
+        task: 'classification',
+        script: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/mobilenet@2.1.1'
+    },
+    // @tensorflow-models/coco-ssd; options are its load() config (base)
+    'coco-ssd': {
+        task: 'detection',
+        script: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.3'
+    },
+    // Any tf.GraphModel classifier: an image in (inputSize square, pixels scaled to inputRange),
+    // class probabilities out, named by a JSON array of labels
+    graph: {
+        task: 'classification',
+        script: null
+    },
+    // Classifier head trained on MobileNet embeddings (src/ai/customModel.js), for the custom backend;
+    // base is the registry id of the MobileNet it was trained on
+    'mobilenet-head': {
+        task: 'custom',
+        script: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/mobilenet@2.1.1'
+    }
+};
+
+export const BUILT_IN_MODELS = [
+    { id: 'mobilenet-v1', family: 'mobilenet', version: '2.1.1', options: { version: 1, alpha: 1.0 } },
+    { id: 'mobilenet-v1-0.25', family: 'mobilenet', version: '2.1.1', options: { version: 1, alpha: 0.25 } },
+    { id: 'mobilenet-v2', family: 'mobilenet', version: '2.1.1', options: { version: 2, alpha: 1.0 } },
+    { id: 'mobilenet-v2-0.5', family: 'mobilenet', version: '2.1.1', options: { version: 2, alpha: 0.5 } },
+    { id: 'coco-ssd-lite', family: 'coco-ssd', version: '2.2.3', options: { base: 'lite_mobilenet_v2' } },
+    { id: 'coco-ssd', family: 'coco-ssd', version: '2.2.3', options: { base: 'mobilenet_v2' } }
+];
+
+// What mobilenet.load() and cocoSsd.load() gave us before there was a registry
+export const DEFAULT_MODELS = {
+    classification: 'mobilenet-v1',
+    detection: 'coco-ssd-lite'
+};
+
+export class ModelRegistry {
+    /**
+     * @param {Array} models - Model entries; defaults to the built-in ones
+     * @param {Object} defaults - Model id per task
+     */
+    constructor(models = BUILT_IN_MODELS, defaults = DEFAULT_MODELS) {
+        this.models = new Map();
+        this.defaults = { ...defaults };
+        models.forEach(model => this.register(model));
+    }
+
+    /**
+     * Add a model, or replace the one with the same id
+     * @param {Object} model - { id, family, version, url, options, labels, inputSize, inputRange, base }
+     * @return {Object} The registered spec, with its family's task and script (and base model spec)
+     */
+    register(model) {
+        const family = MODEL_FAMILIES[model.family];
+        if (!model.id || typeof model.id !== 'string') {
+            throw new Error('Model entries need an id');
+        }
+        if (!family) {
+            throw new Error(`Model ${model.id}: unknown family "${model.family}"`);
+        }
+        if (!model.version) {
+            throw new Error(`Model ${model.id}: a version is required, to tell cached weights apart`);
+        }
+        if ((model.family === 'graph' || model.family === 'mobilenet-head') && (!model.url || !model.labels)) {
+            throw new Error(`Model ${model.id}: ${model.family} models need a url and a labels file`);
+        }
+        // Heads only work on embeddings of the MobileNet they were trained on; the loader needs its spec
+        let base;
+        if (model.family === 'mobilenet-head') {
+            base = this.get(model.base || DEFAULT_MODELS.classification);
+            if (base.family !== 'mobilenet') {
+                throw new Error(`Model ${model.id}: base ${base.id} is not a MobileNet`);
+            }
+        }
+
+        const spec = {
+            options: {},
+            url: null,
+            ...model,
+            version: String(model.version),
+            task: family.task,
+            script: family.script,
+            ...(base && { base })
+        };
+        this.models.set(spec.id, spec);
+        return spec;
+    }
+
+    /**
+     * Get a model by id
+     * @param {string} id - Model id
+     * @return {Object} The model's spec
+     */
+    get(id) {
+        const spec = this.models.get(id);
+        if (!spec) {
+            throw new Error(`Unknown model: ${id}`);
+        }
+        return spec;
+    }
+
+    /**
+     * Get the model a task runs
+     * @param {string} task - 'classification', 'detection' or 'custom'
+     * @return {Object} The model's spec
+     */
+    getDefault(task) {
+        if (!this.defaults[task]) {
+            throw new Error(`No ${task} model is configured`);
+        }
+        const spec = this.get(this.defaults[task]);
+        if (spec.task !== task) {
+            throw new Error(`Model ${spec.id} can't be used for ${task}`);
+        }
+        return spec;
+    }
+
+    /**
+     * Choose the model a task runs
+     * @param {string} task - 'classification', 'detection' or 'custom'
+     * @param {string} id - Model id
+     */
+    setDefault(task, id) {
+        if (this.get(id).task !== task) {
+            throw new Error(`Model ${id} can't be used for ${task}`);
+        }
+        this.defaults[task] = id;
+    }
+
+    /**
+     * Add the models and defaults from the server's manifest; a missing manifest is fine
+     * @param {string} url - Manifest URL
+     * @return {Promise<boolean>} Whether a manifest was found
+     */
+    async loadManifest(url = MANIFEST_URL) {
+        let manifest;
+        try {
+            const response = await fetch(url);
+            if (response.status === 404) return false;
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            manifest = await response.json();
+        } catch (error) {
+            console.warn(`Could not load the model manifest, using the built-in models: ${error.message}`);
+            return false;
+        }
+
+        this.applyManifest(manifest, url);
+        return true;
+    }
+
+    /**
+     * Add the models and defaults from a parsed manifest (the server reads it from disk)
+     * @param {Object} manifest - { models, defaults }
+     * @param {string} source - Where it came from, for warnings
+     */
+    applyManifest(manifest, source = MANIFEST_URL) {
+        // One bad entry shouldn't take the others down with it
+        for (const model of manifest.models || []) {
+            try {
+                this.register(model);
+            } catch (error) {
+                console.warn(`Skipping model in ${source}: ${error.message}`);
+            }
+        }
+        for (const [task, id] of Object.entries(manifest.defaults || {})) {
+            try {
+                this.setDefault(task, id);
+            } catch (error) {
+                console.warn(`Ignoring default ${task} model in ${source}: ${error.message}`);
+            }
+        }
+    }
+}
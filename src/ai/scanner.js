@@ -1,184 +1,313 @@
-import * as tf from '@tensorflow/tfjs';
-import * as mobilenet from '@tensorflow-models/mobilenet';
+/**
+ * Item Scanner - Looks for the round's item in webcam frames
+ *
+ * The one scanner every page uses (app.js, test.html). Models run
+ * through the scanner backends (in a worker where the browser allows), the
+ * catalog's label mapping decides what counts as the item (matching.js), and
+ * attribute checks run on whatever was found (attributes.js). A camera's
+ * calibration profile (calibration.js) brightens dim frames and lifts flat
+ * contrast before the models see them.
+ *
+ * Every scan resolves to the same result:
+ *   {
+ *     success,       // The item was found and passed its attribute checks
+ *     matchedLabel,  // Model label that matched the item, even if it was rejected afterwards; else null
+ *     confidence,    // Weighted confidence of the match; 0 without one
+ *     candidates,    // The model's output, [{ label, score, box }]
+ *     reason         // Why the scan failed, for the player; null on success
+ *   }
+ * with box ([x, y, width, height] in video pixels) on detection matches,
+ * model ({ id, version, backend, cached }: the model and TensorFlow.js
+ * backend that looked at the frame) and skipped set when the model didn't
+ * look at the frame at all (video not ready, worker still busy, an error), so
+ * it shouldn't count as a miss.
+ */
+
+import { findItemByName } from './items.js';
+import { findMatch, findDetection, getItemBackend, getItemThreshold, MATCH_THRESHOLD, MIN_BOX_AREA } from './matching.js';
+import { createBackend, ScannerWorker } from './scannerBackends.js';
+import { ModelRegistry } from './modelRegistry.js';
+import { checkAttributes, getRequiredColor } from './attributes.js';
+import { drawAdjusted } from './calibration.js';
+
+const CLASSIFICATION_RESULTS = 15;
+const DETECTION_RESULTS = 10;
+const ATTRIBUTE_FRAME_SIZE = 320; // Longest side of the frame colours are read from, as on the server
+
+/**
+ * Build a scan result, filling in the contract's defaults
+ * @private
+ */
+function scanResult({ success = false, matchedLabel = null, confidence = 0, candidates = [], reason = null, ...extra }) {
+    return { success, matchedLabel, confidence, candidates, reason, ...extra };
+}
+
+// A result for a frame the model never looked at
+function skippedFrame(reason, extra = {}) {
+    return scanResult({ reason, skipped: true, ...extra });
+}
+
+/**
+ * Judge classifier output for an item
+ * @param {Array} candidates - Classifier output, [{ label, score, box: null }]
+ * @param {Object} item - Catalog item
+ * @param {Object} options
+ * @param {number} options.threshold - Lowest weighted confidence that counts
+ * @param {string} options.backend - 'classification', or 'custom' for the trained model's output
+ * @return {Object} Scan result
+ */
+export function matchClassification(candidates, item, { threshold = MATCH_THRESHOLD, backend = 'classification' } = {}) {
+    if (candidates.length === 0) {
+        return scanResult({ reason: 'No predictions available' });
+    }
+
+    const predictions = candidates.map(({ label, score }) => ({ className: label, probability: score }));
+    const match = findMatch(predictions, item, { threshold, backend });
+    if (!match) {
+        return scanResult({ candidates, reason: 'Item not found or confidence too low' });
+    }
+    return scanResult({ success: true, matchedLabel: match.label, confidence: match.confidence, candidates });
+}
+
+/**
+ * Judge detector output for an item: the match's box must also be large enough
+ * @param {Array} candidates - Detector output, [{ label, score, box }]
+ * @param {Object} item - Catalog item
+ * @param {Object} options
+ * @param {number} options.width - Frame width, in the boxes' units
+ * @param {number} options.height - Frame height
+ * @param {number} options.threshold - Lowest weighted confidence that counts
+ * @return {Object} Scan result, with the matched box
+ */
+export function matchDetection(candidates, item, { width, height, threshold = MATCH_THRESHOLD }) {
+    const match = findDetection(candidates, item, { width, height, threshold });
+    if (!match) {
+        return scanResult({ candidates, reason: 'Item not found or confidence too low' });
+    }
+
+    // A tiny box is usually something in the background, not the item held up
+    const largeEnough = match.area >= MIN_BOX_AREA;
+    return scanResult({
+        success: largeEnough,
+        matchedLabel: match.label,
+        confidence: match.confidence,
+        candidates,
+        reason: largeEnough ? null : 'Move the item closer to the camera',
+        box: match.box
+    });
+}
+
+/**
+ * Check a successful result against the item's attributes (its colour)
+ * @param {Object} result - Scan result
+ * @param {Object} frame - { data, width, height } RGBA pixels of the scanned frame
+ * @param {Object} item - Catalog item
+ * @param {Object} options
+ * @param {number} options.scale - Frame pixels per video pixel, to place the result's box
+ * @return {Object} The result, or a failed copy with the mismatch as its reason
+ */
+export function matchAttributes(result, frame, item, { scale = 1 } = {}) {
+    if (!result.success || !getRequiredColor(item)) {
+        return result;
+    }
+
+    const check = checkAttributes(frame, item, {
+        region: result.box ? result.box.map(value => value * scale) : null
+    });
+    console.log(`🎨 ATTRIBUTES: ${check.color} covers ${(check.share * 100).toFixed(0)}% (mostly ${check.dominant})`);
+
+    return check.passed ? result : { ...result, success: false, reason: check.reason };
+}
+
+/**
+ * Read a video frame's pixels, downscaled like the frames sent to the server
+ * @private
+ * @return {Object|null} { frame: ImageData, scale }
+ */
+function readFrame(videoElement) {
+    const { videoWidth, videoHeight } = videoElement;
+    if (!videoWidth || !videoHeight) return null;
+
+    const scale = Math.min(1, ATTRIBUTE_FRAME_SIZE / Math.max(videoWidth, videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(videoWidth * scale);
+    canvas.height = Math.round(videoHeight * scale);
+    const context = canvas.getContext('2d');
+    context.drawImage(videoElement, 0, 0, canvas.width, canvas.height);
+    return { frame: context.getImageData(0, 0, canvas.width, canvas.height), scale: canvas.width / videoWidth };
+}
 
 class ItemScanner {
-    constructor() {
-        this.model = null;
+    /**
+     * @param {Object} options
+     * @param {boolean} options.useWorker - Run the models in a Web Worker where the browser supports it
+     * @param {ModelRegistry} options.registry - Where the models come from; the server's manifest is added on initialize()
+     */
+    constructor({ useWorker = true, registry = new ModelRegistry() } = {}) {
+        this.registry = registry;
         this.isModelLoaded = false;
         this.currentItem = null;
-        this.confidenceThreshold = 0.4;
-        this.itemKeywords = {
-            'tennis ball': ['ball', 'tennis', 'sports equipment', 'yellow ball', 'sphere'],
-            'spoon': ['spoon', 'utensil', 'silverware', 'cutlery', 'tableware'],
-            'scissors': ['scissors', 'shears', 'clippers', 'cutting tool', 'blade'],
-            'rubiks cube': ['cube', 'puzzle', 'rubix', 'toy', 'puzzle cube'],
-            'book': ['book', 'novel', 'text', 'publication', 'reading material', 'paperback', 'hardcover', 'literature'],
-            'cup': ['cup', 'mug', 'glass', 'drinking vessel', 'container']
-        };
+        this.targetDetails = null;
+        this.confidenceThreshold = MATCH_THRESHOLD; // Matched with server threshold
+        this.backends = new Map(); // backend name -> loading or loaded backend
+        this.worker = null; // ScannerWorker, when models can run off the main thread
+        this.workerFailed = !useWorker;
+        this.adjustment = null; // { gain, contrast } from the camera's calibration profile
+        this.frameCanvas = null; // Reused for adjusted frames
     }
 
     /**
-     * Initialize the scanner with MobileNet model
+     * Use a camera's calibration profile for the frames that follow
+     * @param {Object|null} profile - From calibration.js; null scans frames as they come
+     */
+    setCalibration(profile) {
+        this.adjustment = profile?.adjustment || null;
+    }
+
+    // The frame the models look at: the video itself, or an adjusted copy at full size (so boxes keep their units)
+    prepareFrame(videoElement, adjustment = this.adjustment) {
+        if (!adjustment) return videoElement;
+
+        this.frameCanvas = this.frameCanvas || document.createElement('canvas');
+        this.frameCanvas.width = videoElement.videoWidth;
+        this.frameCanvas.height = videoElement.videoHeight;
+        drawAdjusted(this.frameCanvas.getContext('2d'), videoElement, adjustment);
+        return this.frameCanvas;
+    }
+
+    /**
+     * Load the classification model; detection loads when an item first needs it
+     * @returns {Promise<boolean>} Whether the scanner is ready
      */
     async initialize() {
         try {
-            console.log('Loading MobileNet model...');
-            this.model = await window.mobilenet.load();
+            await this.registry.loadManifest();
+            console.log(`Loading ${this.registry.getDefault('classification').id} model...`);
+            const backend = await this.getBackend('classification');
             this.isModelLoaded = true;
-            console.log('MobileNet model loaded successfully');
+            console.log(`Model loaded successfully (${backend.info.backend}${backend.info.cached ? ', from cache' : ''})`);
             return true;
         } catch (error) {
-            console.error('Failed to load MobileNet model:', error);
-            throw new Error('Failed to initialize AI scanner');
+            console.error('Failed to load the scanner model:', error);
+            this.isModelLoaded = false;
+            return false;
         }
     }
 
-    /**
-     * Process a video frame and get predictions
-     * @param {HTMLVideoElement} videoElement - The webcam video element
-     * @returns {Array} Array of predictions
-     */
-    async processFrame(videoElement) {
-        if (!this.isModelLoaded) {
-            throw new Error('Model not initialized');
-        }
-
-        try {
-            // Get more predictions for better accuracy
-            const predictions = await this.model.classify(videoElement, 10); // Increased to top 10 predictions
-            console.log('Raw predictions:', predictions); // Debug log
-            return predictions;
-        } catch (error) {
-            console.error('Error processing frame:', error);
-            throw error;
+    // Backends load on first use; items on the detection backend pull in the detection model
+    getBackend(name) {
+        if (!this.backends.has(name)) {
+            const loading = this.loadBackend(name).catch(error => {
+                this.backends.delete(name);
+                throw error;
+            });
+            this.backends.set(name, loading);
         }
+        return this.backends.get(name);
     }
 
-    /**
-     * Verify if the current frame matches the target item
-     * @param {HTMLVideoElement} videoElement - The webcam video element
-     * @param {string} targetItem - The item to look for
-     * @returns {Object} Verification result
-     */
-    async verifyItem(videoElement, targetItem) {
-        try {
-            const predictions = await this.processFrame(videoElement);
-            
-            // Check all predictions instead of just the best one
-            for (const prediction of predictions) {
-                const result = this.compareItems(prediction.className, targetItem);
-                if (result.isMatch && prediction.probability >= this.confidenceThreshold) {
-                    return {
-                        success: true,
-                        message: 'Item verified!',
-                        confidence: prediction.probability,
-                        prediction: prediction.className
-                    };
+    // Prefer the worker; fall back to the main thread when it's unsupported or won't load
+    async loadBackend(name) {
+        const spec = this.registry.getDefault(name);
+        if (!this.workerFailed && ScannerWorker.isSupported()) {
+            try {
+                this.worker = this.worker || new ScannerWorker();
+                return await createBackend(spec, { worker: this.worker }).load();
+            } catch (error) {
+                console.warn(`Scanner worker unavailable, running models on the main thread: ${error.message}`);
+                this.worker?.terminate();
+                this.worker = null;
+                this.workerFailed = true;
+                // Backends already loaded in the worker went with it
+                for (const other of this.backends.keys()) {
+                    if (other !== name) this.backends.delete(other);
                 }
-                console.log(`Checking prediction: ${prediction.className} (${prediction.probability}) against ${targetItem}`); // Debug log
             }
-
-            return {
-                success: false,
-                message: 'Item not found or confidence too low',
-                confidence: predictions[0].probability,
-                prediction: predictions[0].className
-            };
-        } catch (error) {
-            console.error('Error verifying item:', error);
-            return {
-                success: false,
-                message: 'Error processing image',
-                error: error.message
-            };
         }
+        return createBackend(spec).load();
     }
 
     /**
-     * Compare predicted item with target item
-     * @param {string} predictedItem - The item predicted by the model
-     * @param {string} targetItem - The target item to find
-     * @returns {Object} Comparison result
+     * Look for the target item in the current video frame
+     * @param {HTMLVideoElement} videoElement - The webcam video element
+     * @returns {Promise<Object>} Scan result (see the top of this file)
      */
-    compareItems(predictedItem, targetItem) {
-        // Convert both to lowercase for comparison
-        const predicted = predictedItem.toLowerCase();
-        const target = targetItem.toLowerCase();
-
-        // Debug log
-        console.log(`Comparing: ${predicted} with target: ${target}`);
-
-        // Special handling for books
-        if (target === 'book') {
-            const bookIndicators = ['book', 'novel', 'text', 'publication', 'reading', 'paperback', 'hardcover', 'literature'];
-            if (bookIndicators.some(indicator => predicted.includes(indicator))) {
-                return { isMatch: true, confidence: 0.9 };
-            }
+    async processFrame(videoElement) {
+        if (!this.isModelLoaded || !videoElement) {
+            return skippedFrame('Scanner not initialized or video element missing');
         }
-
-        // Check for exact match
-        if (predicted === target) {
-            return { isMatch: true, confidence: 1.0 };
+        if (videoElement.readyState < 2) { // HAVE_CURRENT_DATA or better
+            return skippedFrame('Video not ready for processing');
         }
-
-        // Check against known keywords for this item
-        const keywords = this.itemKeywords[target] || [];
-        if (keywords.some(keyword => predicted.includes(keyword))) {
-            return { isMatch: true, confidence: 0.9 };
+        if (videoElement.videoWidth === 0 || videoElement.videoHeight === 0) {
+            return skippedFrame('Invalid video dimensions');
         }
 
-        // Check if target is part of the prediction or vice versa
-        if (predicted.includes(target) || target.includes(predicted)) {
-            return { isMatch: true, confidence: 0.9 };
+        const item = this.getTargetDetails();
+        if (!item) {
+            return skippedFrame('No target item set');
         }
 
-        // Split into words and check for matches
-        const predictedWords = predicted.split(' ');
-        const targetWords = target.split(' ');
-        
-        let matchCount = 0;
-        for (const targetWord of targetWords) {
-            if (predictedWords.some(word => 
-                word === targetWord || 
-                word.includes(targetWord) || 
-                targetWord.includes(word) ||
-                this.checkSimilarity(word, targetWord)
-            )) {
-                matchCount++;
+        try {
+            // Items on the detection backend are found by their bounding box instead; custom items by the trained model
+            const backendName = getItemBackend(item);
+            const backend = await this.getBackend(backendName);
+            const candidates = await backend.detect(
+                this.prepareFrame(videoElement),
+                backendName === 'detection' ? DETECTION_RESULTS : CLASSIFICATION_RESULTS
+            );
+            if (!candidates) {
+                return skippedFrame('Still processing the previous frame', { dropped: true });
             }
-        }
 
-        if (matchCount > 0) {
-            return { isMatch: true, confidence: 0.7 + (0.1 * matchCount) };
-        }
+            const threshold = getItemThreshold(item, this.confidenceThreshold);
+            const match = backendName === 'detection'
+                ? matchDetection(candidates, item, {
+                    width: videoElement.videoWidth,
+                    height: videoElement.videoHeight,
+                    threshold
+                })
+                : matchClassification(candidates, item, { threshold, backend: backendName });
+            const result = { ...match, model: backend.info || null };
 
-        return { isMatch: false, confidence: 0 };
+            if (!result.success || !getRequiredColor(item)) {
+                return result;
+            }
+            const pixels = readFrame(videoElement);
+            return pixels ? matchAttributes(result, pixels.frame, item, { scale: pixels.scale }) : result;
+        } catch (error) {
+            console.error('Error processing frame:', error);
+            return skippedFrame('Error processing image. Please try again.', { error: error.message });
+        }
     }
 
     /**
-     * Check similarity between two words
-     * @param {string} word1 
-     * @param {string} word2 
-     * @returns {boolean}
+     * Run the classification model on a frame, whatever the target (the calibration's reference check)
+     * @param {HTMLVideoElement} videoElement - The webcam video element
+     * @param {Object} options
+     * @param {Object|null} options.adjustment - { gain, contrast } to apply first; defaults to the current profile's
+     * @returns {Promise<Object|null>} { candidates, model }, or null if the frame was dropped
      */
-    checkSimilarity(word1, word2) {
-        // Simple Levenshtein distance check for similar words
-        if (Math.abs(word1.length - word2.length) > 3) return false;
-        
-        let matches = 0;
-        const minLength = Math.min(word1.length, word2.length);
-        for (let i = 0; i < minLength; i++) {
-            if (word1[i] === word2[i]) matches++;
-        }
-        return matches / Math.max(word1.length, word2.length) > 0.7;
+    async classify(videoElement, { adjustment = this.adjustment } = {}) {
+        const backend = await this.getBackend('classification');
+        const candidates = await backend.detect(this.prepareFrame(videoElement, adjustment), CLASSIFICATION_RESULTS);
+        return candidates && { candidates, model: backend.info || null };
     }
 
     /**
      * Set the current target item
-     * @param {string} item - The item to look for
+     * @param {string|Object} item - The item to look for, by name, or its catalog entry
+     * @param {Object} details - Its catalog entry, when it isn't in the built-in catalog
      */
-    setTargetItem(item) {
-        this.currentItem = item;
+    setTargetItem(item, details = null) {
+        if (item && typeof item === 'object') {
+            this.currentItem = item.name;
+            this.targetDetails = item;
+        } else {
+            this.currentItem = item;
+            // Catalog entry sent by the server; needed for items from custom packs
+            this.targetDetails = details;
+        }
     }
 
     /**
@@ -188,6 +317,14 @@ class ItemScanner {
     getTargetItem() {
         return this.currentItem;
     }
+
+    /**
+     * Get the current target's catalog entry
+     * @returns {Object|null} The entry set with the target, or the built-in catalog's
+     */
+    getTargetDetails() {
+        return this.targetDetails || (this.currentItem ? findItemByName(this.currentItem) : null);
+    }
 }
 
-export default ItemScanner; 
\ No newline at end of file
+export default ItemScanner;
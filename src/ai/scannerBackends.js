@@ -0,0 +1,152 @@
+/**
+ * Scanner Backends - Run the registry's models (modelRegistry.js) on video frames
+ *
+ * Every backend loads one model once and turns a frame into the same shape of
+ * result, [{ label, score, box }], where box is [x, y, width, height] in video
+ * pixels, or null for whole-frame classification. Items pick their task in the
+ * catalog ("backend"); the registry says which model runs it.
+ *
+ * Where the browser can, the models run in a Web Worker (scannerWorker.js)
+ * behind a WorkerBackend, so inference doesn't stall the page. ModelBackend
+ * runs them on the main thread and is the fallback. Both load through
+ * modelLoader.js, so a loaded backend's info says which model version and
+ * TensorFlow.js backend (webgl, wasm or cpu) it used.
+ */
+
+// Runs a model on the main thread, through the loader script the page includes
+export class ModelBackend {
+    constructor(spec) {
+        this.name = spec.task;
+        this.spec = spec;
+        this.loaded = null;
+        this.info = null; // { id, version, backend, cached } once loaded
+    }
+
+    async load() {
+        if (!this.loaded) {
+            this.loaded = await window.scannerModels.load(this.spec);
+            this.info = this.loaded.info;
+        }
+        return this;
+    }
+
+    detect(source, maxResults) {
+        return window.scannerModels.run(this.loaded, source, maxResults);
+    }
+}
+
+/**
+ * Client for the scanner worker: numbered requests, answered in any order
+ */
+export class ScannerWorker {
+    /**
+     * Check whether this browser can run the models in a worker
+     * @return {boolean} True with Worker, OffscreenCanvas (for WebGL in the worker) and createImageBitmap
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+
+    constructor(url = new URL('./scannerWorker.js', import.meta.url)) {
+        this.worker = new Worker(url);
+        this.pending = new Map(); // request id -> { resolve, reject }
+        this.nextId = 1;
+        this.frameInFlight = false;
+
+        this.worker.onmessage = ({ data }) => {
+            const request = this.pending.get(data.id);
+            if (!request) return;
+            this.pending.delete(data.id);
+            if (data.error) request.reject(new Error(data.error));
+            else request.resolve(data.result);
+        };
+
+        // A script that fails to load (or throws at the top level) fails every request
+        this.worker.onerror = event => {
+            event.preventDefault?.();
+            this.failAll(new Error(event.message || 'Scanner worker failed'));
+        };
+    }
+
+    /**
+     * Send a request to the worker
+     * @param {Object} message - { type, backend, ... }
+     * @param {Array} transfer - Objects to transfer instead of copy
+     * @return {Promise} The worker's result
+     */
+    request(message, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    /**
+     * Run a model on a frame, unless the worker is still busy with the last one
+     * @param {string} model - Id of a model loaded in the worker
+     * @param {HTMLVideoElement|HTMLCanvasElement} source - Frame to look at
+     * @param {number} maxResults - Most results to return
+     * @return {Promise<Array|null>} Results, or null when the frame was dropped
+     */
+    async detect(model, source, maxResults) {
+        // Backpressure: a frame queued behind a slow one would only be stale by the time it runs
+        if (this.frameInFlight) {
+            return null;
+        }
+
+        this.frameInFlight = true;
+        try {
+            const frame = await createImageBitmap(source);
+            return await this.request({ type: 'detect', model, frame, maxResults }, [frame]);
+        } finally {
+            this.frameInFlight = false;
+        }
+    }
+
+    failAll(error) {
+        for (const { reject } of this.pending.values()) {
+            reject(error);
+        }
+        this.pending.clear();
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.failAll(new Error('Scanner worker terminated'));
+    }
+}
+
+// Runs a model in the scanner worker; detect() resolves to null for dropped frames
+export class WorkerBackend {
+    constructor(spec, worker) {
+        this.name = spec.task;
+        this.spec = spec;
+        this.worker = worker;
+        this.info = null; // { id, version, backend, cached } once loaded
+    }
+
+    async load() {
+        if (!this.info) {
+            this.info = await this.worker.request({ type: 'load', spec: this.spec });
+        }
+        return this;
+    }
+
+    detect(source, maxResults) {
+        return this.worker.detect(this.spec.id, source, maxResults);
+    }
+}
+
+/**
+ * Create an (unloaded) backend for a model
+ * @param {Object} spec - Model spec from the registry
+ * @param {Object} options
+ * @param {ScannerWorker} options.worker - Run the model in this worker instead of on the main thread
+ * @return {Object} The backend
+ */
+export function createBackend(spec, { worker = null } = {}) {
+    return worker ? new WorkerBackend(spec, worker) : new ModelBackend(spec);
+}
@@ -0,0 +1,54 @@
+/**
+ * Scanner Worker - Loads the scanner models and runs inference off the main thread
+ *
+ * A classic worker: TensorFlow.js comes from the same CDN script the pages
+ * use, and models load through modelLoader.js, exactly as they would on the
+ * main thread. ScannerWorker (scannerBackends.js) talks to it with numbered
+ * requests:
+ *
+ *   { id, type: 'load', spec }                            spec from modelRegistry.js
+ *   { id, type: 'detect', model, frame, maxResults }      model id; frame is a transferred ImageBitmap
+ *
+ * and gets { id, result } or { id, error } back. Loading answers with the
+ * model's info ({ id, version, backend, cached }); detecting with results in
+ * the backends' shape, [{ label, score, box }], with boxes in frame pixels.
+ */
+
+/* global scannerModels */
+
+importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.15.0', 'modelLoader.js');
+
+const models = new Map(); // model id -> loaded model
+
+async function load(spec) {
+    const loaded = await scannerModels.load(spec);
+    models.set(spec.id, loaded);
+    return loaded.info;
+}
+
+async function detect(modelId, frame, maxResults) {
+    const loaded = models.get(modelId);
+    if (!loaded) {
+        throw new Error(`Model ${modelId} is not loaded`);
+    }
+    return scannerModels.run(loaded, frame, maxResults);
+}
+
+self.onmessage = async ({ data }) => {
+    const { id, type } = data;
+    try {
+        let result = null;
+        if (type === 'load') {
+            result = await load(data.spec);
+        } else if (type === 'detect') {
+            result = await detect(data.model, data.frame, data.maxResults);
+        } else {
+            throw new Error(`Unknown request: ${type}`);
+        }
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    } finally {
+        data.frame?.close();
+    }
+};
@@ -0,0 +1,371 @@
+/**
+ * Server Verifier - Re-classifies submitted frames on the server
+ *
+ * Clients send a downscaled JPEG of the frame their scanner matched. The server
+ * runs the item's backend on it with the tfjs CPU backend and only trusts its
+ * own result. Each backend runs the model models/manifest.json makes its
+ * default, the one the browser scanners run (src/ai/modelRegistry.js):
+ * MobileNet and COCO-SSD unless the manifest picks others.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import * as tf from '@tensorflow/tfjs';
+import * as mobilenet from '@tensorflow-models/mobilenet';
+import * as cocoSsd from '@tensorflow-models/coco-ssd';
+import jpeg from 'jpeg-js';
+import { findMatch, findDetection, getItemBackend, getItemThreshold, MATCH_THRESHOLD, MIN_BOX_AREA } from './matching.js';
+import { checkAttributes } from './attributes.js';
+import { loadModel as loadCustomModel, classifyEmbedding } from './customModel.js';
+import { ModelRegistry, DEFAULT_MODELS } from './modelRegistry.js';
+
+const JPEG_DATA_URL_PREFIX = 'data:image/jpeg;base64,';
+const MAX_IMAGE_LENGTH = 500000; // Base64 characters; a 320px frame is well under this
+const MAX_RESOLUTION_MP = 1;
+const TOP_K = 10;
+const MODELS_URL_PREFIX = '/models/'; // Where the server serves models from its models directory
+
+// IO handler for a model.json and its weight files on disk, for tf.loadGraphModel() and the model libraries
+function fileHandler(modelPath) {
+    return {
+        async load() {
+            const model = JSON.parse(await readFile(modelPath, 'utf8'));
+            const groups = model.weightsManifest || [];
+            const weights = Buffer.concat(await Promise.all(
+                groups.flatMap(group => group.paths).map(file => readFile(path.join(path.dirname(modelPath), file)))
+            ));
+            return {
+                modelTopology: model.modelTopology,
+                format: model.format,
+                generatedBy: model.generatedBy,
+                convertedBy: model.convertedBy,
+                signature: model.signature,
+                userDefinedMetadata: model.userDefinedMetadata,
+                modelInitializer: model.modelInitializer,
+                weightSpecs: groups.flatMap(group => group.weights),
+                weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+            };
+        }
+    };
+}
+
+// Run a graph model classifier the way the browser's model loader does
+async function classifyGraph(model, tensor) {
+    const [low, high] = model.inputRange;
+    const output = tf.tidy(() => {
+        const input = tf.image.resizeBilinear(tensor, [model.inputSize, model.inputSize])
+            .toFloat()
+            .mul((high - low) / 255)
+            .add(low)
+            .expandDims(0);
+        return model.graph.predict(input).squeeze();
+    });
+    const scores = await output.data();
+    output.dispose();
+    return Array.from(scores, (probability, index) => ({ className: model.labels[index], probability }))
+        .sort((a, b) => b.probability - a.probability)
+        .slice(0, TOP_K);
+}
+
+export class VerificationError extends Error {
+    /**
+     * @param {string} message - Reason shown in logs
+     * @param {string} type - 'invalid_image' or 'unavailable'
+     */
+    constructor(message, type) {
+        super(message);
+        this.name = 'VerificationError';
+        this.type = type;
+    }
+}
+
+export class ServerVerifier {
+    /**
+     * @param {Object} options
+     * @param {string} options.modelUrl - Mirror of the built-in MobileNet (defaults to the public model)
+     * @param {string} options.detectionModelUrl - Mirror of the built-in COCO-SSD (defaults to the public model)
+     * @param {string} options.modelsDir - Served models; its manifest.json picks the models, as it does for the browser scanners
+     * @param {number} options.threshold - Lowest probability accepted as a match
+     */
+    constructor({ modelUrl = null, detectionModelUrl = null, modelsDir = null, threshold = MATCH_THRESHOLD } = {}) {
+        this.mirrors = {
+            [DEFAULT_MODELS.classification]: modelUrl,
+            [DEFAULT_MODELS.detection]: detectionModelUrl
+        };
+        this.modelsDir = modelsDir;
+        this.threshold = threshold;
+        this.registry = null; // Loading of the registry, from the models manifest
+        this.loading = {};    // model id -> loading or loaded model
+    }
+
+    /**
+     * Read the models manifest once; like the browser scanners, the built-in models are used without one
+     * @private
+     * @return {Promise<ModelRegistry>}
+     */
+    loadRegistry() {
+        if (!this.registry) {
+            this.registry = (async () => {
+                const registry = new ModelRegistry();
+                if (!this.modelsDir) return registry;
+
+                try {
+                    const manifest = JSON.parse(await readFile(path.join(this.modelsDir, 'manifest.json'), 'utf8'));
+                    registry.applyManifest(manifest, 'models/manifest.json');
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        console.warn(`Could not load the model manifest, using the built-in models: ${error.message}`);
+                    }
+                }
+                return registry;
+            })();
+        }
+        return this.registry;
+    }
+
+    /**
+     * Load the model the manifest makes a backend's default, the same one the browser scanners run
+     * @param {string} backend - 'classification', 'detection' or 'custom'
+     * @return {Promise<Object>} { spec, model }
+     * @throws {VerificationError} If the model can't be loaded
+     */
+    async load(backend = 'classification') {
+        const registry = await this.loadRegistry();
+        let spec;
+        try {
+            spec = registry.getDefault(backend);
+        } catch (error) {
+            throw new VerificationError(`No ${backend} model: ${error.message}`, 'unavailable');
+        }
+        return this.loadModel(spec);
+    }
+
+    /**
+     * Load a registry model once; concurrent callers share the same load
+     * @private
+     * @param {Object} spec - Model spec from the registry
+     * @return {Promise<Object>} { spec, model }
+     */
+    loadModel(spec) {
+        if (!this.loading[spec.id]) {
+            this.loading[spec.id] = (async () => {
+                await tf.setBackend('cpu');
+                const model = await this.loadFamily(spec);
+                console.log(`Server verifier: ${spec.id}@${spec.version} (${spec.task}) loaded`);
+                return { spec, model };
+            })().catch(error => {
+                // Let the next submission try again
+                this.loading[spec.id] = null;
+                throw error instanceof VerificationError
+                    ? error
+                    : new VerificationError(`Failed to load the ${spec.id} model: ${error.message}`, 'unavailable');
+            });
+        }
+
+        return this.loading[spec.id];
+    }
+
+    /**
+     * Load a model with its family's library
+     * @private
+     */
+    async loadFamily(spec) {
+        const modelUrl = this.getModelSource(spec);
+        switch (spec.family) {
+            case 'mobilenet':
+                return mobilenet.load({ ...spec.options, ...(modelUrl && { modelUrl }) });
+            case 'coco-ssd':
+                // coco-ssd hands modelUrl to loadGraphModel, which takes a handler as well as a URL
+                return cocoSsd.load({ ...spec.options, ...(modelUrl && { modelUrl }) });
+            case 'graph': {
+                const [graph, labels] = await Promise.all([tf.loadGraphModel(modelUrl), this.readLabels(spec)]);
+                return { graph, labels, inputSize: spec.inputSize || 224, inputRange: spec.inputRange || [-1, 1] };
+            }
+            case 'mobilenet-head': {
+                // The head classifies embeddings of the MobileNet it was trained on, so that one loads too
+                const localModel = this.getLocalPath(spec.url);
+                if (!localModel) {
+                    throw new Error('custom models must be served from /models');
+                }
+                const [base, custom] = await Promise.all([this.loadModel(spec.base), loadCustomModel(path.dirname(localModel))]);
+                return { base: base.model, ...custom };
+            }
+            default:
+                throw new Error(`unknown model family "${spec.family}"`);
+        }
+    }
+
+    /**
+     * Where to load a model's weights from: a file handler for models served from /models,
+     * the configured mirror for a built-in default, or null for the library's own
+     * @private
+     */
+    getModelSource(spec) {
+        if (!spec.url) {
+            return this.mirrors[spec.id] || null;
+        }
+        const localModel = this.getLocalPath(spec.url);
+        return localModel ? fileHandler(localModel) : spec.url;
+    }
+
+    /**
+     * Map a /models URL to the file in the models directory
+     * @private
+     * @return {string|null} The file path, or null for other URLs
+     */
+    getLocalPath(url) {
+        if (!this.modelsDir || !url?.startsWith(MODELS_URL_PREFIX)) return null;
+
+        const root = path.resolve(this.modelsDir);
+        const file = path.resolve(root, url.slice(MODELS_URL_PREFIX.length));
+        return file.startsWith(root + path.sep) ? file : null;
+    }
+
+    /**
+     * Read a graph model's class names
+     * @private
+     * @return {Promise<Array>}
+     */
+    async readLabels(spec) {
+        const localLabels = this.getLocalPath(spec.labels);
+        if (localLabels) {
+            return JSON.parse(await readFile(localLabels, 'utf8'));
+        }
+        const response = await fetch(spec.labels);
+        if (!response.ok) {
+            throw new Error(`labels for ${spec.id}: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Decode a JPEG data URL into RGB pixels
+     * @param {string} image - data:image/jpeg;base64,... as sent by the client
+     * @return {Object} { data, width, height }, 3 bytes per pixel
+     * @throws {VerificationError} If the image is missing, too large or not a JPEG
+     */
+    decodeFrame(image) {
+        if (typeof image !== 'string' || !image.startsWith(JPEG_DATA_URL_PREFIX)) {
+            throw new VerificationError('Submission has no JPEG frame', 'invalid_image');
+        }
+        if (image.length > MAX_IMAGE_LENGTH) {
+            throw new VerificationError('Submitted frame is too large', 'invalid_image');
+        }
+
+        let decoded;
+        try {
+            const buffer = Buffer.from(image.slice(JPEG_DATA_URL_PREFIX.length), 'base64');
+            decoded = jpeg.decode(buffer, {
+                useTArray: true,
+                formatAsRGBA: false,
+                maxResolutionInMP: MAX_RESOLUTION_MP
+            });
+        } catch (error) {
+            throw new VerificationError(`Submitted frame could not be decoded: ${error.message}`, 'invalid_image');
+        }
+
+        return { data: decoded.data, width: decoded.width, height: decoded.height };
+    }
+
+    /**
+     * Classify a submitted frame and check it against the target item, then check the
+     * item's attributes (colour) inside its box, or the frame centre without one
+     * @param {Object} frame - Pixels from decodeFrame
+     * @param {Object} item - Catalog entry of the round's target item
+     * @return {Promise<Object>} { verified, label, confidence, predictions, reason }, with
+     *   reason set when the item was found but its attributes didn't match
+     * @throws {VerificationError} If the model is unavailable
+     */
+    async verify(frame, item) {
+        const verdict = await this.findItem(frame, item);
+        if (!verdict.verified) {
+            return verdict;
+        }
+
+        const attributes = checkAttributes(frame, item, { channels: 3, region: verdict.box || null });
+        return attributes.passed
+            ? verdict
+            : { ...verdict, verified: false, reason: attributes.reason };
+    }
+
+    /**
+     * Run one backend's model on a frame
+     * @param {Object} frame - Pixels from decodeFrame
+     * @param {string} backend - 'classification', 'detection' or 'custom'
+     * @return {Promise<Array>} Classification and custom: [{ className, probability }];
+     *   detection: [{ label, score, box: [x, y, width, height] }]
+     * @throws {VerificationError} If the model is unavailable
+     */
+    async predict(frame, backend) {
+        const { spec, model } = await this.load(backend);
+        const tensor = tf.tensor3d(frame.data, [frame.height, frame.width, 3], 'int32');
+
+        try {
+            switch (spec.family) {
+                case 'coco-ssd':
+                    return (await model.detect(tensor, TOP_K, 0.2)).map(object => ({
+                        label: object.class,
+                        score: object.score,
+                        box: object.bbox
+                    }));
+                case 'mobilenet-head': {
+                    const embedding = model.base.infer(tensor, true);
+                    try {
+                        return await classifyEmbedding(model.head, model.labels, embedding, TOP_K);
+                    } finally {
+                        embedding.dispose();
+                    }
+                }
+                case 'graph':
+                    return await classifyGraph(model, tensor);
+                default:
+                    return await model.classify(tensor, TOP_K);
+            }
+        } finally {
+            tensor.dispose();
+        }
+    }
+
+    /**
+     * Run the item's backend on a frame and look for the item
+     * @return {Promise<Object>} { verified, label, confidence, predictions }
+     */
+    async findItem(frame, item) {
+        const backend = getItemBackend(item);
+        if (backend === 'detection') {
+            return this.verifyDetection(frame, item);
+        }
+
+        const predictions = await this.predict(frame, backend);
+        const match = findMatch(predictions, item, { threshold: getItemThreshold(item, this.threshold), backend });
+
+        return {
+            verified: Boolean(match),
+            label: match ? match.label : predictions[0]?.className || null,
+            confidence: match ? match.confidence : predictions[0]?.probability || 0,
+            predictions: predictions.slice(0, 3)
+        };
+    }
+
+    /**
+     * Detect objects in a frame; the item must be boxed and fill enough of the frame
+     * @return {Promise<Object>} { verified, label, confidence, predictions, box }
+     */
+    async verifyDetection(frame, item) {
+        const detections = await this.predict(frame, 'detection');
+        const match = findDetection(detections, item, {
+            width: frame.width,
+            height: frame.height,
+            threshold: getItemThreshold(item, this.threshold)
+        });
+
+        return {
+            verified: Boolean(match) && match.area >= MIN_BOX_AREA,
+            label: match ? match.label : detections[0]?.label || null,
+            confidence: match ? match.confidence : detections[0]?.score || 0,
+            // Same shape as classification output, for the logs
+            predictions: detections.slice(0, 3).map(({ label, score, box }) => ({ className: label, probability: score, box })),
+            box: match ? match.box : null
+        };
+    }
+}
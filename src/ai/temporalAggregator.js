@@ -0,0 +1,119 @@
+/**
+ * Temporal Aggregator - Votes over consecutive scanner frames
+ *
+ * A single frame is easily fooled by motion blur or a lucky angle, so the
+ * scanning loop feeds every frame's result in here and only submits once K of
+ * the last N frames found the item. It also times inference to pick a scan
+ * interval that suits the device: fast devices scan more often, slow ones
+ * aren't asked to start a frame before the last one finished. A camera's
+ * calibration profile gives it a head start (see applyProfile()).
+ *
+ * Items can tune the vote in the catalog ("voting": { window, required, threshold });
+ * call reset() with the round's item at every round boundary.
+ */
+
+import { MATCH_THRESHOLD } from './matching.js';
+
+export const DEFAULT_VOTING = {
+    window: 5,                  // Frames considered (N)
+    required: 3,                // Positive frames needed (K)
+    threshold: MATCH_THRESHOLD  // Lowest frame confidence that counts as positive
+};
+
+class TemporalAggregator {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxAge - Frames older than this (ms) drop out of the window
+     * @param {number} options.minInterval - Fastest scan interval (ms)
+     * @param {number} options.maxInterval - Slowest scan interval (ms)
+     * @param {number} options.busyShare - Share of the time the device should spend on inference
+     */
+    constructor({ maxAge = 5000, minInterval = 200, maxInterval = 1500, busyShare = 0.5 } = {}) {
+        this.maxAge = maxAge;
+        this.minInterval = minInterval;
+        this.maxInterval = maxInterval;
+        this.busyShare = busyShare;
+        this.averageDuration = null; // Moving average of inference time (ms), kept across rounds
+        this.frameInterval = 0;      // Time between the camera's frames (ms), once calibrated
+        this.reset();
+    }
+
+    /**
+     * Forget all frames and set up the vote for a new item
+     * @param {Object} item - Catalog item, for its voting overrides; null keeps the defaults
+     */
+    reset(item = null) {
+        this.voting = { ...DEFAULT_VOTING, ...(item?.voting || {}) };
+        this.frames = []; // { positive, confidence, result, at }, oldest first
+    }
+
+    /**
+     * Add a frame's scan result and vote
+     * @param {Object} result - Scanner result ({ success, confidence, ... })
+     * @param {number} now - Current time (ms)
+     * @returns {Object} { accepted, positives, frames, required, confidence, result } where result is
+     *   the most confident positive frame and confidence the average over positive frames
+     */
+    add(result, now = Date.now()) {
+        const positive = Boolean(result.success) && (result.confidence || 0) >= this.voting.threshold;
+        this.frames.push({ positive, confidence: result.confidence || 0, result, at: now });
+
+        // Slide the window: at most N frames, none too old to describe what's in front of the camera now
+        this.frames = this.frames
+            .filter(frame => now - frame.at <= this.maxAge)
+            .slice(-this.voting.window);
+
+        const positives = this.frames.filter(frame => frame.positive);
+        const accepted = positives.length >= this.voting.required;
+        const best = positives.reduce((top, frame) => (!top || frame.confidence > top.confidence ? frame : top), null);
+        const confidence = positives.length
+            ? positives.reduce((sum, frame) => sum + frame.confidence, 0) / positives.length
+            : 0;
+
+        return {
+            accepted,
+            positives: positives.length,
+            frames: this.frames.length,
+            required: this.voting.required,
+            confidence,
+            result: best ? { ...best.result, confidence } : null
+        };
+    }
+
+    /**
+     * Record how long a frame took to process
+     * @param {number} duration - Inference time (ms)
+     */
+    recordDuration(duration) {
+        this.averageDuration = this.averageDuration === null
+            ? duration
+            : this.averageDuration * 0.8 + duration * 0.2;
+    }
+
+    /**
+     * Pace scanning by a camera's calibration profile: start from its inference time rather
+     * than the fastest interval, and never scan faster than the camera delivers new frames
+     * @param {Object|null} profile - From calibration.js; null keeps only the timing measured so far
+     */
+    applyProfile(profile) {
+        this.frameInterval = profile?.frameRate ? 1000 / profile.frameRate : 0;
+        if (profile?.inferenceTime) {
+            this.averageDuration = profile.inferenceTime;
+        }
+    }
+
+    /**
+     * Get the delay before the next frame, from the measured inference time
+     * @returns {number} Milliseconds
+     */
+    getScanInterval() {
+        const minInterval = Math.min(this.maxInterval, Math.max(this.minInterval, this.frameInterval));
+        if (this.averageDuration === null) {
+            return Math.round(minInterval);
+        }
+        const interval = this.averageDuration / this.busyShare - this.averageDuration;
+        return Math.round(Math.min(this.maxInterval, Math.max(minInterval, interval)));
+    }
+}
+
+export default TemporalAggregator;
@@ -0,0 +1,272 @@
+/**
+ * Camera Manager - Which camera the player scans with
+ *
+ * Wraps getUserMedia so players can pick a camera (a laptop's own, a USB
+ * webcam, a phone's front or back camera) and a resolution, and switch while
+ * a game is running. Listeners get every new stream and re-attach it to their
+ * video elements, so the scan loop only sees a few frames that aren't ready.
+ *
+ * The choice is remembered in localStorage. When the chosen camera is
+ * unplugged (its track ends) the manager falls back to the browser's default
+ * camera, and goes back to the chosen one when it's plugged in again.
+ *
+ * Events (on()): 'stream' (stream, previous), 'devices' (cameras), 'error' (error)
+ */
+
+// Requested sizes; the camera picks the closest it supports
+export const RESOLUTIONS = {
+    low: { width: 320, height: 240 },
+    medium: { width: 640, height: 480 },
+    high: { width: 1280, height: 720 }
+};
+
+// Facing modes for when no particular camera is chosen (phones, tablets)
+export const FACING_MODES = {
+    user: 'Front',
+    environment: 'Back'
+};
+
+const DEFAULT_PREFERENCES = {
+    deviceId: null,      // null lets the browser choose, by facing mode
+    resolution: 'medium',
+    facingMode: 'user'
+};
+
+class CameraManager {
+    /**
+     * @param {Object} defaults - Preferences for players who never chose (see DEFAULT_PREFERENCES)
+     */
+    constructor(defaults = {}) {
+        this.storageKey = 'rush_roulette_camera';
+        this.preferences = { ...DEFAULT_PREFERENCES, ...defaults, ...this.loadPreferences() };
+        this.stream = null;
+        this.started = false; // Set once the camera ran, until stop()
+        this.devices = [];
+        this.eventHandlers = new Map();
+        this.queue = Promise.resolve(); // Camera switches run one at a time
+
+        if (navigator.mediaDevices?.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.handleDeviceChange());
+        }
+    }
+
+    /**
+     * Check whether the browser can use cameras at all
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.mediaDevices?.getUserMedia === 'function';
+    }
+
+    loadPreferences() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Failed to load camera preferences:', error);
+            return {};
+        }
+    }
+
+    savePreferences() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.preferences));
+        } catch (error) {
+            console.error('Failed to save camera preferences:', error);
+        }
+    }
+
+    /**
+     * Register an event handler
+     * @param {string} event - 'stream', 'devices' or 'error'
+     * @param {Function} callback - Event callback
+     * @returns {Function} Function to remove the handler
+     */
+    on(event, callback) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(callback);
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Remove an event handler
+     * @param {string} event - Event name
+     * @param {Function} callback - The registered callback
+     */
+    off(event, callback) {
+        const handlers = this.eventHandlers.get(event) || [];
+        this.eventHandlers.set(event, handlers.filter(handler => handler !== callback));
+    }
+
+    emit(event, ...args) {
+        (this.eventHandlers.get(event) || []).forEach(handler => {
+            try {
+                handler(...args);
+            } catch (error) {
+                console.error(`Camera ${event} handler failed:`, error);
+            }
+        });
+    }
+
+    // Run camera switches in order, so a device change can't interleave with the player's choice
+    serialize(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * getUserMedia constraints for a set of preferences
+     * @param {Object} preferences - { deviceId, resolution, facingMode }
+     * @returns {Object} Media constraints
+     */
+    getConstraints({ deviceId, resolution, facingMode }) {
+        const { width, height } = RESOLUTIONS[resolution] || RESOLUTIONS[DEFAULT_PREFERENCES.resolution];
+        const video = { width: { ideal: width }, height: { ideal: height } };
+        if (deviceId) {
+            video.deviceId = { exact: deviceId };
+        } else {
+            video.facingMode = facingMode;
+        }
+        return { video, audio: false };
+    }
+
+    /**
+     * List the cameras; they only have names once the player allowed camera access
+     * @returns {Promise<Array>} [{ deviceId, label }]
+     */
+    async listDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        this.devices = devices
+            .filter(device => device.kind === 'videoinput')
+            .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` }));
+        return this.devices;
+    }
+
+    /**
+     * Get the id of the camera the stream comes from, which may not be the chosen one after a fallback
+     * @returns {string|null}
+     */
+    getActiveDeviceId() {
+        const track = this.stream?.getVideoTracks()[0];
+        return track?.getSettings?.().deviceId || null;
+    }
+
+    /**
+     * Start the chosen camera, or return its stream if it's already running
+     * @returns {Promise<MediaStream>}
+     */
+    start() {
+        return this.serialize(() => (this.stream?.active ? this.stream : this.open(this.preferences)));
+    }
+
+    /**
+     * Change camera, resolution or facing mode; a running stream is swapped at once.
+     * The choice is remembered once it works; if it doesn't, the previous camera is restored
+     * @param {Object} changes - Any of { deviceId, resolution, facingMode }
+     * @returns {Promise<MediaStream|null>} The new stream, or null if the camera isn't running yet
+     */
+    select(changes) {
+        return this.serialize(async () => {
+            const preferences = { ...this.preferences, ...changes };
+            if (!this.stream) {
+                this.preferences = preferences;
+                this.savePreferences();
+                return null;
+            }
+
+            try {
+                const stream = await this.open(preferences);
+                this.preferences = preferences;
+                this.savePreferences();
+                return stream;
+            } catch (error) {
+                this.emit('error', error);
+                await this.open(this.preferences).catch(restoreError => {
+                    console.error('Could not restore the previous camera:', restoreError);
+                });
+                throw error;
+            }
+        });
+    }
+
+    // Replace the stream with one for the preferences; a chosen camera that's missing falls back to the default
+    async open(preferences) {
+        // Some cameras can't be opened twice, so the old stream goes first
+        const previous = this.stream;
+        this.stream = null;
+        this.stopTracks(previous);
+
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia(this.getConstraints(preferences));
+        } catch (error) {
+            if (!preferences.deviceId || !['NotFoundError', 'OverconstrainedError'].includes(error.name)) {
+                throw error;
+            }
+            console.warn(`Camera ${preferences.deviceId} is unavailable, using the default camera`);
+            stream = await navigator.mediaDevices.getUserMedia(this.getConstraints({ ...preferences, deviceId: null }));
+        }
+
+        this.stream = stream;
+        this.started = true;
+        stream.getVideoTracks().forEach(track => {
+            // Unplugged, or taken away by the system
+            track.addEventListener('ended', () => {
+                if (this.stream === stream) this.recover();
+            });
+        });
+        this.emit('stream', stream, previous);
+        this.listDevices()
+            .then(devices => this.emit('devices', devices))
+            .catch(error => console.warn('Could not list cameras:', error));
+        return stream;
+    }
+
+    // The camera went away: carry on with whichever one the browser picks
+    recover() {
+        return this.serialize(async () => {
+            console.warn('Camera disconnected, switching to another camera');
+            try {
+                await this.open({ ...this.preferences, deviceId: null });
+            } catch (error) {
+                console.error('No camera to switch to:', error);
+                this.emit('stream', null, null);
+                this.emit('error', error);
+            }
+        });
+    }
+
+    // Cameras were plugged in or out: refresh the list, and go back to the chosen camera when it returns
+    async handleDeviceChange() {
+        const devices = await this.listDevices().catch(() => this.devices);
+        this.emit('devices', devices);
+
+        if (!this.started) return;
+        const { deviceId } = this.preferences;
+        const chosenReturned = Boolean(this.stream) && Boolean(deviceId) && deviceId !== this.getActiveDeviceId() &&
+            devices.some(device => device.deviceId === deviceId);
+        const cameraAppeared = !this.stream && devices.length > 0;
+        if (chosenReturned || cameraAppeared) {
+            this.serialize(() => this.open(this.preferences)).catch(error => this.emit('error', error));
+        }
+    }
+
+    stopTracks(stream) {
+        stream?.getTracks().forEach(track => track.stop());
+    }
+
+    /**
+     * Stop the camera
+     */
+    stop() {
+        this.stopTracks(this.stream);
+        this.stream = null;
+        this.started = false;
+    }
+}
+
+export default CameraManager;
@@ -0,0 +1,142 @@
+/**
+ * Camera Picker Component
+ * Lets players choose their camera, its resolution and facing mode
+ */
+
+import { RESOLUTIONS, FACING_MODES } from './cameraManager.js';
+
+const RESOLUTION_LABELS = {
+    low: 'Low',
+    medium: 'Medium',
+    high: 'High'
+};
+
+class CameraPicker {
+    constructor(cameraManager) {
+        this.cameraManager = cameraManager;
+        this.container = null;
+        this.panel = null;
+        this.deviceSelect = null;
+        this.resolutionSelect = null;
+        this.facingSelect = null;
+    }
+
+    /**
+     * Create and initialize the camera picker UI
+     * @returns {HTMLElement} The camera picker container
+     */
+    create() {
+        this.container = document.createElement('div');
+        this.container.className = 'camera-picker';
+
+        const toggleButton = document.createElement('button');
+        toggleButton.className = 'camera-picker-toggle';
+        toggleButton.innerHTML = '📷';
+        toggleButton.title = 'Camera settings';
+        toggleButton.addEventListener('click', () => {
+            this.panel.hidden = !this.panel.hidden;
+        });
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'camera-picker-panel';
+        this.panel.hidden = true;
+
+        this.deviceSelect = this.addSelect('Camera', () => {
+            this.apply({ deviceId: this.deviceSelect.value || null });
+        });
+        this.resolutionSelect = this.addSelect('Resolution', () => {
+            this.apply({ resolution: this.resolutionSelect.value });
+        });
+        this.facingSelect = this.addSelect('Facing', () => {
+            this.apply({ facingMode: this.facingSelect.value });
+        });
+
+        Object.keys(RESOLUTIONS).forEach(resolution => {
+            const { width, height } = RESOLUTIONS[resolution];
+            this.resolutionSelect.appendChild(new Option(`${RESOLUTION_LABELS[resolution]} (${width}×${height})`, resolution));
+        });
+        Object.entries(FACING_MODES).forEach(([facingMode, label]) => {
+            this.facingSelect.appendChild(new Option(label, facingMode));
+        });
+
+        this.container.appendChild(toggleButton);
+        this.container.appendChild(this.panel);
+
+        // Camera names appear once access is allowed, and cameras come and go
+        this.cameraManager.on('devices', devices => this.renderDevices(devices));
+        this.cameraManager.on('stream', () => this.sync());
+        this.cameraManager.listDevices()
+            .then(devices => this.renderDevices(devices))
+            .catch(error => console.warn('Could not list cameras:', error));
+        this.renderDevices([]);
+
+        return this.container;
+    }
+
+    /**
+     * Add a labelled select to the panel
+     * @param {string} text - Label text
+     * @param {Function} onChange - Change handler
+     * @returns {HTMLSelectElement} The select
+     */
+    addSelect(text, onChange) {
+        const label = document.createElement('label');
+        label.textContent = text;
+        const select = document.createElement('select');
+        select.addEventListener('change', onChange);
+        label.appendChild(select);
+        this.panel.appendChild(label);
+        return select;
+    }
+
+    /**
+     * Fill the camera list
+     * @param {Array} devices - [{ deviceId, label }] from the camera manager
+     */
+    renderDevices(devices) {
+        this.deviceSelect.innerHTML = '';
+        this.deviceSelect.appendChild(new Option('Automatic', ''));
+        devices.forEach(device => {
+            this.deviceSelect.appendChild(new Option(device.label, device.deviceId));
+        });
+
+        // Keep showing a remembered camera that's unplugged right now
+        const { deviceId } = this.cameraManager.preferences;
+        if (deviceId && !devices.some(device => device.deviceId === deviceId)) {
+            this.deviceSelect.appendChild(new Option('Chosen camera (not connected)', deviceId));
+        }
+        this.sync();
+    }
+
+    /**
+     * Show the current choice
+     */
+    sync() {
+        const { deviceId, resolution, facingMode } = this.cameraManager.preferences;
+        this.deviceSelect.value = deviceId || '';
+        this.resolutionSelect.value = resolution;
+        this.facingSelect.value = facingMode;
+        // A chosen camera faces wherever it faces
+        this.facingSelect.disabled = Boolean(deviceId);
+    }
+
+    /**
+     * Switch to the chosen settings
+     * @param {Object} changes - Any of { deviceId, resolution, facingMode }
+     */
+    async apply(changes) {
+        const selects = [this.deviceSelect, this.resolutionSelect, this.facingSelect];
+        selects.forEach(select => { select.disabled = true; });
+        try {
+            await this.cameraManager.select(changes);
+        } catch (error) {
+            // The camera manager reports it, and has gone back to the previous camera
+            console.warn('Camera switch failed:', error);
+        } finally {
+            selects.forEach(select => { select.disabled = false; });
+            this.sync();
+        }
+    }
+}
+
+export default CameraPicker;
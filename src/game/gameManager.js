@@ -3,38 +3,49 @@
  */
 
 import errorManager from '../utils/errorManager.js';
-import { getRandomItem } from '../items.js';
+import { ItemSelector } from './itemSelector.js';
+import { findMatch } from '../ai/matching.js';
+import { ScoringEngine } from './scoring.js';
+import { validateSettings } from './roomSettings.js';
 
 class GameManager {
   constructor() {
     this.games = new Map(); // roomId -> game state
-    this.roundDuration = 60000; // 60 seconds per round
-    this.timeBetweenRounds = 10000; // 10 seconds between rounds
-    this.maxRounds = 5;
     this.minPlayers = 1;
+    this.scoring = new ScoringEngine();
   }
 
   /**
    * Create a new game room
    * @param {string} roomId - The room identifier
+   * @param {Object} settings - Optional per-room settings (see roomSettings.js)
    * @return {Object} The new game state
    */
-  createGame(roomId) {
+  createGame(roomId, settings = {}) {
     if (this.games.has(roomId)) {
       errorManager.logError('game', `Attempted to create duplicate game: ${roomId}`);
       throw new Error('Game already exists with this ID');
     }
 
+    const validation = validateSettings(settings);
+    if (!validation.valid) {
+      errorManager.logError('game', `Invalid settings for game: ${roomId}`, { errors: validation.errors });
+      throw new Error(`Invalid room settings: ${validation.errors.join('; ')}`);
+    }
+
     const game = {
       roomId,
+      settings: validation.settings,
       players: new Map(), // playerId -> player object
       status: 'waiting',  // waiting, countdown, active, between_rounds, ended
       currentRound: 0,
-      maxRounds: this.maxRounds,
+      maxRounds: validation.settings.rounds,
       currentItem: null,
+      itemSelector: null,
       roundStartTime: null,
       roundEndTime: null,
       roundTimeRemaining: null,
+      roundResults: [],
       timers: { // Active timers
         round: null,
         countdown: null,
@@ -62,11 +73,16 @@ class GameManager {
       return game; // Player already in game
     }
 
+    if (game.players.size >= game.settings.maxPlayers) {
+      throw new Error('Game is full');
+    }
+
     const player = {
       id: playerId,
       name: playerName,
       score: 0,
-      streak: 0,
+      currentStreak: 0, // Consecutive rounds found, reset on a missed round
+      bestStreak: 0,
       submittedItems: [],
       joinedAt: Date.now(),
       lastActivity: Date.now()
@@ -126,6 +142,11 @@ class GameManager {
     }
 
     game.status = 'countdown';
+    game.itemSelector = new ItemSelector({
+      seed: game.settings.seed ?? undefined,
+      difficultyCurve: game.settings.difficultyCurve,
+      itemPool: game.settings.itemPool
+    });
     
     // Start a 5-second countdown
     game.timers.countdown = setTimeout(() => {
@@ -145,14 +166,14 @@ class GameManager {
 
     game.currentRound++;
     game.status = 'active';
-    game.currentItem = getRandomItem(game.currentRound, game.maxRounds);
+    game.currentItem = game.itemSelector.next(game.currentRound);
     game.roundStartTime = Date.now();
-    game.roundEndTime = game.roundStartTime + this.roundDuration;
+    game.roundEndTime = game.roundStartTime + game.settings.roundDuration;
     
     // Set round timer
     game.timers.round = setTimeout(() => {
       this.endRound(roomId);
-    }, this.roundDuration);
+    }, game.settings.roundDuration);
 
     return game;
   }
@@ -180,12 +201,12 @@ class GameManager {
       // End the game after a short delay
       game.timers.betweenRounds = setTimeout(() => {
         this.endGame(roomId);
-      }, this.timeBetweenRounds);
+      }, game.settings.intermissionDuration);
     } else {
       // Start next round after a delay
       game.timers.betweenRounds = setTimeout(() => {
         this.startRound(roomId);
-      }, this.timeBetweenRounds);
+      }, game.settings.intermissionDuration);
     }
 
     return game;
@@ -217,37 +238,45 @@ class GameManager {
     const isCorrect = this.verifyItem(game.currentItem, itemData);
     
     if (isCorrect) {
-      // Calculate time bonus - faster submissions get more points
+      // Placement is the order players found this round's item in
       const timeElapsed = Date.now() - game.roundStartTime;
-      const timeRatio = 1 - (timeElapsed / this.roundDuration);
-      const timeBonus = Math.floor(timeRatio * 50); // Up to 50 bonus points
-      
-      // Base score + time bonus
-      const scoreEarned = 100 + timeBonus;
+      const foundBefore = [...game.players.values()].filter(other =>
+        other.submittedItems.some(submission => submission.round === game.currentRound && submission.score > 0)
+      ).length;
+
+      const { score: scoreEarned, breakdown } = this.scoring.score({
+        round: game.currentRound,
+        placement: foundBefore + 1,
+        timeElapsed,
+        roundDuration: game.settings.roundDuration,
+        streak: player.currentStreak
+      });
       
       // Track submission
       player.submittedItems.push({
         round: game.currentRound,
         item: itemData,
         score: scoreEarned,
+        breakdown,
         timeElapsed
       });
       
       // Update player score
       player.score += scoreEarned;
-      player.streak++;
+      player.currentStreak++;
+      player.bestStreak = Math.max(player.bestStreak, player.currentStreak);
       
       return { 
         success: true, 
         message: 'Item matched!', 
         score: scoreEarned, 
+        breakdown,
         totalScore: player.score,
-        streak: player.streak 
+        streak: player.currentStreak,
+        bestStreak: player.bestStreak
       };
     } else {
-      // Reset streak on incorrect submission
-      player.streak = 0;
-      
+      // A wrong scan doesn't break the streak; missing the round does (see finalizeRoundScores)
       // Track failed submission
       player.submittedItems.push({
         round: game.currentRound,
@@ -261,7 +290,7 @@ class GameManager {
         message: 'Item did not match', 
         score: 0, 
         totalScore: player.score,
-        streak: 0
+        streak: player.currentStreak
       };
     }
   }
@@ -277,14 +306,9 @@ class GameManager {
     // More sophisticated logic would go here in a real implementation
     if (!targetItem || !submittedItem) return false;
     
-    if (submittedItem.confidence < 0.7) {
-      return false; // Reject low confidence detections
-    }
-    
-    // Check if the detected item matches any keywords for the target
-    return targetItem.keywords.some(keyword => 
-      submittedItem.label.toLowerCase().includes(keyword.toLowerCase())
-    );
+    // The detected label must be mapped to the target, with a high weighted confidence
+    const prediction = { className: submittedItem.label, probability: submittedItem.confidence };
+    return findMatch([prediction], targetItem, { threshold: 0.7 }) !== null;
   }
 
   /**
@@ -326,31 +350,33 @@ class GameManager {
   }
 
   /**
-   * Calculate final scores for the round
+   * Collect the round's results with each player's score breakdown and
+   * break the streaks of players who missed the round
+   * (placement is already part of every score, so no bonuses are added here)
    * @param {Object} game - The game state
    */
   finalizeRoundScores(game) {
-    // Apply any end-of-round bonuses
-    // For example, bonus for first to find the item
-    const playersWhoFound = [...game.players.values()].filter(player => {
-      return player.submittedItems.some(submission => 
+    game.roundResults = [...game.players.values()].map(player => {
+      const found = player.submittedItems.find(submission =>
         submission.round === game.currentRound && submission.score > 0
       );
-    });
-    
-    // Sort by submission time
-    playersWhoFound.sort((a, b) => {
-      const aSubmission = a.submittedItems.find(s => s.round === game.currentRound && s.score > 0);
-      const bSubmission = b.submittedItems.find(s => s.round === game.currentRound && s.score > 0);
-      
-      return aSubmission.timeElapsed - bSubmission.timeElapsed;
-    });
-    
-    // First place bonus
-    if (playersWhoFound.length > 0) {
-      const firstPlayer = playersWhoFound[0];
-      firstPlayer.score += 25; // First place bonus
-    }
+
+      const streakBroken = !found && player.currentStreak > 0;
+      if (!found) {
+        player.currentStreak = 0;
+      }
+
+      return {
+        id: player.id,
+        name: player.name,
+        roundScore: found ? found.score : 0,
+        breakdown: found ? found.breakdown : null,
+        totalScore: player.score,
+        streak: player.currentStreak,
+        bestStreak: player.bestStreak,
+        streakBroken
+      };
+    }).sort((a, b) => b.roundScore - a.roundScore);
   }
 
   /**
@@ -371,6 +397,7 @@ class GameManager {
         id: player.id,
         name: player.name,
         score: player.score,
+        bestStreak: player.bestStreak,
         items: player.submittedItems.filter(s => s.score > 0).length
       };
     });
@@ -0,0 +1,206 @@
+/**
+ * ItemSelector - Picks the target item for each round
+ *
+ * Items are drawn from the catalog (or an item pack) by the room's difficulty
+ * curve, without repeats inside a game and avoiding what the players saw in
+ * their recent games. Selection never throws: when a category runs dry it
+ * falls back to the nearest difficulty, then to any unused item, then to the
+ * least recently used one.
+ */
+
+import { catalog as builtInCatalog } from '../ai/items.js';
+
+const RECENT_ITEMS_PER_PLAYER = 10;
+const MAX_TRACKED_PLAYERS = 5000; // Players who haven't played for longest are forgotten first
+
+/**
+ * Hash a seed of any printable form into a 32-bit integer (FNV-1a)
+ * @param {string|number} seed - The seed
+ * @return {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {string|number} seed - The seed
+ * @return {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a short random seed for games started without one
+ * @return {string} A new seed
+ */
+function generateSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+class ItemSelector {
+  /**
+   * @param {Object} options
+   * @param {string|number} options.seed - Seed for reproducible selection
+   * @param {Array} options.difficultyCurve - Difficulty per round (last one repeats)
+   * @param {Array|null} options.itemPool - Restrict selection to these item names
+   * @param {Array} options.recentItems - Item names the players saw recently
+   * @param {ItemCatalog} options.catalog - Catalog or item pack to draw from
+   */
+  constructor({ seed = generateSeed(), difficultyCurve = ['common', 'specific', 'rare'], itemPool = null, recentItems = [], catalog = builtInCatalog } = {}) {
+    this.seed = String(seed);
+    this.random = createRandom(this.seed);
+    this.difficultyCurve = difficultyCurve;
+    this.difficulties = catalog.difficulties;
+    this.recentItems = new Set(recentItems.map(name => name.toLowerCase()));
+    this.usedItems = [];
+
+    const pool = itemPool ? new Set(itemPool.map(name => name.toLowerCase())) : null;
+    this.items = catalog.items.filter(item => !pool || pool.has(item.name.toLowerCase()));
+  }
+
+  /**
+   * Get the difficulty for a round
+   * @param {number} round - The 1-based round number
+   * @return {string} Difficulty name
+   */
+  getDifficulty(round) {
+    const curve = this.difficultyCurve;
+    return curve[Math.min(Math.max(round, 1), curve.length) - 1];
+  }
+
+  /**
+   * Pick the item for a round
+   * @param {number} round - The 1-based round number
+   * @return {Object|null} The item (with difficulty), or null if the pool is empty
+   */
+  next(round) {
+    if (this.items.length === 0) return null;
+
+    const difficulty = this.getDifficulty(round);
+    const used = new Set(this.usedItems.map(item => item.name));
+    const unused = this.items.filter(item => !used.has(item.name));
+    const fresh = unused.filter(item => !this.recentItems.has(item.name.toLowerCase()));
+
+    const item =
+      // Preferred difficulty, then the nearest ones, skipping recent items
+      this.pickByDifficulty(fresh, difficulty) ||
+      // Same again, allowing items the players saw in recent games
+      this.pickByDifficulty(unused, difficulty) ||
+      // Everything has been used this game: reuse the least recent item
+      this.pickFrom(this.items.filter(candidate => candidate.name === this.leastRecentlyUsed()));
+
+    this.usedItems.push(item);
+    return item;
+  }
+
+  /**
+   * Pick from the requested difficulty, widening to neighbouring difficulties
+   * @private
+   */
+  pickByDifficulty(candidates, difficulty) {
+    if (candidates.length === 0) return null;
+
+    const target = this.difficulties.indexOf(difficulty);
+    const distance = (item) => Math.abs(this.difficulties.indexOf(item.difficulty) - target);
+    const closest = Math.min(...candidates.map(distance));
+
+    return this.pickFrom(candidates.filter(item => distance(item) === closest));
+  }
+
+  /**
+   * Pick uniformly with the seeded generator
+   * @private
+   */
+  pickFrom(candidates) {
+    if (candidates.length === 0) return null;
+    return candidates[Math.floor(this.random() * candidates.length)];
+  }
+
+  /**
+   * Name of the item used longest ago in this game
+   * @private
+   */
+  leastRecentlyUsed() {
+    const lastUse = new Map();
+    this.usedItems.forEach((item, index) => lastUse.set(item.name, index));
+
+    let oldest = null;
+    for (const [name, index] of lastUse) {
+      if (oldest === null || index < lastUse.get(oldest)) oldest = name;
+    }
+    return oldest;
+  }
+}
+
+/**
+ * PlayerItemHistory - Remembers which items each player saw in recent games
+ *
+ * Socket IDs change on every connection, so players are keyed by name.
+ * Only the most recently active maxPlayers are remembered.
+ */
+class PlayerItemHistory {
+  constructor(limit = RECENT_ITEMS_PER_PLAYER, maxPlayers = MAX_TRACKED_PLAYERS) {
+    this.history = new Map(); // player key -> [item names, oldest first], least recently active first
+    this.limit = limit;
+    this.maxPlayers = maxPlayers;
+  }
+
+  static keyFor(playerName) {
+    return playerName.trim().toLowerCase();
+  }
+
+  /**
+   * Record an item as seen by the given players
+   * @param {Array} playerNames - Names of the players in the round
+   * @param {string} itemName - The round's item
+   */
+  record(playerNames, itemName) {
+    for (const name of playerNames) {
+      const key = PlayerItemHistory.keyFor(name);
+      const items = (this.history.get(key) || []).filter(item => item !== itemName);
+      items.push(itemName);
+      // Re-inserting moves the player to the end, so the first key is always the least recently active
+      this.history.delete(key);
+      this.history.set(key, items.slice(-this.limit));
+    }
+
+    while (this.history.size > this.maxPlayers) {
+      this.history.delete(this.history.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the items any of the given players saw recently
+   * @param {Array} playerNames - Player names
+   * @return {Array} Item names
+   */
+  getRecent(playerNames) {
+    const recent = new Set();
+    for (const name of playerNames) {
+      (this.history.get(PlayerItemHistory.keyFor(name)) || []).forEach(item => recent.add(item));
+    }
+    return [...recent];
+  }
+}
+
+export {
+  ItemSelector,
+  PlayerItemHistory,
+  createRandom,
+  generateSeed
+};
@@ -0,0 +1,130 @@
+/**
+ * PackStore - Keeps custom item packs on local disk
+ *
+ * Each pack is one JSON file (<id>.json) in the catalog's pack format. Packs
+ * are validated on upload and again when the store loads them at startup.
+ */
+
+import { mkdir, readdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { ItemCatalog, CatalogError, loadCatalogSchema, loadLabelLists } from '../ai/catalog.js';
+
+const PACK_VERSION = 1;
+const MAX_PACKS = 200;
+
+class PackStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.packs = new Map(); // packId -> ItemCatalog
+    this.schema = null;
+    this.labelLists = null; // class names the models know, to check pack label mappings
+  }
+
+  /**
+   * Create the store directory and load the packs already saved in it
+   * @return {Promise<number>} Number of packs loaded
+   */
+  async init() {
+    [this.schema, this.labelLists] = await Promise.all([loadCatalogSchema(), loadLabelLists()]);
+    await mkdir(this.directory, { recursive: true });
+
+    const files = (await readdir(this.directory)).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      try {
+        const data = JSON.parse(await readFile(path.join(this.directory, file), 'utf8'));
+        const pack = new ItemCatalog(data, this.schema, 'pack', this.labelLists);
+        this.packs.set(pack.id, pack);
+      } catch (error) {
+        // A broken file shouldn't stop the server; it just isn't offered
+        console.warn(`Skipping invalid item pack ${file}:`, error.message);
+      }
+    }
+
+    return this.packs.size;
+  }
+
+  /**
+   * Validate pack data without storing it
+   * @param {Object} data - Pack as uploaded by a host
+   * @return {ItemCatalog} The validated pack
+   * @throws {CatalogError} If the pack is invalid
+   */
+  validate(data) {
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new CatalogError('Invalid item pack: expected a JSON object');
+    }
+
+    // Fill in what the file format requires but hosts shouldn't have to write
+    const normalized = { version: PACK_VERSION, ...data };
+    return new ItemCatalog(normalized, this.schema, 'pack', this.labelLists);
+  }
+
+  /**
+   * Validate and store a pack
+   * @param {Object} data - Pack as uploaded by a host
+   * @return {Promise<ItemCatalog>} The stored pack
+   * @throws {CatalogError} If the pack is invalid or the store is full
+   */
+  async save(data) {
+    const validated = this.validate(data);
+
+    if (this.packs.size >= MAX_PACKS) {
+      throw new CatalogError(`The pack store is full (${MAX_PACKS} packs)`);
+    }
+
+    // Re-imported exports keep their id unless it's already taken
+    const id = validated.id && !this.packs.has(validated.id)
+      ? validated.id
+      : this.generateId(validated.name);
+    const pack = new ItemCatalog({ ...validated.toJSON(), id }, this.schema, 'pack', this.labelLists);
+
+    await writeFile(path.join(this.directory, `${id}.json`), JSON.stringify(pack, null, 2));
+    this.packs.set(id, pack);
+    return pack;
+  }
+
+  /**
+   * Generate an unused id from the pack name
+   * @param {string} name - Pack name
+   * @return {string} A new pack id
+   */
+  generateId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'pack';
+
+    let id;
+    do {
+      id = `${slug}-${Math.random().toString(36).slice(2, 8)}`;
+    } while (this.packs.has(id));
+    return id;
+  }
+
+  /**
+   * Get a stored pack
+   * @param {string} id - Pack id
+   * @return {ItemCatalog|null} The pack
+   */
+  get(id) {
+    return this.packs.get(id) || null;
+  }
+
+  /**
+   * List stored packs
+   * @return {Array} Pack summaries, without their item lists
+   */
+  list() {
+    return [...this.packs.values()].map(pack => {
+      const { items, ...summary } = pack.getSummary();
+      return summary;
+    });
+  }
+
+  /**
+   * Get the number of stored packs
+   * @return {number} Pack count
+   */
+  get size() {
+    return this.packs.size;
+  }
+}
+
+export default PackStore;
@@ -0,0 +1,124 @@
+/**
+ * RoomCodeRegistry - Issues and resolves short join codes for private rooms
+ */
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_GENERATION_ATTEMPTS = 20;
+
+class RoomCodeRegistry {
+  constructor(ttl = 1800000) { // 30 minutes default
+    this.codes = new Map(); // code -> { roomId, expiresAt }
+    this.ttl = ttl;
+  }
+
+  /**
+   * Normalize user input into the canonical code format
+   * @param {string} code - Code as typed or pasted by a player
+   * @return {string} Upper-cased code without separators
+   */
+  static normalize(code) {
+    if (typeof code !== 'string') return '';
+    return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Generate a random code (not checked for collisions)
+   * @return {string} A new code
+   */
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  /**
+   * Register a room and return its unique code
+   * @param {string} roomId - The room identifier
+   * @return {Object} The code and its expiry time
+   */
+  register(roomId) {
+    for (let attempt = 0; attempt < MAX_GENERATION_ATTEMPTS; attempt++) {
+      const code = this.generateCode();
+
+      // Expired codes stay taken until their room is gone and releases them;
+      // the room may still be playing, and its players still hold the code
+      if (this.codes.has(code)) continue;
+
+      const expiresAt = Date.now() + this.ttl;
+      this.codes.set(code, { roomId, expiresAt });
+      return { code, expiresAt };
+    }
+
+    throw new Error('Unable to generate a unique room code');
+  }
+
+  /**
+   * Look up the room behind a code
+   * @param {string} code - The code to resolve
+   * @return {Object|null} { roomId, expired } or null if the code is unknown
+   */
+  lookup(code) {
+    const entry = this.codes.get(RoomCodeRegistry.normalize(code));
+    if (!entry) return null;
+
+    return {
+      roomId: entry.roomId,
+      expired: entry.expiresAt <= Date.now()
+    };
+  }
+
+  /**
+   * Push back the expiry of a code (e.g. when someone joins)
+   * @param {string} code - The code to refresh
+   * @return {number|null} The new expiry time, or null if the code is unknown
+   */
+  touch(code) {
+    const entry = this.codes.get(code);
+    if (!entry) return null;
+
+    entry.expiresAt = Date.now() + this.ttl;
+    return entry.expiresAt;
+  }
+
+  /**
+   * Release a room's code so it can be reused
+   * @param {string} code - The code to release
+   * @param {string} roomId - The room releasing it; a code registered to another room is kept
+   */
+  release(code, roomId) {
+    if (this.codes.get(code)?.roomId === roomId) {
+      this.codes.delete(code);
+    }
+  }
+
+  /**
+   * Collect codes whose expiry has passed
+   * @return {Array} List of { code, roomId } entries that have expired
+   */
+  getExpired() {
+    const now = Date.now();
+    const expired = [];
+
+    for (const [code, entry] of this.codes.entries()) {
+      if (entry.expiresAt <= now) {
+        expired.push({ code, roomId: entry.roomId });
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Get the number of codes currently registered
+   * @return {number} Code count
+   */
+  get size() {
+    return this.codes.size;
+  }
+}
+
+export default RoomCodeRegistry;
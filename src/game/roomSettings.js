@@ -0,0 +1,147 @@
+/**
+ * Room Settings - Defaults, bounds and validation for per-room game settings
+ */
+
+import { catalog, findItemByName } from '../ai/items.js';
+
+// Settings used when a room is created without overrides
+const DEFAULT_SETTINGS = {
+  rounds: 3,
+  roundDuration: 60000,        // 60 seconds per round
+  intermissionDuration: 5000,  // 5 seconds between rounds
+  maxPlayers: 8,
+  readyTimeout: 120000,        // Idle players are removed from the lobby after 2 minutes
+  suddenDeathDuration: null,   // null means rounds always run their full length
+  livenessCheck: false,        // Ask players to move the item before a find counts
+  difficultyCurve: ['common', 'specific', 'rare'],
+  packId: null,                // null means the built-in catalog
+  itemPool: null,              // null means every item in the catalog or pack
+  seed: null                   // null means a fresh random seed per game
+};
+
+// Inclusive bounds for numeric settings
+const SETTINGS_BOUNDS = {
+  rounds: { min: 1, max: 10 },
+  roundDuration: { min: 15000, max: 180000 },
+  intermissionDuration: { min: 3000, max: 30000 },
+  maxPlayers: { min: 1, max: 8 },
+  readyTimeout: { min: 30000, max: 600000 },
+  suddenDeathDuration: { min: 5000, max: 60000 } // Time left once the first player finds the item
+};
+
+const MAX_ITEM_POOL_SIZE = 100;
+const MAX_SEED_LENGTH = 64;
+
+/**
+ * Validate host-provided settings and merge them over the defaults
+ * @param {Object} input - Partial settings sent by the client
+ * @param {Object} options
+ * @param {PackStore} options.packs - Store used to resolve packId (packs are rejected without one)
+ * @return {Object} { valid, settings, errors }
+ */
+function validateSettings(input = {}, { packs = null } = {}) {
+  const errors = [];
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    difficultyCurve: [...DEFAULT_SETTINGS.difficultyCurve]
+  };
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { valid: false, settings, errors: ['Settings must be an object'] };
+  }
+
+  // Numeric settings must be integers within bounds; null keeps the default
+  for (const [key, { min, max }] of Object.entries(SETTINGS_BOUNDS)) {
+    if (input[key] === undefined || input[key] === null) continue;
+
+    const value = Number(input[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${key} must be a whole number between ${min} and ${max}`);
+      continue;
+    }
+    settings[key] = value;
+  }
+
+  // Difficulty curve: one difficulty per round, the last one repeats
+  if (input.difficultyCurve !== undefined) {
+    const curve = input.difficultyCurve;
+    const difficulties = catalog.difficulties;
+
+    if (!Array.isArray(curve) || curve.length === 0 || curve.length > SETTINGS_BOUNDS.rounds.max) {
+      errors.push(`difficultyCurve must list 1-${SETTINGS_BOUNDS.rounds.max} difficulties`);
+    } else if (!curve.every(difficulty => difficulties.includes(difficulty))) {
+      errors.push(`difficultyCurve may only contain: ${difficulties.join(', ')}`);
+    } else {
+      settings.difficultyCurve = [...curve];
+    }
+  }
+
+  // Item pack: replaces the built-in catalog as the source of items
+  let source = catalog;
+  if (input.packId !== undefined && input.packId !== null && input.packId !== '') {
+    const pack = packs && typeof input.packId === 'string' ? packs.get(input.packId) : null;
+    if (!pack) {
+      errors.push(`Unknown item pack: ${input.packId}`);
+    } else {
+      settings.packId = pack.id;
+      source = pack;
+    }
+  }
+
+  // Item pool: a list of item names that must all exist in the catalog or pack
+  if (input.itemPool !== undefined && input.itemPool !== null) {
+    const pool = input.itemPool;
+
+    if (!Array.isArray(pool) || pool.length === 0 || pool.length > MAX_ITEM_POOL_SIZE) {
+      errors.push(`itemPool must list 1-${MAX_ITEM_POOL_SIZE} item names`);
+    } else {
+      const unknown = pool.filter(name => typeof name !== 'string' || !findItemByName(name, source));
+      if (unknown.length > 0) {
+        errors.push(`Unknown items in itemPool: ${unknown.join(', ')}`);
+      } else {
+        // Store canonical names, without duplicates
+        settings.itemPool = [...new Set(pool.map(name => findItemByName(name, source).name))];
+      }
+    }
+  }
+
+  // Liveness check: an on/off switch
+  if (input.livenessCheck !== undefined && input.livenessCheck !== null) {
+    if (typeof input.livenessCheck !== 'boolean') {
+      errors.push('livenessCheck must be true or false');
+    } else {
+      settings.livenessCheck = input.livenessCheck;
+    }
+  }
+
+  // Seed: makes item selection reproducible across games
+  if (input.seed !== undefined && input.seed !== null && input.seed !== '') {
+    const seed = input.seed;
+
+    if ((typeof seed !== 'string' && !Number.isInteger(seed)) || String(seed).length > MAX_SEED_LENGTH) {
+      errors.push(`seed must be a string or whole number of at most ${MAX_SEED_LENGTH} characters`);
+    } else {
+      settings.seed = String(seed);
+    }
+  }
+
+  return { valid: errors.length === 0, settings, errors };
+}
+
+/**
+ * Get the difficulty for a round from the settings' curve
+ * @param {Object} settings - Validated room settings
+ * @param {number} round - The 1-based round number
+ * @return {string} The difficulty for that round
+ */
+function getRoundDifficulty(settings, round) {
+  const curve = settings.difficultyCurve;
+  return curve[Math.min(round, curve.length) - 1];
+}
+
+export {
+  DEFAULT_SETTINGS,
+  SETTINGS_BOUNDS,
+  validateSettings,
+  getRoundDifficulty
+};
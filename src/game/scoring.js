@@ -0,0 +1,108 @@
+/**
+ * ScoringEngine - Scores a correct find following the game design doc
+ *
+ * A score is built from rules applied in order: "add" rules sum up the round
+ * points, then "multiply" rules scale them. Each rule's value is reported in
+ * the breakdown under its id, so clients can show where points came from.
+ */
+
+// Tunables from game-design.md
+const DEFAULT_SCORING_CONFIG = {
+  basePoints: 100,
+  maxTimeBonus: 50,                              // Finding instantly earns the full bonus
+  roundMultipliers: [1, 1.5, 2],                 // Last value repeats for longer games
+  placementMultipliers: [1, 0.8, 0.6, 0.4, 0.2], // 1st-4th, then 20% for 5th-8th
+  streakBonusPerRound: 0.1,                      // +10% per consecutive round found...
+  maxStreakBonus: 0.5                            // ...up to +50%
+};
+
+/**
+ * Look up a value in a table, repeating the last entry past its end
+ * @param {Array} table - Values for positions 1..n
+ * @param {number} position - 1-based position
+ * @return {number} The value
+ */
+function fromTable(table, position) {
+  return table[Math.min(Math.max(position, 1), table.length) - 1];
+}
+
+// Built-in rules. A rule is { id, type: 'add' | 'multiply', compute(context, config) }
+const SCORING_RULES = [
+  {
+    id: 'base',
+    type: 'add',
+    compute: (context, config) => config.basePoints
+  },
+  {
+    id: 'timeBonus',
+    type: 'add',
+    compute: ({ timeElapsed, roundDuration }, config) => {
+      const remaining = Math.max(0, 1 - timeElapsed / roundDuration);
+      return Math.floor(config.maxTimeBonus * remaining);
+    }
+  },
+  {
+    id: 'roundMultiplier',
+    type: 'multiply',
+    compute: ({ round }, config) => fromTable(config.roundMultipliers, round)
+  },
+  {
+    id: 'placementMultiplier',
+    type: 'multiply',
+    compute: ({ placement }, config) => fromTable(config.placementMultipliers, placement)
+  },
+  {
+    id: 'streakMultiplier',
+    type: 'multiply',
+    compute: ({ streak }, config) => 1 + Math.min(streak * config.streakBonusPerRound, config.maxStreakBonus)
+  }
+];
+
+class ScoringEngine {
+  /**
+   * @param {Object} options
+   * @param {Array} options.rules - Rules to apply, in order
+   * @param {Object} options.config - Overrides for DEFAULT_SCORING_CONFIG
+   */
+  constructor({ rules = SCORING_RULES, config = {} } = {}) {
+    this.rules = rules;
+    this.config = { ...DEFAULT_SCORING_CONFIG, ...config };
+  }
+
+  /**
+   * Score a correct find
+   * @param {Object} context
+   * @param {number} context.round - The 1-based round number
+   * @param {number} context.placement - 1 for the first player to find the item, 2 for the next...
+   * @param {number} context.timeElapsed - Milliseconds since the round started
+   * @param {number} context.roundDuration - Round length in milliseconds
+   * @param {number} context.streak - Consecutive rounds the player found before this one
+   * @return {Object} { score, breakdown }
+   */
+  score(context) {
+    const breakdown = { placement: context.placement };
+    let points = 0;
+
+    // Sum the round points first so multipliers apply to all of them
+    for (const rule of this.rules.filter(rule => rule.type === 'add')) {
+      breakdown[rule.id] = rule.compute(context, this.config);
+      points += breakdown[rule.id];
+    }
+
+    for (const rule of this.rules.filter(rule => rule.type === 'multiply')) {
+      breakdown[rule.id] = rule.compute(context, this.config);
+      points *= breakdown[rule.id];
+    }
+
+    // Round away float noise (e.g. 164.99999) before flooring
+    const score = Math.floor(Math.round(points * 1e6) / 1e6);
+    breakdown.total = score;
+    return { score, breakdown };
+  }
+}
+
+export {
+  ScoringEngine,
+  SCORING_RULES,
+  DEFAULT_SCORING_CONFIG
+};
@@ -3,31 +3,57 @@
  * Implements various security measures to ensure fair play
  */
 
+import HashIndex from './hashIndex.js';
+import { hammingDistance, isValidHash } from './perceptualHash.js';
+
 class AntiCheatSystem {
-    constructor() {
-        this.submissionHistory = new Map(); // Player submission timestamps
-        this.imageHashes = new Set(); // Track image hashes to prevent reuse
+    /**
+     * @param {Object} options
+     * @param {number} options.submissionWindow - How long after round start submissions are accepted (the round duration)
+     * @param {HashIndex} options.sharedHashIndex - Frames accepted in other games, to catch replays across games
+     */
+    constructor({ submissionWindow = 30000, sharedHashIndex = null } = {}) {
+        this.submissionHistory = new Map(); // Player submission timestamps, counted against MAX_SUBMISSIONS_PER_ROUND
+        this.lastAttempts = new Map(); // Player's last submission time, verified or not
+        this.imageHashes = new HashIndex(); // Perceptual hashes of this game's frames, to catch replays
+        this.sharedHashIndex = sharedHashIndex;
         this.suspiciousActivity = new Map(); // Track suspicious behavior
+        this.violations = new Map(); // Player violation counts, kept for the whole game
         this.MINIMUM_TIME_BETWEEN_SUBMISSIONS = 2000; // 2 seconds
         this.MAX_SUBMISSIONS_PER_ROUND = 5;
-        this.SUBMISSION_WINDOW = 30000; // 30 seconds
+        this.SUBMISSION_WINDOW = submissionWindow;
+        this.SEVERE_AFTER_VIOLATIONS = 2;   // Warning levels escalate with repeat violations
+        this.CRITICAL_AFTER_VIOLATIONS = 4;
+        this.MAX_CLIENT_HASH_DISTANCE = 12; // Of 128 bits; JPEG compression moves a few
     }
 
     /**
      * Validates a new submission attempt
      * @param {string} playerId - The ID of the player making the submission
      * @param {Object} submissionData - Data about the submission
-     * @returns {Object} Validation result
+     * @returns {Object} Validation result. Rejections say whether they are a violation (tampering,
+     *   not an eager honest player) and, for ones that pass with time, retryAfter (ms).
+     *   Accepted attempts include submittedAt, for releaseSubmission()
      */
     validateSubmission(playerId, submissionData) {
         const now = Date.now();
         const playerHistory = this.getPlayerHistory(playerId);
         
         // Check submission frequency
-        if (!this.checkSubmissionFrequency(playerHistory, now)) {
+        if (playerHistory.length >= this.MAX_SUBMISSIONS_PER_ROUND) {
+            return {
+                valid: false,
+                violation: false,
+                reason: 'Too many submissions this round'
+            };
+        }
+        const waitTime = this.getRetryDelay(playerId, now);
+        if (waitTime > 0) {
             return {
                 valid: false,
-                reason: 'Too many submissions in a short time'
+                violation: false,
+                reason: 'Too many submissions in a short time',
+                retryAfter: waitTime
             };
         }
 
@@ -35,6 +61,7 @@ class AntiCheatSystem {
         if (!this.checkTimeWindow(submissionData.roundStartTime, now)) {
             return {
                 valid: false,
+                violation: false,
                 reason: 'Submission outside of valid time window'
             };
         }
@@ -43,62 +70,129 @@ class AntiCheatSystem {
         if (this.detectSuspiciousPattern(playerId, submissionData)) {
             return {
                 valid: false,
+                violation: true,
                 reason: 'Suspicious activity detected'
             };
         }
 
         // Update player history
+        this.lastAttempts.set(playerId, now);
         this.updatePlayerHistory(playerId, now);
 
-        return { valid: true };
+        return { valid: true, submittedAt: now };
+    }
+
+    /**
+     * How long until the player may submit again
+     * @param {string} playerId - The ID of the player
+     * @param {number} [now] - Current time
+     * @returns {number} Milliseconds, 0 if they may submit now
+     */
+    getRetryDelay(playerId, now = Date.now()) {
+        const lastAttempt = this.lastAttempts.get(playerId);
+        if (lastAttempt === undefined) return 0;
+        return Math.max(0, this.MINIMUM_TIME_BETWEEN_SUBMISSIONS - (now - lastAttempt));
+    }
+
+    /**
+     * Stop counting a submission the server couldn't verify against the round's limit;
+     * it still counts for the minimum time between submissions
+     * @param {string} playerId - The ID of the player
+     * @param {number} submittedAt - From the submission's validateSubmission() result
+     */
+    releaseSubmission(playerId, submittedAt) {
+        const history = this.getPlayerHistory(playerId);
+        const index = history.lastIndexOf(submittedAt);
+        if (index !== -1) {
+            history.splice(index, 1);
+        }
     }
 
     /**
      * Validates an image submission
-     * @param {string} imageHash - Hash of the submitted image
+     * @param {string} imageHash - Perceptual hash of the submitted frame, computed by the server
      * @param {Object} metadata - Image metadata
-     * @returns {Object} Validation result
+     * @param {Object} context - The client's own hash of the frame (clientHash)
+     * @returns {Object} Validation result; like validateSubmission()'s, rejections say whether they
+     *   are a violation (a tampered hash or a replay), and a rejected replay includes the earlier frame as `match`
      */
-    validateImage(imageHash, metadata) {
-        // Check for image reuse
-        if (this.imageHashes.has(imageHash)) {
+    validateImage(imageHash, metadata, { clientHash } = {}) {
+        if (!isValidHash(imageHash) || !isValidHash(clientHash) || !metadata) {
+            return {
+                valid: false,
+                violation: false,
+                reason: 'Missing image verification data'
+            };
+        }
+
+        // The client hashes the frame before sending it, so the two should agree
+        if (hammingDistance(imageHash, clientHash) > this.MAX_CLIENT_HASH_DISTANCE) {
             return {
                 valid: false,
-                reason: 'Image has been previously submitted'
+                violation: true,
+                reason: 'Image hash does not match the submitted frame'
             };
         }
 
+        const replay = this.checkReplay(imageHash);
+        if (!replay.valid) {
+            return replay;
+        }
+
         // Validate image metadata
         if (!this.validateImageMetadata(metadata)) {
             return {
                 valid: false,
+                violation: false,
                 reason: 'Invalid image metadata'
             };
         }
 
-        // Store hash for future reference
-        this.imageHashes.add(imageHash);
-
         return { valid: true };
     }
 
     /**
-     * Checks if submissions are too frequent
-     * @private
+     * Check that a frame isn't a replay of one that scored before
+     * @param {string} imageHash - Perceptual hash of the frame, computed by the server
+     * @returns {Object} Validation result; a rejected replay is a violation and includes the earlier frame as `match`
      */
-    checkSubmissionFrequency(history, currentTime) {
-        if (!history.length) return true;
-
-        const recentSubmissions = history.filter(time => 
-            currentTime - time < this.SUBMISSION_WINDOW
-        );
+    checkReplay(imageHash) {
+        // Check for replays of a frame from this game (another round or another player)...
+        const earlierThisGame = this.imageHashes.findNearDuplicate(imageHash);
+        if (earlierThisGame) {
+            return {
+                valid: false,
+                violation: true,
+                reason: 'Image matches a frame submitted earlier this game',
+                match: earlierThisGame
+            };
+        }
 
-        if (recentSubmissions.length >= this.MAX_SUBMISSIONS_PER_ROUND) {
-            return false;
+        // ...or from any recent game
+        const earlierGame = this.sharedHashIndex && this.sharedHashIndex.findNearDuplicate(imageHash);
+        if (earlierGame) {
+            return {
+                valid: false,
+                violation: true,
+                reason: 'Image matches a frame submitted in another game',
+                match: earlierGame
+            };
         }
 
-        const lastSubmission = history[history.length - 1];
-        return (currentTime - lastSubmission) >= this.MINIMUM_TIME_BETWEEN_SUBMISSIONS;
+        return { valid: true };
+    }
+
+    /**
+     * Remember the frame of a find, so it can't be replayed. Only frames that scored are
+     * remembered: a player whose frame was turned away can rescan the same view
+     * @param {string} imageHash - Perceptual hash of the frame, as passed to validateImage()
+     * @param {Object} details - Stored with the hash (playerId, playerName, roomId, round, item)
+     */
+    recordImage(imageHash, details = {}) {
+        this.imageHashes.add(imageHash, details);
+        if (this.sharedHashIndex) {
+            this.sharedHashIndex.add(imageHash, details);
+        }
     }
 
     /**
@@ -115,9 +209,11 @@ class AntiCheatSystem {
      * @private
      */
     validateImageMetadata(metadata) {
-        // Check if image was taken recently
+        // Check if image was taken shortly before it was submitted; both times
+        // come from the client's clock, so clock skew doesn't matter
         const maxAge = 5000; // 5 seconds
-        if (Date.now() - metadata.timestamp > maxAge) {
+        const submittedAt = metadata.submittedAt ?? Date.now();
+        if (!Number.isFinite(metadata.timestamp) || submittedAt - metadata.timestamp > maxAge) {
             return false;
         }
 
@@ -164,6 +260,26 @@ class AntiCheatSystem {
         return playerSuspicion.count >= 5;
     }
 
+    /**
+     * Records a failed validation and works out how serious it is
+     * @param {string} playerId - The ID of the player
+     * @param {string} reason - Why the submission was rejected
+     * @returns {Object} Warning with level 'warning', 'severe' or 'critical'
+     */
+    recordViolation(playerId, reason) {
+        const count = (this.violations.get(playerId) || 0) + 1;
+        this.violations.set(playerId, count);
+
+        let level = 'warning';
+        if (reason === 'Suspicious activity detected' || count >= this.CRITICAL_AFTER_VIOLATIONS) {
+            level = 'critical';
+        } else if (count >= this.SEVERE_AFTER_VIOLATIONS) {
+            level = 'severe';
+        }
+
+        return { level, reason, violations: count };
+    }
+
     /**
      * Gets player submission history
      * @private
@@ -187,6 +303,7 @@ class AntiCheatSystem {
      */
     resetPlayerForNewRound(playerId) {
         this.submissionHistory.delete(playerId);
+        this.lastAttempts.delete(playerId);
         this.suspiciousActivity.set(playerId, {
             count: 0,
             lastReset: Date.now()
@@ -198,7 +315,9 @@ class AntiCheatSystem {
      */
     clearPlayerData(playerId) {
         this.submissionHistory.delete(playerId);
+        this.lastAttempts.delete(playerId);
         this.suspiciousActivity.delete(playerId);
+        this.violations.delete(playerId);
     }
 }
 
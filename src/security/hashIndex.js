@@ -0,0 +1,65 @@
+/**
+ * Hash index for Rush Roulette
+ * Remembers perceptual hashes of accepted frames and finds near-duplicates
+ */
+
+import { isNearDuplicate, NEAR_DUPLICATE_DISTANCE } from './perceptualHash.js';
+
+class HashIndex {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Oldest hashes are dropped past this count
+     * @param {number} options.maxAge - Hashes older than this (ms) are ignored and dropped
+     * @param {number} options.maxDistance - Bits allowed to differ per hash half for a match
+     */
+    constructor({ maxEntries = 10000, maxAge = Infinity, maxDistance = NEAR_DUPLICATE_DISTANCE } = {}) {
+        this.entries = []; // { hash, addedAt, ...details }, oldest first
+        this.maxEntries = maxEntries;
+        this.maxAge = maxAge;
+        this.maxDistance = maxDistance;
+    }
+
+    /**
+     * Find an earlier frame that shows the same picture
+     * @param {string} hash - Hash of the new frame
+     * @returns {Object|null} The matching entry
+     */
+    findNearDuplicate(hash) {
+        this.prune();
+        return this.entries.find(entry => isNearDuplicate(entry.hash, hash, this.maxDistance)) || null;
+    }
+
+    /**
+     * Remember a frame
+     * @param {string} hash - Hash of the frame
+     * @param {Object} details - Where the frame came from (player, room, round...)
+     */
+    add(hash, details = {}) {
+        this.entries.push({ ...details, hash, addedAt: Date.now() });
+        this.prune();
+    }
+
+    /**
+     * Drop expired entries and keep the index within maxEntries
+     * @private
+     */
+    prune() {
+        const cutoff = Date.now() - this.maxAge;
+        const firstKept = this.entries.findIndex(entry => entry.addedAt >= cutoff);
+        this.entries.splice(0, firstKept === -1 ? this.entries.length : firstKept);
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    /**
+     * Get the number of remembered hashes
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.length;
+    }
+}
+
+export default HashIndex;
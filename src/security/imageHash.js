@@ -3,6 +3,8 @@
  * Handles image verification and anti-cheat measures
  */
 
+import { hashPixels, hammingDistance } from './perceptualHash.js';
+
 class ImageHasher {
     constructor() {
         this.lastHash = null;
@@ -12,31 +14,25 @@ class ImageHasher {
     }
 
     /**
-     * Generate a simple perceptual hash of an image
-     * @param {HTMLVideoElement} videoElement - The video element to hash
-     * @returns {string} The image hash
+     * Generate a perceptual hash (dHash + pHash) of an image
+     * @param {HTMLCanvasElement|HTMLVideoElement} source - The frame to hash; pass the canvas
+     *   that is sent to the server so both sides hash the same pixels
+     * @returns {string} The image hash, 32 hex characters
      */
-    async generateHash(videoElement) {
+    async generateHash(source) {
         try {
-            // Create a canvas to capture the frame
-            const canvas = document.createElement('canvas');
-            canvas.width = 32; // Small size for hashing
-            canvas.height = 32;
-            const ctx = canvas.getContext('2d');
-
-            // Draw the current frame
-            ctx.drawImage(videoElement, 0, 0, 32, 32);
-
-            // Get image data
-            const imageData = ctx.getImageData(0, 0, 32, 32).data;
-
-            // Calculate average brightness
-            let hash = '';
-            for (let i = 0; i < imageData.length; i += 16) {
-                const avg = (imageData[i] + imageData[i + 1] + imageData[i + 2]) / 3;
-                hash += avg > 128 ? '1' : '0';
+            let canvas = source;
+            if (!(source instanceof HTMLCanvasElement)) {
+                // Capture the current video frame at its own size
+                canvas = document.createElement('canvas');
+                canvas.width = source.videoWidth;
+                canvas.height = source.videoHeight;
+                canvas.getContext('2d').drawImage(source, 0, 0);
             }
 
+            const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+            const hash = hashPixels(data, width, height, 4);
+
             // Store hash and timestamp
             const timestamp = Date.now();
             this.lastHash = hash;
@@ -59,8 +55,11 @@ class ImageHasher {
      */
     getMetadata(videoElement) {
         return {
-            width: videoElement.videoWidth,
-            height: videoElement.videoHeight,
+            source: 'webcam',
+            dimensions: {
+                width: videoElement.videoWidth,
+                height: videoElement.videoHeight
+            },
             timestamp: Date.now(),
             frameRate: videoElement.getVideoPlaybackQuality?.()?.totalVideoFrames || null,
             deviceId: videoElement.srcObject?.getTracks()?.[0]?.getSettings()?.deviceId || null
@@ -142,17 +141,12 @@ class ImageHasher {
      * Compare two image hashes
      * @param {string} hash1 - First hash
      * @param {string} hash2 - Second hash
-     * @returns {number} Similarity score (0-1)
+     * @returns {number} Similarity score (0-1), the share of matching bits
      */
     compareHashes(hash1, hash2) {
         if (hash1.length !== hash2.length) return 0;
 
-        let differences = 0;
-        for (let i = 0; i < hash1.length; i++) {
-            if (hash1[i] !== hash2[i]) differences++;
-        }
-
-        return 1 - (differences / hash1.length);
+        return 1 - (hammingDistance(hash1, hash2) / (hash1.length * 4));
     }
 
     /**
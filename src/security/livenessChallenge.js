@@ -0,0 +1,148 @@
+/**
+ * Liveness challenges for Rush Roulette
+ * After a first positive detection the player is asked to move the item; a
+ * short burst of frames must keep showing the item while the picture changes,
+ * which a still photo or a replayed clip can't do on demand.
+ *
+ * Items the server finds with a detection box get a direction to move in, and
+ * the box in the last frame has to have moved that way. Other items only get
+ * a generic "move it" challenge, since there's no box to check a direction on.
+ * Directions are as the player sees the (unmirrored) game camera.
+ */
+
+import { hammingDistance } from './perceptualHash.js';
+
+// Centre and size of a detection box, as shares of the frame
+function describeBox({ box, width, height }) {
+    const [x, , boxWidth, boxHeight] = box;
+    return {
+        centerX: (x + boxWidth / 2) / width,
+        area: (boxWidth * boxHeight) / (width * height)
+    };
+}
+
+const MOVE_CHALLENGE = { type: 'move', instruction: 'Move the item around slowly' };
+
+// check(base, last, options) says whether the item in the last frame moved as asked
+const BOX_CHALLENGES = [
+    {
+        type: 'closer',
+        instruction: 'Move the item closer to the camera',
+        check: (base, last, { minAreaChange }) => last.area >= base.area * minAreaChange
+    },
+    {
+        type: 'farther',
+        instruction: 'Move the item away from the camera',
+        check: (base, last, { minAreaChange }) => last.area * minAreaChange <= base.area
+    },
+    {
+        type: 'left',
+        instruction: 'Move the item to the left of the picture',
+        check: (base, last, { minShift }) => last.centerX <= base.centerX - minShift
+    },
+    {
+        type: 'right',
+        instruction: 'Move the item to the right of the picture',
+        check: (base, last, { minShift }) => last.centerX >= base.centerX + minShift
+    }
+];
+
+class LivenessChallenge {
+    /**
+     * @param {Object} options
+     * @param {number} options.frameCount - Frames the client captures
+     * @param {number} options.captureInterval - Milliseconds between captured frames
+     * @param {number} options.timeLimit - Milliseconds the player has to answer
+     * @param {number} options.minFrameDistance - Hash bits (of 128) the picture must change by, compared to the first detection
+     * @param {number} options.minShift - Share of the frame width the box centre must move by for left and right
+     * @param {number} options.minAreaChange - Factor the box area must grow or shrink by for closer and farther
+     */
+    constructor({
+        frameCount = 3,
+        captureInterval = 600,
+        timeLimit = 10000,
+        minFrameDistance = 6,
+        minShift = 0.1,
+        minAreaChange = 1.3
+    } = {}) {
+        this.frameCount = frameCount;
+        this.captureInterval = captureInterval;
+        this.timeLimit = timeLimit;
+        this.minFrameDistance = minFrameDistance;
+        this.minShift = minShift;
+        this.minAreaChange = minAreaChange;
+    }
+
+    /**
+     * Pick a random challenge
+     * @param {Object} options
+     * @param {boolean} options.boxed - Whether the server sees the item with a detection box, so a direction can be checked
+     * @param {Function} options.random - Returns a number in [0, 1)
+     * @returns {Object} { id, type, instruction, frameCount, captureInterval, expiresAt }
+     */
+    create({ boxed = false, random = Math.random } = {}) {
+        const { type, instruction } = boxed
+            ? BOX_CHALLENGES[Math.floor(random() * BOX_CHALLENGES.length)]
+            : MOVE_CHALLENGE;
+        return {
+            id: `${Date.now().toString(36)}${Math.floor(random() * 1e9).toString(36)}`,
+            type,
+            instruction,
+            frameCount: this.frameCount,
+            captureInterval: this.captureInterval,
+            expiresAt: Date.now() + this.timeLimit
+        };
+    }
+
+    /**
+     * Check the frames sent back for a challenge
+     * @param {Object} challenge - The challenge from create()
+     * @param {Object} base - The frame that triggered the challenge: { hash, box, width, height }
+     * @param {Array} frames - [{ hash, verified, box, width, height }] in capture order, checked by the server;
+     *   box is the item's detection box ([x, y, width, height] in pixels), for items that have one
+     * @returns {Object} { passed, reason }
+     */
+    evaluate(challenge, base, frames) {
+        if (Date.now() > challenge.expiresAt) {
+            return { passed: false, reason: 'The challenge timed out' };
+        }
+
+        if (frames.length !== challenge.frameCount) {
+            return { passed: false, reason: `Expected ${challenge.frameCount} frames` };
+        }
+
+        // The model has to keep seeing the item the whole time
+        if (!frames.every(frame => frame.verified)) {
+            return { passed: false, reason: 'The item was lost while moving it' };
+        }
+
+        // ...while the picture moves away from the first detection...
+        const moved = Math.max(...frames.map(frame => hammingDistance(base.hash, frame.hash)));
+        if (moved < this.minFrameDistance) {
+            return { passed: false, reason: 'The item did not move' };
+        }
+
+        // ...and never freezes, which a still image fed to the camera would
+        for (let i = 1; i < frames.length; i++) {
+            if (frames[i].hash === frames[i - 1].hash) {
+                return { passed: false, reason: 'The camera picture froze' };
+            }
+        }
+
+        // ...and, for a direction, ends up where the player was asked to put it
+        const boxChallenge = BOX_CHALLENGES.find(({ type }) => type === challenge.type);
+        if (boxChallenge) {
+            const last = frames[frames.length - 1];
+            if (!base.box || !last.box) {
+                return { passed: false, reason: 'The item could not be located' };
+            }
+            if (!boxChallenge.check(describeBox(base), describeBox(last), this)) {
+                return { passed: false, reason: `The item did not follow "${challenge.instruction}"` };
+            }
+        }
+
+        return { passed: true };
+    }
+}
+
+export default LivenessChallenge;
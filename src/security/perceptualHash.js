@@ -0,0 +1,165 @@
+/**
+ * Perceptual hashing for Rush Roulette
+ * Fingerprints frames so replayed photos can be spotted even after resizing or recompression.
+ * Runs unchanged in the browser (canvas pixels) and on the server (decoded JPEGs).
+ *
+ * A hash is 32 hex characters: a 64-bit dHash (gradient) followed by a 64-bit pHash (DCT).
+ */
+
+const DHASH_WIDTH = 9;   // 9x8 pixels give 8 horizontal differences per row
+const DHASH_HEIGHT = 8;
+const PHASH_SIZE = 32;   // Image size the DCT runs on
+const PHASH_BITS_SIZE = 8; // Lowest 8x8 frequencies are kept
+const HALF_LENGTH = 16;  // Hex characters per 64-bit hash
+
+// Bits that may differ, per half, for two frames to count as the same picture
+export const NEAR_DUPLICATE_DISTANCE = 4;
+
+/**
+ * Convert RGB(A) pixels to luma
+ * @param {Uint8Array|Uint8ClampedArray} data - Pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - 4 for canvas ImageData, 3 for decoded JPEGs
+ * @returns {Float64Array} One luma value per pixel
+ */
+function toGrayscale(data, width, height, channels) {
+    const gray = new Float64Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        const offset = i * channels;
+        gray[i] = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    }
+    return gray;
+}
+
+/**
+ * Downscale a grayscale image by averaging the pixels that fall in each output cell
+ * @returns {Float64Array} The resized image
+ */
+function resize(gray, width, height, outWidth, outHeight) {
+    const sums = new Float64Array(outWidth * outHeight);
+    const counts = new Uint32Array(outWidth * outHeight);
+
+    for (let y = 0; y < height; y++) {
+        const outY = Math.min(outHeight - 1, Math.floor(y * outHeight / height));
+        for (let x = 0; x < width; x++) {
+            const outX = Math.min(outWidth - 1, Math.floor(x * outWidth / width));
+            sums[outY * outWidth + outX] += gray[y * width + x];
+            counts[outY * outWidth + outX]++;
+        }
+    }
+
+    return sums.map((sum, i) => counts[i] ? sum / counts[i] : 0);
+}
+
+/**
+ * Pack an array of booleans into hex, 4 bits per character
+ * @returns {string} Hex string
+ */
+function bitsToHex(bits) {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        const nibble = (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3];
+        hex += nibble.toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Difference hash: is each pixel brighter than its right-hand neighbour?
+ * @returns {string} 16 hex characters
+ */
+function differenceHash(gray, width, height) {
+    const small = resize(gray, width, height, DHASH_WIDTH, DHASH_HEIGHT);
+    const bits = [];
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+        for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+            bits.push(small[y * DHASH_WIDTH + x] > small[y * DHASH_WIDTH + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+}
+
+// cos((2x + 1) * u * PI / 2N) for the frequencies pHash keeps
+const DCT_COSINES = Array.from({ length: PHASH_BITS_SIZE }, (_, u) =>
+    Array.from({ length: PHASH_SIZE }, (_, x) => Math.cos((2 * x + 1) * u * Math.PI / (2 * PHASH_SIZE)))
+);
+
+/**
+ * DCT hash: is each low frequency above the median? The DC term is left out
+ * because it only measures overall brightness.
+ * @returns {string} 16 hex characters
+ */
+function perceptualHash(gray, width, height) {
+    const small = resize(gray, width, height, PHASH_SIZE, PHASH_SIZE);
+
+    const coefficients = [];
+    for (let v = 0; v < PHASH_BITS_SIZE; v++) {
+        for (let u = 0; u < PHASH_BITS_SIZE; u++) {
+            let sum = 0;
+            for (let y = 0; y < PHASH_SIZE; y++) {
+                for (let x = 0; x < PHASH_SIZE; x++) {
+                    sum += small[y * PHASH_SIZE + x] * DCT_COSINES[u][x] * DCT_COSINES[v][y];
+                }
+            }
+            coefficients.push(sum);
+        }
+    }
+
+    const median = [...coefficients.slice(1)].sort((a, b) => a - b)[Math.floor((coefficients.length - 1) / 2)];
+    // Slot 0 holds the DC term; compare it like the rest so the hash stays 64 bits
+    return bitsToHex(coefficients.map(value => value > median ? 1 : 0));
+}
+
+/**
+ * Hash raw pixels
+ * @param {Uint8Array|Uint8ClampedArray} data - RGB or RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} channels - Bytes per pixel (4 for canvas ImageData, 3 for RGB)
+ * @returns {string} 32 hex characters (dHash then pHash)
+ */
+export function hashPixels(data, width, height, channels = 4) {
+    const gray = toGrayscale(data, width, height, channels);
+    return differenceHash(gray, width, height) + perceptualHash(gray, width, height);
+}
+
+/**
+ * Check that a value looks like a hash from hashPixels
+ * @param {*} hash - Value to check
+ * @returns {boolean} Whether it is a 32-character hex string
+ */
+export function isValidHash(hash) {
+    return typeof hash === 'string' && /^[0-9a-f]{32}$/.test(hash);
+}
+
+/**
+ * Count the differing bits between two hex strings of equal length
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {number} Hamming distance
+ */
+export function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+        let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Check whether two hashes show the same picture. Both halves must be close,
+ * which keeps similar-looking scenes (same desk, different item) apart.
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @param {number} maxDistance - Bits allowed to differ in each half
+ * @returns {boolean} Whether the frames are near-duplicates
+ */
+export function isNearDuplicate(a, b, maxDistance = NEAR_DUPLICATE_DISTANCE) {
+    return hammingDistance(a.slice(0, HALF_LENGTH), b.slice(0, HALF_LENGTH)) <= maxDistance &&
+        hammingDistance(a.slice(HALF_LENGTH), b.slice(HALF_LENGTH)) <= maxDistance;
+}
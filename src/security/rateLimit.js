@@ -9,7 +9,8 @@ class RateLimiter {
         this.limits = {
             itemSubmission: { max: 5, window: 5000 }, // 5 submissions per 5 seconds
             roomJoin: { max: 3, window: 60000 },      // 3 room joins per minute
-            messageRate: { max: 10, window: 10000 }    // 10 messages per 10 seconds
+            messageRate: { max: 10, window: 10000 },   // 10 messages per 10 seconds
+            packUpload: { max: 10, window: 60000 }     // 10 pack previews/uploads per minute
         };
     }
 
@@ -0,0 +1,143 @@
+/**
+ * Schema Validator - Minimal JSON Schema (draft-07 subset) validation
+ *
+ * Runs unchanged in Node and the browser. Supports the keywords our data
+ * files use: type, enum, required, properties, additionalProperties, items,
+ * min/maxItems, uniqueItems, min/maxLength, pattern, minimum/maximum and
+ * local $ref pointers ("#/definitions/...").
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Any JSON value
+ * @return {string} The type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema type (integers also count as numbers)
+ * @private
+ */
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  const actual = typeOf(value);
+  return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * Resolve a local $ref against the root schema
+ * @private
+ */
+function resolveRef(ref, rootSchema) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported $ref: ${ref}`);
+  }
+
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) {
+      throw new Error(`Unresolvable $ref: ${ref}`);
+    }
+    return node[key];
+  }, rootSchema);
+}
+
+/**
+ * Validate a value, collecting errors with their JSON path
+ * @private
+ */
+function validateNode(value, schema, rootSchema, path, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(schema.$ref, rootSchema), rootSchema, path, errors);
+    return;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} entries`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} entries`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map(entry => JSON.stringify(entry)));
+      if (seen.size !== value.length) {
+        errors.push(`${path}: entries must be unique`);
+      }
+    }
+    if (schema.items) {
+      value.forEach((entry, index) => {
+        validateNode(entry, schema.items, rootSchema, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(entry, properties[key], rootSchema, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(entry, schema.additionalProperties, rootSchema, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate data against a JSON schema
+ * @param {*} data - The data to validate
+ * @param {Object} schema - The JSON schema
+ * @return {Object} { valid, errors }
+ */
+function validateSchema(data, schema) {
+  const errors = [];
+  validateNode(data, schema, schema, '$', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+export {
+  validateSchema
+};
@@ -0,0 +1,99 @@
+import { catalog } from '../src/ai/items.js';
+import { ItemSelector, PlayerItemHistory } from '../src/game/itemSelector.js';
+
+// A pack with the given number of items per difficulty, e.g. { common: 2, rare: 1 }
+function pack(counts) {
+    const items = Object.entries(counts).flatMap(([difficulty, count]) =>
+        Array.from({ length: count }, (_, i) => ({ name: `${difficulty} ${i + 1}`, difficulty }))
+    );
+    return { difficulties: ['common', 'specific', 'rare'], items };
+}
+
+// Names of the items picked for rounds 1..rounds
+function pickNames(selector, rounds) {
+    return Array.from({ length: rounds }, (_, i) => selector.next(i + 1)?.name);
+}
+
+describe('ItemSelector', () => {
+    test('the same seed and settings pick the same items', () => {
+        const options = { seed: 'kitchen-42', difficultyCurve: ['common', 'specific', 'rare'] };
+        const picks = pickNames(new ItemSelector(options), 10);
+
+        expect(pickNames(new ItemSelector(options), 10)).toEqual(picks);
+        expect(pickNames(new ItemSelector({ ...options, seed: 42 }), 10)).toEqual(pickNames(new ItemSelector({ ...options, seed: '42' }), 10));
+        expect(pickNames(new ItemSelector({ ...options, seed: 'kitchen-43' }), 10)).not.toEqual(picks);
+    });
+
+    test('follows the difficulty curve, repeating its last step', () => {
+        const selector = new ItemSelector({ seed: 1, difficultyCurve: ['common', 'rare'] });
+        const difficulties = [1, 2, 3, 4].map(round => selector.next(round).difficulty);
+        expect(difficulties).toEqual(['common', 'rare', 'rare', 'rare']);
+    });
+
+    test('never repeats an item until the pool runs out, then reuses the least recent', () => {
+        const selector = new ItemSelector({ seed: 7 });
+        const picks = pickNames(selector, catalog.items.length);
+        expect(new Set(picks).size).toBe(catalog.items.length);
+
+        expect(pickNames(selector, 2)).toEqual(picks.slice(0, 2));
+    });
+
+    test('avoids items the players saw recently while fresh ones are left', () => {
+        const selector = new ItemSelector({ seed: 3, difficultyCurve: ['common'], catalog: pack({ common: 3 }), recentItems: ['COMMON 1', 'common 2'] });
+        expect(pickNames(selector, 3)).toEqual(['common 3', expect.stringMatching(/^common [12]$/), expect.stringMatching(/^common [12]$/)]);
+    });
+
+    describe('when a difficulty runs dry', () => {
+        test('falls back to the nearest difficulty', () => {
+            const selector = new ItemSelector({ seed: 5, difficultyCurve: ['rare'], catalog: pack({ common: 1, specific: 1, rare: 1 }) });
+            expect(pickNames(selector, 3)).toEqual(['rare 1', 'specific 1', 'common 1']);
+        });
+
+        test('takes either neighbour when both are as near', () => {
+            const selector = new ItemSelector({ seed: 5, difficultyCurve: ['specific'], catalog: pack({ common: 1, rare: 1 }) });
+            expect(pickNames(selector, 2).sort()).toEqual(['common 1', 'rare 1']);
+        });
+
+        test('only picks from the item pool', () => {
+            const selector = new ItemSelector({ seed: 5, difficultyCurve: ['common'], catalog: pack({ common: 2, rare: 1 }), itemPool: ['Rare 1'] });
+            expect(pickNames(selector, 2)).toEqual(['rare 1', 'rare 1']);
+            expect(new ItemSelector({ catalog: pack({ common: 2 }), itemPool: ['teapot'] }).next(1)).toBeNull();
+        });
+    });
+});
+
+describe('PlayerItemHistory', () => {
+    test('remembers the last items each player saw, by name', () => {
+        const history = new PlayerItemHistory(2);
+        history.record(['Ada', 'Bob'], 'spoon');
+        history.record(['Ada'], 'mug');
+        history.record([' ada '], 'spoon');
+        history.record(['Ada'], 'book');
+
+        expect(history.getRecent(['ADA'])).toEqual(['spoon', 'book']);
+        expect(history.getRecent(['Ada', 'Bob', 'Cy'])).toEqual(['spoon', 'book']);
+        expect(history.getRecent(['Cy'])).toEqual([]);
+    });
+
+    test('forgets the players who haven\'t played for longest past maxPlayers', () => {
+        const history = new PlayerItemHistory(10, 2);
+        history.record(['Ada'], 'spoon');
+        history.record(['Bob'], 'mug');
+        history.record(['Ada'], 'book');
+        history.record(['Cy'], 'cup');
+
+        expect(history.history.size).toBe(2);
+        expect(history.getRecent(['Bob'])).toEqual([]);
+        expect(history.getRecent(['Ada', 'Cy'])).toEqual(['spoon', 'book', 'cup']);
+    });
+
+    test('tracks at most MAX_TRACKED_PLAYERS players by default', () => {
+        const history = new PlayerItemHistory();
+        const names = Array.from({ length: 5001 }, (_, i) => `Player ${i}`);
+        history.record(names, 'spoon');
+
+        expect(history.history.size).toBe(5000);
+        expect(history.getRecent(['Player 0'])).toEqual([]);
+        expect(history.getRecent(['Player 1', 'Player 5000'])).toEqual(['spoon']);
+    });
+});
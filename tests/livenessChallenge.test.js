@@ -0,0 +1,95 @@
+import { jest } from '@jest/globals';
+import LivenessChallenge from '../src/security/livenessChallenge.js';
+
+const WIDTH = 320;
+const HEIGHT = 240;
+
+// A hash `bits` bits away from BASE_HASH; different offsets give different hashes
+const BASE_HASH = '0'.repeat(32);
+function hashMoved(bits, offset = 0) {
+    const set = Array.from({ length: 128 }, (_, i) => (i >= offset && i < offset + bits ? 1 : 0));
+    let hex = '';
+    for (let i = 0; i < set.length; i += 4) {
+        hex += ((set[i] << 3) | (set[i + 1] << 2) | (set[i + 2] << 1) | set[i + 3]).toString(16);
+    }
+    return hex;
+}
+
+// A frame as the server describes it after verifying it; box is [x, y, width, height]
+const frame = (hash, box = null, verified = true) => ({ hash, verified, box, width: WIDTH, height: HEIGHT });
+
+const base = frame(BASE_HASH, [130, 90, 60, 60]); // Centre 0.5, area ~0.047
+const moved = boxes => boxes.map((box, i) => frame(hashMoved(8, i), box));
+
+describe('LivenessChallenge', () => {
+    const liveness = new LivenessChallenge();
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('only items with a box are given a direction', () => {
+        expect(liveness.create()).toMatchObject({ type: 'move', frameCount: 3, captureInterval: 600 });
+
+        const types = [0, 0.3, 0.6, 0.9].map(value => liveness.create({ boxed: true, random: () => value }).type);
+        expect(types).toEqual(['closer', 'farther', 'left', 'right']);
+    });
+
+    test('move passes when the picture changes and the item stays in view', () => {
+        const challenge = liveness.create();
+        const frames = [frame(hashMoved(4, 0)), frame(hashMoved(8, 1)), frame(hashMoved(8, 2))];
+        expect(liveness.evaluate(challenge, base, frames)).toEqual({ passed: true });
+    });
+
+    test.each([
+        ['the item is lost', [frame(hashMoved(8, 0)), frame(hashMoved(8, 1), null, false), frame(hashMoved(8, 2))], 'The item was lost while moving it'],
+        ['the picture barely changes', [frame(hashMoved(4, 0)), frame(hashMoved(4, 1)), frame(hashMoved(4, 2))], 'The item did not move'],
+        ['the picture freezes', [frame(hashMoved(8, 0)), frame(hashMoved(8, 0)), frame(hashMoved(8, 1))], 'The camera picture froze'],
+        ['frames are missing', [frame(hashMoved(8, 0))], 'Expected 3 frames']
+    ])('move fails when %s', (_, frames, reason) => {
+        expect(liveness.evaluate(liveness.create(), base, frames)).toEqual({ passed: false, reason });
+    });
+
+    test('fails once the challenge has expired', () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+        const challenge = liveness.create();
+        jest.advanceTimersByTime(liveness.timeLimit + 1);
+        expect(liveness.evaluate(challenge, base, moved([null, null, null]))).toEqual({
+            passed: false,
+            reason: 'The challenge timed out'
+        });
+    });
+
+    describe('directions', () => {
+        const challenge = type => ({ ...liveness.create({ boxed: true }), type });
+
+        test.each([
+            ['left', [[120, 90, 60, 60], [100, 90, 60, 60], [90, 90, 60, 60]]],
+            ['right', [[140, 90, 60, 60], [160, 90, 60, 60], [170, 90, 60, 60]]],
+            ['closer', [[125, 85, 70, 70], [120, 80, 75, 75], [115, 75, 80, 80]]],
+            ['farther', [[135, 95, 55, 55], [138, 98, 50, 50], [140, 100, 45, 45]]]
+        ])('%s passes when the box ends up there', (type, boxes) => {
+            expect(liveness.evaluate(challenge(type), base, moved(boxes))).toEqual({ passed: true });
+        });
+
+        test.each([
+            // The picture changes, but the item goes the other way...
+            ['left', [[140, 90, 60, 60], [160, 90, 60, 60], [170, 90, 60, 60]]],
+            ['closer', [[135, 95, 55, 55], [138, 98, 50, 50], [140, 100, 45, 45]]],
+            // ...or only jitters, like a handheld photo
+            ['right', [[134, 91, 60, 60], [128, 89, 60, 60], [136, 90, 60, 60]]],
+            ['farther', [[131, 91, 58, 58], [129, 89, 61, 61], [130, 90, 57, 57]]]
+        ])('%s fails when the box doesn\'t follow the instruction', (type, boxes) => {
+            const result = liveness.evaluate(challenge(type), base, moved(boxes));
+            expect(result.passed).toBe(false);
+            expect(result.reason).toMatch(/^The item did not follow/);
+        });
+
+        test('fails without boxes to check', () => {
+            expect(liveness.evaluate(challenge('left'), { ...base, box: null }, moved([null, null, null]))).toEqual({
+                passed: false,
+                reason: 'The item could not be located'
+            });
+        });
+    });
+});
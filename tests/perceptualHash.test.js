@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import jpeg from 'jpeg-js';
+import { hashPixels, hammingDistance, isNearDuplicate, isValidHash, NEAR_DUPLICATE_DISTANCE } from '../src/security/perceptualHash.js';
+import HashIndex from '../src/security/hashIndex.js';
+import AntiCheatSystem from '../src/security/antiCheat.js';
+
+const { MAX_CLIENT_HASH_DISTANCE } = new AntiCheatSystem();
+
+// A desk lit from one side, with an item (a dark disc) and a book (a light block) on it
+const desk = (x, y) => 90 + 80 * x + 30 * y;
+const disc = (cx, cy, r) => (x, y) => (x - cx) ** 2 + (y - cy) ** 2 < r * r;
+const block = (x0, y0, x1, y1) => (x, y) => x >= x0 && x < x1 && y >= y0 && y < y1;
+
+const scene = (item, book) => (x, y) => {
+    if (item(x, y)) return [40, 30, 120];
+    if (book(x, y)) return [230, 220, 200];
+    const shade = desk(x, y);
+    return [shade, shade * 0.8, shade * 0.6];
+};
+
+const MUG_ON_DESK = scene(disc(0.35, 0.5, 0.2), block(0.6, 0.2, 0.85, 0.7));
+const MUG_MOVED = scene(disc(0.7, 0.35, 0.2), block(0.1, 0.5, 0.35, 0.9));
+const EMPTY_DESK = scene(() => false, block(0.6, 0.2, 0.85, 0.7));
+
+// Render a scene as canvas ImageData (RGBA), as the client hashes it
+function render(draw, width = 320, height = 240) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set([...draw((x + 0.5) / width, (y + 0.5) / height), 255], (y * width + x) * 4);
+        }
+    }
+    return { data, width, height };
+}
+
+// JPEG-encode a frame and decode it to RGB, as the client sends it and the server reads it
+function reencode(frame, quality = 70) {
+    const encoded = jpeg.encode(frame, quality);
+    const decoded = jpeg.decode(encoded.data, { useTArray: true, formatAsRGBA: false });
+    return { data: decoded.data, width: decoded.width, height: decoded.height };
+}
+
+const hashFrame = ({ data, width, height }, channels = 4) => hashPixels(data, width, height, channels);
+
+describe('hashPixels', () => {
+    const original = render(MUG_ON_DESK);
+    const hash = hashFrame(original);
+
+    test('returns a 128-bit hex hash, the same for the same pixels', () => {
+        expect(isValidHash(hash)).toBe(true);
+        expect(hashFrame(render(MUG_ON_DESK))).toBe(hash);
+    });
+
+    test('a re-encoded frame stays within the client hash distance', () => {
+        for (const quality of [90, 70, 40]) {
+            const serverHash = hashFrame(reencode(original, quality), 3);
+            expect(hammingDistance(hash, serverHash)).toBeLessThanOrEqual(MAX_CLIENT_HASH_DISTANCE);
+            expect(isNearDuplicate(hash, serverHash)).toBe(true);
+        }
+    });
+
+    test('a resized frame is a near-duplicate', () => {
+        for (const [width, height] of [[640, 480], [160, 120], [300, 240]]) {
+            const resized = hashFrame(render(MUG_ON_DESK, width, height));
+            expect(isNearDuplicate(hash, resized)).toBe(true);
+            expect(isNearDuplicate(hash, hashFrame(reencode(render(MUG_ON_DESK, width, height)), 3))).toBe(true);
+        }
+    });
+
+    test('a different scene is not a near-duplicate', () => {
+        for (const other of [MUG_MOVED, EMPTY_DESK]) {
+            const otherHash = hashFrame(render(other));
+            expect(isNearDuplicate(hash, otherHash)).toBe(false);
+            expect(hammingDistance(hash, otherHash)).toBeGreaterThan(MAX_CLIENT_HASH_DISTANCE);
+        }
+    });
+});
+
+describe('isNearDuplicate', () => {
+    const hash = '0123456789abcdef0123456789abcdef';
+    // Flip the lowest `bits` bits of the hex digit at `index`
+    const flip = (value, index, bits) =>
+        value.slice(0, index) + (parseInt(value[index], 16) ^ ((1 << bits) - 1)).toString(16) + value.slice(index + 1);
+
+    test('allows NEAR_DUPLICATE_DISTANCE bits per half', () => {
+        const dHashChanged = flip(flip(hash, 0, 2), 5, 2);
+        const bothChanged = flip(flip(dHashChanged, 16, 3), 31, 1);
+        expect(hammingDistance(hash, bothChanged)).toBe(2 * NEAR_DUPLICATE_DISTANCE);
+        expect(isNearDuplicate(hash, bothChanged)).toBe(true);
+    });
+
+    test('one half past the distance is enough to tell frames apart', () => {
+        const pHashChanged = flip(flip(hash, 16, 3), 20, 2);
+        expect(hammingDistance(hash, pHashChanged)).toBe(NEAR_DUPLICATE_DISTANCE + 1);
+        expect(isNearDuplicate(hash, pHashChanged)).toBe(false);
+        expect(isNearDuplicate(hash, pHashChanged, NEAR_DUPLICATE_DISTANCE + 1)).toBe(true);
+    });
+});
+
+describe('HashIndex', () => {
+    const hashes = [MUG_ON_DESK, MUG_MOVED, EMPTY_DESK].map(draw => hashFrame(render(draw)));
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('finds a near-duplicate and returns its details', () => {
+        const index = new HashIndex();
+        index.add(hashes[0], { playerName: 'Ada', round: 2 });
+
+        const replay = hashFrame(reencode(render(MUG_ON_DESK, 640, 480)), 3);
+        expect(index.findNearDuplicate(replay)).toMatchObject({ hash: hashes[0], playerName: 'Ada', round: 2 });
+        expect(index.findNearDuplicate(hashes[1])).toBeNull();
+    });
+
+    test('drops the oldest hashes past maxEntries', () => {
+        const index = new HashIndex({ maxEntries: 2 });
+        hashes.forEach(hash => index.add(hash));
+
+        expect(index.size).toBe(2);
+        expect(index.findNearDuplicate(hashes[0])).toBeNull();
+        expect(index.findNearDuplicate(hashes[2])).not.toBeNull();
+    });
+
+    test('forgets hashes older than maxAge', () => {
+        jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+        const index = new HashIndex({ maxAge: 60000 });
+        index.add(hashes[0]);
+        jest.advanceTimersByTime(30000);
+        index.add(hashes[1]);
+
+        jest.advanceTimersByTime(30001);
+        expect(index.findNearDuplicate(hashes[0])).toBeNull();
+        expect(index.findNearDuplicate(hashes[1])).not.toBeNull();
+        expect(index.size).toBe(1);
+
+        jest.advanceTimersByTime(30000);
+        expect(index.findNearDuplicate(hashes[1])).toBeNull();
+        expect(index.size).toBe(0);
+    });
+});
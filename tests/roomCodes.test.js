@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+import RoomCodeRegistry from '../src/game/roomCodes.js';
+
+const TTL = 60000;
+
+// Make generateCode() return each of the given codes in turn
+function nextCodes(registry, ...codes) {
+    jest.spyOn(registry, 'generateCode').mockImplementation(() => codes.shift());
+}
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('RoomCodeRegistry', () => {
+    test('generates readable six-character codes', () => {
+        const { code } = new RoomCodeRegistry().register('room-1');
+        expect(code).toMatch(/^[A-HJKMNP-Z2-9]{6}$/);
+    });
+
+    test('register issues a code that looks up its room until it expires', () => {
+        const registry = new RoomCodeRegistry(TTL);
+        const { code, expiresAt } = registry.register('room-1');
+        expect(expiresAt).toBe(Date.now() + TTL);
+
+        expect(registry.lookup(code.toLowerCase().replace(/(...)/, '$1-'))).toEqual({ roomId: 'room-1', expired: false });
+        expect(registry.lookup('ZZZZZZ')).toBeNull();
+
+        jest.advanceTimersByTime(TTL);
+        expect(registry.lookup(code)).toEqual({ roomId: 'room-1', expired: true });
+        expect(registry.getExpired()).toEqual([{ code, roomId: 'room-1' }]);
+    });
+
+    test('touch pushes back the expiry', () => {
+        const registry = new RoomCodeRegistry(TTL);
+        const { code } = registry.register('room-1');
+
+        jest.advanceTimersByTime(TTL - 1000);
+        expect(registry.touch(code)).toBe(Date.now() + TTL);
+        jest.advanceTimersByTime(2000);
+        expect(registry.lookup(code).expired).toBe(false);
+        expect(registry.touch('ZZZZZZ')).toBeNull();
+    });
+
+    test('a taken code is never issued again, even once it has expired', () => {
+        const registry = new RoomCodeRegistry(TTL);
+        nextCodes(registry, 'AAAAAA', 'AAAAAA', 'BBBBBB', 'AAAAAA', 'CCCCCC');
+
+        registry.register('room-1');
+        expect(registry.register('room-2').code).toBe('BBBBBB');
+
+        // room-1 may still be playing with its expired code
+        jest.advanceTimersByTime(TTL + 1);
+        expect(registry.register('room-3').code).toBe('CCCCCC');
+        expect(registry.lookup('AAAAAA').roomId).toBe('room-1');
+    });
+
+    test('a released code can be issued to a new room', () => {
+        const registry = new RoomCodeRegistry(TTL);
+        nextCodes(registry, 'AAAAAA', 'AAAAAA');
+
+        registry.register('room-1');
+        registry.release('AAAAAA', 'room-1');
+        expect(registry.lookup('AAAAAA')).toBeNull();
+        expect(registry.register('room-2').code).toBe('AAAAAA');
+        expect(registry.lookup('AAAAAA').roomId).toBe('room-2');
+    });
+
+    test('release only removes the releasing room\'s code', () => {
+        const registry = new RoomCodeRegistry(TTL);
+        const { code } = registry.register('room-2');
+
+        registry.release(code, 'room-1');
+        expect(registry.lookup(code).roomId).toBe('room-2');
+        expect(registry.size).toBe(1);
+    });
+
+    test('gives up when every generated code is taken', () => {
+        const registry = new RoomCodeRegistry(TTL);
+        jest.spyOn(registry, 'generateCode').mockReturnValue('AAAAAA');
+
+        registry.register('room-1');
+        expect(() => registry.register('room-2')).toThrow('Unable to generate a unique room code');
+    });
+});
@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import { catalog } from '../src/ai/items.js';
+import ItemScanner, { matchClassification, matchDetection, matchAttributes } from '../src/ai/scanner.js';
+
+const FRAME = { width: 640, height: 480 };
+const video = { readyState: 4, videoWidth: FRAME.width, videoHeight: FRAME.height };
+
+const classified = (...predictions) => predictions.map(([label, score]) => ({ label, score, box: null }));
+
+// A frame of one solid colour, as canvas ImageData
+function solidFrame([r, g, b], width = 40, height = 30) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        data.set([r, g, b, 255], i);
+    }
+    return { data, width, height };
+}
+
+// A scanner whose backend answers with canned model output
+function fakeScanner(backendName, ...answers) {
+    const scanner = new ItemScanner({ useWorker: false });
+    const backend = { detect: jest.fn(async () => answers.shift()) };
+    scanner.backends.set(backendName, Promise.resolve(backend));
+    scanner.isModelLoaded = true;
+    return { scanner, backend };
+}
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('matchClassification', () => {
+    const spoon = catalog.getItem('spoon');
+
+    test('matches a mapped label and keeps every candidate', () => {
+        const candidates = classified(['wooden spoon', 0.6], ['spatula', 0.2]);
+        expect(matchClassification(candidates, spoon)).toEqual({
+            success: true,
+            matchedLabel: 'wooden spoon',
+            confidence: 0.6,
+            candidates,
+            reason: null
+        });
+    });
+
+    test('scales the probability by the label weight', () => {
+        // ladle is mapped to spoon at weight 0.7: 0.5 * 0.7 is below the threshold
+        const result = matchClassification(classified(['ladle', 0.5]), spoon);
+        expect(result.success).toBe(false);
+        expect(result.matchedLabel).toBeNull();
+        expect(result.confidence).toBe(0);
+        expect(result.reason).toBe('Item not found or confidence too low');
+
+        const lenient = matchClassification(classified(['ladle', 0.5]), spoon, { threshold: 0.3 });
+        expect(lenient.success).toBe(true);
+        expect(lenient.confidence).toBeCloseTo(0.35);
+    });
+
+    test('ignores labels that only contain the item name', () => {
+        expect(matchClassification(classified(['spoonbill', 0.9]), spoon).success).toBe(false);
+    });
+
+    test('a more probable negative label vetoes the match', () => {
+        const book = catalog.getItem('book');
+        const result = matchClassification(
+            classified(['notebook, notebook computer', 0.6], ['book jacket, dust cover, dust jacket, dust wrapper', 0.5]),
+            book
+        );
+        expect(result.success).toBe(false);
+    });
+
+    test('the custom backend matches the item id, not its ImageNet labels', () => {
+        const custom = { ...spoon, backend: 'custom' };
+        const result = matchClassification(classified(['spoon', 0.8], ['none', 0.1]), custom, { backend: 'custom' });
+        expect(result).toMatchObject({ success: true, matchedLabel: 'spoon', confidence: 0.8 });
+
+        expect(matchClassification(classified(['wooden spoon', 0.9]), custom, { backend: 'custom' }).success).toBe(false);
+        expect(matchClassification(classified(['none', 0.9], ['spoon', 0.1]), custom, { backend: 'custom' }).success).toBe(false);
+    });
+
+    test('reports empty model output', () => {
+        expect(matchClassification([], spoon)).toMatchObject({
+            success: false,
+            candidates: [],
+            reason: 'No predictions available'
+        });
+    });
+});
+
+describe('matchDetection', () => {
+    const tennisBall = catalog.getItem('tennis-ball');
+
+    test('returns the matched box', () => {
+        const box = [200, 150, 200, 200];
+        const result = matchDetection([{ label: 'sports ball', score: 0.9, box }], tennisBall, FRAME);
+        expect(result.success).toBe(true);
+        expect(result.matchedLabel).toBe('sports ball');
+        expect(result.confidence).toBeCloseTo(0.72);
+        expect(result.box).toBe(box);
+        expect(result.reason).toBeNull();
+    });
+
+    test('asks for a closer look when the box is too small', () => {
+        const result = matchDetection([{ label: 'sports ball', score: 0.9, box: [10, 10, 40, 40] }], tennisBall, FRAME);
+        expect(result.success).toBe(false);
+        expect(result.matchedLabel).toBe('sports ball');
+        expect(result.reason).toBe('Move the item closer to the camera');
+    });
+
+    test('an overlapping negative detection vetoes the match', () => {
+        const result = matchDetection([
+            { label: 'orange', score: 0.8, box: [200, 150, 200, 200] },
+            { label: 'sports ball', score: 0.6, box: [210, 160, 190, 190] }
+        ], tennisBall, FRAME);
+        expect(result.success).toBe(false);
+        expect(result.matchedLabel).toBeNull();
+    });
+});
+
+describe('matchAttributes', () => {
+    const screwdriver = catalog.getItem('red-screwdriver');
+    const found = { success: true, matchedLabel: 'screwdriver', confidence: 0.8, candidates: [], reason: null };
+
+    test('passes an item of the right colour', () => {
+        expect(matchAttributes(found, solidFrame([200, 30, 30]), screwdriver)).toBe(found);
+    });
+
+    test('rejects the wrong colour but keeps the matched label', () => {
+        const result = matchAttributes(found, solidFrame([30, 60, 200]), screwdriver);
+        expect(result.success).toBe(false);
+        expect(result.matchedLabel).toBe('screwdriver');
+        expect(result.reason).toBe("Found a screwdriver, but it isn't red");
+    });
+
+    test('leaves failed results and items without attributes alone', () => {
+        const missed = { ...found, success: false };
+        expect(matchAttributes(missed, solidFrame([30, 60, 200]), screwdriver)).toBe(missed);
+        expect(matchAttributes(found, solidFrame([30, 60, 200]), catalog.getItem('spoon'))).toBe(found);
+    });
+});
+
+describe('ItemScanner', () => {
+    test('runs the target item\'s backend', async () => {
+        const { scanner, backend } = fakeScanner('detection', [{ label: 'cell phone', score: 0.9, box: [100, 100, 300, 300] }]);
+        scanner.setTargetItem('phone');
+
+        const result = await scanner.processFrame(video);
+        expect(backend.detect).toHaveBeenCalledWith(video, 10);
+        expect(result).toMatchObject({ success: true, matchedLabel: 'cell phone', reason: null });
+    });
+
+    test('accepts a catalog entry as the target', async () => {
+        const { scanner } = fakeScanner('classification', classified(['wooden spoon', 0.8]));
+        scanner.setTargetItem(catalog.getItem('spoon'));
+
+        expect(scanner.getTargetItem()).toBe('spoon');
+        expect((await scanner.processFrame(video)).success).toBe(true);
+    });
+
+    test('matches at the item\'s voting threshold', async () => {
+        // 0.5 * 0.7 for ladle is below the match threshold, but not below this item's
+        const { scanner } = fakeScanner('classification', classified(['ladle', 0.5]), classified(['ladle', 0.5]));
+        scanner.setTargetItem('spoon');
+        expect((await scanner.processFrame(video)).success).toBe(false);
+
+        scanner.setTargetItem({ ...catalog.getItem('spoon'), voting: { threshold: 0.3 } });
+        expect(await scanner.processFrame(video)).toMatchObject({ success: true, matchedLabel: 'ladle' });
+    });
+
+    test('frames dropped by a busy worker are skipped, not misses', async () => {
+        const { scanner } = fakeScanner('classification', null);
+        scanner.setTargetItem('spoon');
+
+        expect(await scanner.processFrame(video)).toMatchObject({ success: false, skipped: true, dropped: true });
+    });
+
+    test('skips frames it can\'t look at', async () => {
+        const { scanner } = fakeScanner('classification');
+        expect((await scanner.processFrame(video)).reason).toBe('No target item set');
+
+        scanner.setTargetItem('spoon');
+        const notReady = await scanner.processFrame({ ...video, readyState: 1 });
+        expect(notReady).toMatchObject({ skipped: true, candidates: [], reason: 'Video not ready for processing' });
+
+        const uninitialized = new ItemScanner({ useWorker: false });
+        expect((await uninitialized.processFrame(video)).skipped).toBe(true);
+    });
+
+    test('turns model errors into skipped results', async () => {
+        const scanner = new ItemScanner({ useWorker: false });
+        scanner.backends.set('classification', Promise.resolve({ detect: async () => { throw new Error('WebGL lost'); } }));
+        scanner.isModelLoaded = true;
+        scanner.setTargetItem('spoon');
+
+        expect(await scanner.processFrame(video)).toMatchObject({ success: false, skipped: true, error: 'WebGL lost' });
+    });
+});
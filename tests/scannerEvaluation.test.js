@@ -0,0 +1,89 @@
+import { readFile } from 'fs/promises';
+import { catalog } from '../src/ai/items.js';
+import { evaluateCorpus, formatReport, scoreImage, NO_ITEM } from '../src/ai/evaluation.js';
+
+// Model output for the regression corpus, in the format scripts/evaluate-scanner.js saves
+const corpus = JSON.parse(
+    await readFile(new URL('./fixtures/scanner-corpus/predictions.json', import.meta.url), 'utf8')
+);
+
+// Floors for the current mappings and thresholds; raise them when the scanner gets better
+const MIN_ACCURACY = 0.75;
+const MIN_PRECISION = 0.65;
+const MIN_RECALL = 0.5;
+
+const image = file => corpus.images.find(entry => entry.file === file);
+
+describe('scanner evaluation on the regression corpus', () => {
+    const report = evaluateCorpus(corpus.images, catalog.items);
+    const evaluatedItems = report.items.filter(item => item.images > 0);
+
+    test('classifies most images correctly', () => {
+        expect(report.images).toBe(corpus.images.length);
+        expect(report.accuracy).toBeGreaterThanOrEqual(MIN_ACCURACY);
+    });
+
+    test.each(evaluatedItems.map(item => [item.id, item]))('%s keeps its precision and recall', (id, item) => {
+        expect(item.precision).toBeGreaterThanOrEqual(MIN_PRECISION);
+        expect(item.recall).toBeGreaterThanOrEqual(MIN_RECALL);
+    });
+
+    test('the best threshold is never worse than the current one', () => {
+        for (const item of report.items) {
+            expect(item.best.f1).toBeGreaterThanOrEqual(item.f1);
+        }
+    });
+
+    test('confusion matrix rows add up to the images of each label', () => {
+        const { labels, matrix } = report.confusion;
+        labels.forEach((label, row) => {
+            const total = matrix[row].reduce((sum, count) => sum + count, 0);
+            expect(total).toBe(corpus.images.filter(entry => entry.item === label).length);
+        });
+    });
+
+    test('formats a report with every evaluated item', () => {
+        const text = formatReport(report);
+        for (const item of evaluatedItems) {
+            expect(text).toContain(item.id);
+        }
+        expect(text).toContain('Confusion matrix');
+    });
+});
+
+describe('matching rules on recorded frames', () => {
+    test('negative labels veto confusable objects', () => {
+        // An orange boxed over a weak "sports ball" isn't a tennis ball
+        expect(scoreImage(image('none/orange.jpg'), catalog.getItem('tennis-ball'))).toBe(0);
+        // A remote the detector also half-thinks is a phone isn't a phone
+        expect(scoreImage(image('remote-control/tv-remote.jpg'), catalog.getItem('phone'))).toBe(0);
+    });
+
+    test('boxes too small to be held up do not count', () => {
+        expect(scoreImage(image('tennis-ball/on-shelf.jpg'), catalog.getItem('tennis-ball'))).toBe(0);
+    });
+
+    test('weights scale the model probability', () => {
+        // ladle is mapped to spoon at weight 0.7
+        expect(scoreImage(image('spoon/ladle.jpg'), catalog.getItem('spoon'))).toBeCloseTo(0.45 * 0.7);
+    });
+
+    test('a global threshold overrides the items\' own', () => {
+        const strict = evaluateCorpus(corpus.images, catalog.items, { threshold: 0.9 });
+        expect(strict.items.every(item => item.threshold === 0.9)).toBe(true);
+        expect(strict.accuracy).toBeLessThan(evaluateCorpus(corpus.images, catalog.items).accuracy);
+    });
+
+    test('rejects corpus labels that are not catalog items', () => {
+        const images = [{ ...image('none/desk.jpg'), item: 'flux-capacitor' }];
+        expect(() => evaluateCorpus(images, catalog.items)).toThrow('flux-capacitor');
+    });
+
+    test('images without any item only count against false finds', () => {
+        const report = evaluateCorpus([image('none/desk.jpg')], catalog.items);
+        const { labels, matrix } = report.confusion;
+        const none = labels.indexOf(NO_ITEM);
+        expect(matrix[none][none]).toBe(1);
+        expect(report.items.every(item => item.falsePositives === 0)).toBe(true);
+    });
+});
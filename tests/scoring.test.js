@@ -0,0 +1,61 @@
+import { ScoringEngine, DEFAULT_SCORING_CONFIG } from '../src/game/scoring.js';
+
+const ROUND_DURATION = 60000;
+
+// The context awardFind scores a find with
+const find = (round, placement, timeElapsed, streak) => ({ round, placement, timeElapsed, roundDuration: ROUND_DURATION, streak });
+
+describe('ScoringEngine', () => {
+    const engine = new ScoringEngine();
+
+    // (base + time bonus) × round multiplier × placement × streak bonus, rounded down (game-design.md)
+    test.each([
+        // round, placement, timeElapsed, streak, timeBonus, roundMultiplier, placementMultiplier, streakMultiplier, score
+        [1, 1, 0, 0, 50, 1, 1, 1, 150],
+        [1, 1, 30000, 0, 25, 1, 1, 1, 125],
+        [1, 2, 60000, 0, 0, 1, 0.8, 1, 80],
+        [2, 2, 15000, 1, 37, 1.5, 0.8, 1.1, 180],
+        [3, 3, 60000, 2, 0, 2, 0.6, 1.2, 144],
+        [5, 4, 12000, 3, 40, 2, 0.4, 1.3, 145],
+        [2, 5, 6000, 5, 45, 1.5, 0.2, 1.5, 65],
+        [3, 8, 90000, 9, 0, 2, 0.2, 1.5, 60],
+        // 150 × 0.6 × 1.4 is 125.99999999999999 in floating point
+        [1, 3, 0, 4, 50, 1, 0.6, 1.4, 126]
+    ])('round %i, placement %i, %ims in, streak %i', (round, placement, timeElapsed, streak, timeBonus, roundMultiplier, placementMultiplier, streakMultiplier, score) => {
+        expect(engine.score(find(round, placement, timeElapsed, streak))).toEqual({
+            score,
+            breakdown: {
+                placement,
+                base: 100,
+                timeBonus,
+                roundMultiplier,
+                placementMultiplier,
+                streakMultiplier,
+                total: score
+            }
+        });
+    });
+
+    test('later finds in a round never score more than earlier ones', () => {
+        const scores = [1, 2, 3, 4, 5, 6, 7, 8].map(placement => engine.score(find(2, placement, 20000, 1)).score);
+        expect(scores).toEqual([...scores].sort((a, b) => b - a));
+        expect(scores.slice(4)).toEqual([scores[4], scores[4], scores[4], scores[4]]);
+    });
+
+    test('config overrides the tunables', () => {
+        const custom = new ScoringEngine({ config: { basePoints: 200, maxStreakBonus: 0.2 } });
+        expect(custom.config.maxTimeBonus).toBe(DEFAULT_SCORING_CONFIG.maxTimeBonus);
+        expect(custom.score(find(1, 1, ROUND_DURATION, 5))).toMatchObject({ score: 240, breakdown: { base: 200, streakMultiplier: 1.2 } });
+    });
+
+    test('applies add rules before multiply rules, whatever their order', () => {
+        const rules = [
+            { id: 'double', type: 'multiply', compute: () => 2 },
+            { id: 'flat', type: 'add', compute: () => 10 }
+        ];
+        expect(new ScoringEngine({ rules }).score(find(1, 1, 0, 0))).toEqual({
+            score: 20,
+            breakdown: { placement: 1, flat: 10, double: 2, total: 20 }
+        });
+    });
+});
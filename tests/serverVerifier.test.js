@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import * as tf from '@tensorflow/tfjs';
+import { catalog } from '../src/ai/items.js';
+import { ItemCatalog, CatalogError, loadCatalogSchema, loadLabelLists } from '../src/ai/catalog.js';
+import { ServerVerifier } from '../src/ai/serverVerifier.js';
+import { MATCH_THRESHOLD_FLOOR } from '../src/ai/matching.js';
+import { createHead, saveModel } from '../src/ai/customModel.js';
+
+const schema = await loadCatalogSchema();
+const labelLists = await loadLabelLists();
+
+// A frame of one solid colour, as decodeFrame returns it (RGB)
+function solidFrame([r, g, b], width = 40, height = 30) {
+    const data = new Uint8Array(width * height * 3);
+    for (let i = 0; i < data.length; i += 3) {
+        data.set([r, g, b], i);
+    }
+    return { data, width, height };
+}
+
+// A verifier whose models answer with canned predictions
+function fakeVerifier(predictions) {
+    const verifier = new ServerVerifier();
+    jest.spyOn(verifier, 'predict').mockResolvedValue(predictions);
+    return verifier;
+}
+
+// A host's pack with the spoon in it, voting as given
+const spoonPack = voting => ({
+    version: 1,
+    name: 'Kitchen drawer',
+    items: [{ ...catalog.getItem('spoon'), voting }]
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('ServerVerifier thresholds', () => {
+    const frame = solidFrame([120, 110, 100]);
+    const faint = [{ className: 'wooden spoon', probability: 0.05 }, { className: 'teapot', probability: 0.02 }];
+
+    test('packs can\'t set a threshold below the floor', () => {
+        expect(() => new ItemCatalog(spoonPack({ threshold: 0 }), schema, 'pack', labelLists)).toThrow(CatalogError);
+        expect(() => new ItemCatalog(spoonPack({ threshold: MATCH_THRESHOLD_FLOOR }), schema, 'pack', labelLists)).not.toThrow();
+    });
+
+    test('a pack item with threshold 0 is still checked at the floor', async () => {
+        // As if a pack slipped past validation, e.g. one saved before the floor existed
+        const item = spoonPack({ threshold: 0 }).items[0];
+        const verdict = await fakeVerifier(faint).verify(frame, item);
+        expect(verdict.verified).toBe(false);
+        expect(verdict.confidence).toBe(0.05);
+    });
+
+    test('an item threshold above the floor applies', async () => {
+        const item = spoonPack({ threshold: 0.3 }).items[0];
+        const predictions = [{ className: 'wooden spoon', probability: 0.35 }];
+        expect((await fakeVerifier(predictions).verify(frame, item)).verified).toBe(true);
+        expect((await fakeVerifier(predictions).verify(frame, catalog.getItem('spoon'))).verified).toBe(false);
+    });
+});
+
+describe('ServerVerifier models', () => {
+    let modelsDir;
+
+    beforeEach(async () => {
+        modelsDir = await mkdtemp(path.join(os.tmpdir(), 'verifier-models-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await rm(modelsDir, { recursive: true, force: true });
+    });
+
+    // A verifier that records which models it loads instead of loading them
+    function recordingVerifier() {
+        const verifier = new ServerVerifier({ modelsDir });
+        jest.spyOn(verifier, 'loadFamily').mockResolvedValue({});
+        return verifier;
+    }
+
+    const loadedId = async (verifier, backend) => (await verifier.load(backend)).spec.id;
+
+    test('runs the built-in defaults without a manifest', async () => {
+        const verifier = recordingVerifier();
+        expect(await loadedId(verifier, 'classification')).toBe('mobilenet-v1');
+        expect(await loadedId(verifier, 'detection')).toBe('coco-ssd-lite');
+    });
+
+    test('runs the models the manifest makes the defaults, like the browser scanners', async () => {
+        await writeFile(path.join(modelsDir, 'manifest.json'), JSON.stringify({
+            models: [
+                { id: 'workshop', family: 'graph', version: '3', url: '/models/workshop/model.json', labels: '/models/workshop/labels.json' }
+            ],
+            defaults: { classification: 'workshop', detection: 'coco-ssd' }
+        }));
+
+        const verifier = recordingVerifier();
+        expect(await loadedId(verifier, 'classification')).toBe('workshop');
+        expect(await loadedId(verifier, 'detection')).toBe('coco-ssd');
+        expect(verifier.loadFamily).toHaveBeenCalledTimes(2);
+
+        await expect(verifier.load('custom')).rejects.toMatchObject({ type: 'unavailable' });
+    });
+
+    test('classifies with a graph model default', async () => {
+        await writeFile(path.join(modelsDir, 'manifest.json'), JSON.stringify({
+            models: [
+                { id: 'workshop', family: 'graph', version: '3', url: '/models/workshop/model.json', labels: '/models/workshop/labels.json' }
+            ],
+            defaults: { classification: 'workshop' }
+        }));
+        const verifier = recordingVerifier();
+        verifier.loadFamily.mockResolvedValue({
+            graph: { predict: input => tf.tensor2d([[0.1, 0.7, 0.2]]).add(input.sum().mul(0)) },
+            labels: ['ladle', 'wooden spoon', 'spatula'],
+            inputSize: 8,
+            inputRange: [-1, 1]
+        });
+
+        const predictions = await verifier.predict(solidFrame([120, 110, 100]), 'classification');
+        expect(predictions.map(prediction => prediction.className)).toEqual(['wooden spoon', 'spatula', 'ladle']);
+        expect(predictions[0].probability).toBeCloseTo(0.7);
+    });
+
+    test('loads models served from /models from disk', async () => {
+        const head = createHead(4, 2);
+        await saveModel(path.join(modelsDir, 'head'), head, ['spoon', 'none'], {});
+
+        const verifier = new ServerVerifier({ modelsDir });
+        const loaded = await tf.loadLayersModel(verifier.getModelSource({ url: '/models/head/model.json' }));
+        const input = tf.ones([1, 4]);
+        expect(Array.from(await loaded.predict(input).data())).toEqual(Array.from(await head.predict(input).data()));
+
+        expect(verifier.getModelSource({ url: 'https://example.com/model.json' })).toBe('https://example.com/model.json');
+        expect(verifier.getLocalPath('/models/../manifest.json')).toBeNull();
+    });
+});